@@ -59,6 +59,7 @@ function App() {
           <Route path="/teams/:teamId/chat" element={<ChatPage />} />
           <Route path="/teams/:teamId" element={<TeamPage />} />
           <Route path="/teams/:teamId/projects/:projectId" element={<ProjectPage />} />
+          <Route path="/teams/:teamId/projects/:projectId/tasks/:taskId" element={<ProjectPage />} />
           <Route path="/help" element={<HelpSupport />} />
         </Route>
         {/* Admin Portal - Protected by AdminRoute guard */}
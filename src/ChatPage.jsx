@@ -33,8 +33,12 @@ import {
   Music,
   Play
 } from 'lucide-react';
-import { fetchTeamChannels, fetchChannelMessages, createChannel, searchMessages, deleteChannel, sendMessageWithFiles, fetchChannelLinks, withdrawMessage } from './services/channelApi.js';
+import { fetchTeamChannels, fetchChannelMessages, createChannel, searchMessages, deleteChannel, sendMessageWithFiles, fetchChannelLinks, withdrawMessage, restoreMessage } from './services/channelApi.js';
 import { getTeamProjects, getTeam } from './services/projectApi.js';
+import { parseTaskPath } from './utils/taskLinks';
+import { MAX_FILES, ALLOWED_FILE_TYPES, validateFiles, getFileNameFromUrl, getFileTypeFromUrl, formatFileSize } from './services/fileService.js';
+import { ImageLightbox } from './components/ImageLightbox.jsx';
+import { UndoToast, UNDO_TOAST_DURATION } from './components/UndoToast.jsx';
 import { useDebounce } from './hooks/useDebounce.js';
 import { useAuth } from './hooks/useAuth.js';
 import {
@@ -51,75 +55,18 @@ import {
   getSocket,
 } from './services/socketService.js';
 const MAX_MESSAGE_LENGTH = 2000; // Character limit for messages (matches DB constraint)
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB per file (matches backend limit)
-const MAX_FILES = 5; // Maximum files per message
-const ALLOWED_FILE_TYPES = [
-  // Images
-  'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml',
-  // Documents
-  'application/pdf', 'text/plain', 'text/markdown',
-  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-  'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-  // Archives
-  'application/zip', 'application/x-rar-compressed', 'application/x-7z-compressed',
-  // Code
-  'text/javascript', 'text/html', 'text/css', 'application/json', 'text/xml',
-  'text/x-python', 'text/x-java', 'text/x-c', 'text/x-cpp',
-  // Video
-  'video/mp4', 'video/webm', 'video/quicktime',
-  // Audio
-  'audio/mpeg', 'audio/wav', 'audio/ogg'
-];
 
 /**
- * Helper: Extract clean filename from S3 URL
- * Removes timestamp prefix (e.g., "1734567890123-abc123-filename.pdf" -> "filename.pdf")
+ * Helper: Split message text around links to tasks in this app
+ * Returns [{ text, taskPath }] where taskPath is set for in-app task links.
  */
-const getFileNameFromUrl = (url) => {
-  if (!url) return 'Unknown file';
-  try {
-    // Get the last part of the URL path
-    const urlPath = new URL(url).pathname;
-    const fullName = urlPath.split('/').pop() || 'Unknown file';
-    // Remove timestamp-random prefix pattern: "1734567890123-123456789-"
-    // Pattern: digits-digits-restOfName
-    const cleanName = fullName.replace(/^\d+-\d+-/, '');
-    // Decode URI components (spaces, special chars)
-    return decodeURIComponent(cleanName);
-  } catch {
-    // Fallback: just get everything after last slash
-    const parts = url.split('/');
-    const fullName = parts[parts.length - 1] || 'Unknown file';
-    return fullName.replace(/^\d+-\d+-/, '');
-  }
-};
+const TASK_LINK_PATTERN = /(\S*\/teams\/\d+\/projects\/\d+\/tasks\/\d+)/g;
 
-/**
- * Helper: Get file type category from URL based on extension
- */
-const getFileTypeFromUrl = (url) => {
-  if (!url) return 'file';
-  const extension = url.split('.').pop()?.toLowerCase().split('?')[0] || '';
-
-  const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'ico'];
-  const videoExts = ['mp4', 'webm', 'mov', 'avi', 'mkv', 'wmv', 'flv'];
-  const audioExts = ['mp3', 'wav', 'ogg', 'flac', 'aac', 'm4a'];
-  const documentExts = ['pdf', 'doc', 'docx', 'txt', 'md', 'rtf'];
-  const spreadsheetExts = ['xls', 'xlsx', 'csv'];
-  const presentationExts = ['ppt', 'pptx'];
-  const archiveExts = ['zip', 'rar', '7z', 'tar', 'gz'];
-  const codeExts = ['js', 'ts', 'jsx', 'tsx', 'py', 'java', 'c', 'cpp', 'h', 'css', 'html', 'json', 'xml', 'sql', 'sh', 'yml', 'yaml'];
-
-  if (imageExts.includes(extension)) return 'image';
-  if (videoExts.includes(extension)) return 'video';
-  if (audioExts.includes(extension)) return 'audio';
-  if (documentExts.includes(extension)) return 'document';
-  if (spreadsheetExts.includes(extension)) return 'spreadsheet';
-  if (presentationExts.includes(extension)) return 'presentation';
-  if (archiveExts.includes(extension)) return 'archive';
-  if (codeExts.includes(extension)) return 'code';
-  return 'file';
+const splitTaskLinks = (content) => {
+  return content.split(TASK_LINK_PATTERN).filter(Boolean).map(text => {
+    const isSameApp = text.startsWith('/') || text.startsWith(window.location.origin);
+    return { text, taskPath: isSameApp ? parseTaskPath(text) : null };
+  });
 };
 
 /**
@@ -700,23 +647,9 @@ export default function ChatPage() {
       return;
     }
 
-    // Validate each file
-    const validFiles = [];
-    for (const file of files) {
-      // Check file size
-      if (file.size > MAX_FILE_SIZE) {
-        toast.error(`${file.name} is too large. Maximum size is 100MB`);
-        continue;
-      }
-
-      // Check file type
-      if (!ALLOWED_FILE_TYPES.includes(file.type) && file.type !== '') {
-        toast.error(`${file.name} has unsupported file type`);
-        continue;
-      }
-
-      validFiles.push(file);
-    }
+    // Validate each file (size and type)
+    const { validFiles, errors } = validateFiles(files);
+    errors.forEach(message => toast.error(message));
 
     if (validFiles.length > 0) {
       setSelectedFiles(prev => [...prev, ...validFiles]);
@@ -747,17 +680,6 @@ export default function ChatPage() {
     fileInputRef.current?.click();
   };
 
-  /**
-   * Format file size for display
-   */
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
-  };
-
   /**
    * Get file icon based on type
    */
@@ -1267,6 +1189,17 @@ export default function ChatPage() {
     // Check if message is withdrawn
     const isWithdrawn = msg.is_withdrawn || msg.content === 'This message has been withdrawn.';
 
+    // Undo a withdraw: put the original message back
+    const handleRestore = async (original) => {
+      try {
+        const restored = await restoreMessage(teamId, activeChannel.id, original.id);
+        setMessages(prev => prev.map(m => m.id === original.id ? { ...original, ...restored, is_withdrawn: false } : m));
+      } catch (err) {
+        console.error('Failed to restore message:', err);
+        toast.error(err.message || 'Failed to restore message');
+      }
+    };
+
     // Handle withdraw message
     const handleWithdraw = async () => {
       if (isWithdrawing) return;
@@ -1282,7 +1215,9 @@ export default function ChatPage() {
             ? { ...m, content: 'This message has been withdrawn.', is_withdrawn: true, attachment_url: null }
             : m
         ));
-        toast.success('Message withdrawn');
+        toast((t) => (
+          <UndoToast t={t} message="Message withdrawn" onUndo={() => handleRestore(msg)} />
+        ), { duration: UNDO_TOAST_DURATION });
       } catch (err) {
         console.error('Failed to withdraw message:', err);
         toast.error(err.message || 'Failed to withdraw message');
@@ -1584,7 +1519,18 @@ export default function ChatPage() {
                 ? 'bg-[#006239] text-white rounded-tr-sm'
                 : `${isDarkMode ? 'bg-[#1F1F1F] text-gray-200' : 'bg-white border border-gray-200 text-gray-800 shadow-sm'} rounded-tl-sm`
                 }`}>
-                {msg.content}
+                {splitTaskLinks(msg.content).map((part, i) => part.taskPath ? (
+                  <button
+                    key={i}
+                    onClick={() => navigate(part.taskPath)}
+                    className="underline font-medium break-all text-left"
+                    title="Open task"
+                  >
+                    {part.text}
+                  </button>
+                ) : (
+                  <React.Fragment key={i}>{part.text}</React.Fragment>
+                ))}
               </div>
             ) : null}
 
@@ -2538,36 +2484,7 @@ export default function ChatPage() {
       />
 
       {/* Image Preview Modal */}
-      {previewImage && (
-        <div
-          className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-sm"
-          onClick={() => setPreviewImage(null)}
-        >
-          <button
-            className="absolute top-4 right-4 p-2 rounded-full bg-white/10 hover:bg-white/20 transition-colors"
-            onClick={() => setPreviewImage(null)}
-          >
-            <X size={24} className="text-white" />
-          </button>
-          <img
-            src={previewImage}
-            alt="Preview"
-            className="max-w-[90vw] max-h-[90vh] object-contain rounded-lg"
-            onClick={(e) => e.stopPropagation()}
-          />
-          <a
-            href={previewImage}
-            download
-            target="_blank"
-            rel="noopener noreferrer"
-            className="absolute bottom-4 right-4 flex items-center gap-2 px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors"
-            onClick={(e) => e.stopPropagation()}
-          >
-            <Download size={18} />
-            <span>Download</span>
-          </a>
-        </div>
-      )}
+      <ImageLightbox src={previewImage} onClose={() => setPreviewImage(null)} />
     </div>
   );
 }
\ No newline at end of file
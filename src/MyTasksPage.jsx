@@ -1,8 +1,17 @@
-import React from 'react';
-import { useOutletContext } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
-import { Calendar, Clock, AlertCircle, CheckCircle2, Circle, Loader2 } from 'lucide-react';
-import { getUserTasks } from './services/taskApi';
+import React, { useState } from 'react';
+import { useOutletContext, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Calendar, CalendarDays, Clock, AlertCircle, CheckCircle2, Circle, Loader2, LayoutList, Timer, Table2, ChevronLeft, ChevronRight, Download } from 'lucide-react';
+import { getUserTasks, getUserTimesheet } from './services/taskApi';
+import { getTaskPath } from './utils/taskLinks';
+import { formatMinutes } from './utils/duration';
+import { toCsv, downloadFile } from './utils/csv';
+import { stripMarkdown } from './utils/markdown';
+import { updateTask } from './services/projectApi';
+import { getStatusCategory, getStatusMeta } from './utils/statuses';
+import { TaskCalendar } from './components/TaskCalendar';
+import { LabelChip } from './components/TaskLabels';
 
 /**
  * TASK CARD COMPONENT
@@ -17,10 +26,11 @@ const TaskCard = ({ task, darkMode, onClick }) => {
     }
   };
 
-  const getStatusIcon = (status) => {
-    switch (status?.toLowerCase()) {
+  // Projects define their own statuses, so the icon follows the status category
+  const getStatusIcon = (task) => {
+    switch (getStatusCategory(task)) {
       case 'done': return <CheckCircle2 size={16} className="text-green-500" />;
-      case 'in_progress': return <Clock size={16} className="text-blue-500" />;
+      case 'active': return <Clock size={16} className="text-blue-500" />;
       default: return <Circle size={16} className={darkMode ? 'text-gray-400' : 'text-gray-500'} />;
     }
   };
@@ -35,14 +45,14 @@ const TaskCard = ({ task, darkMode, onClick }) => {
       }`}
     >
       <div className="flex items-start gap-3">
-        <div className="mt-0.5">{getStatusIcon(task.status)}</div>
+        <div className="mt-0.5" title={task.status_label || getStatusMeta([], task.status).label}>{getStatusIcon(task)}</div>
         <div className="flex-1 min-w-0">
           <h3 className={`font-semibold mb-1 ${darkMode ? 'text-white' : 'text-gray-900'}`}>
             {task.title}
           </h3>
           {task.description && (
             <p className={`text-sm mb-2 line-clamp-2 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-              {task.description}
+              {stripMarkdown(task.description)}
             </p>
           )}
 
@@ -60,6 +70,20 @@ const TaskCard = ({ task, darkMode, onClick }) => {
               </div>
             )}
 
+            {/* Tracked vs. Estimated */}
+            {(task.tracked_minutes > 0 || task.estimate_minutes > 0) && (
+              <div
+                className={`flex items-center gap-1 ${task.estimate_minutes && task.tracked_minutes > task.estimate_minutes ? 'text-red-500' : darkMode ? 'text-gray-400' : 'text-gray-600'}`}
+                title="Tracked / estimated"
+              >
+                <Timer size={12} />
+                <span>
+                  {formatMinutes(task.tracked_minutes)}
+                  {task.estimate_minutes > 0 && ` / ${formatMinutes(task.estimate_minutes)}`}
+                </span>
+              </div>
+            )}
+
             {/* Project Name */}
             {task.project_name && (
               <span className={`${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>
@@ -67,8 +91,174 @@ const TaskCard = ({ task, darkMode, onClick }) => {
               </span>
             )}
           </div>
+
+          {/* Labels */}
+          {task.labels?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mt-2">
+              {task.labels.map(label => <LabelChip key={label.id} label={label} />)}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const toDayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const getWeekStart = (date) => {
+  const start = new Date(date);
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7)); // Weeks start on Monday
+  return start;
+};
+
+/**
+ * TIMESHEET VIEW
+ * The user's logged time for one week, one row per task, exportable as CSV
+ */
+const TimesheetView = ({ darkMode, onTaskClick }) => {
+  const [weekStart, setWeekStart] = useState(() => getWeekStart(new Date()));
+
+  const days = Array.from({ length: 7 }, (_, i) => {
+    const day = new Date(weekStart);
+    day.setDate(day.getDate() + i);
+    return day;
+  });
+  const from = toDayKey(days[0]);
+  const to = toDayKey(days[6]);
+
+  const { data: entries = [], isLoading } = useQuery({
+    queryKey: ['myTimesheet', from],
+    queryFn: async () => (await getUserTimesheet({ from, to })).data || [],
+  });
+
+  // One row per task with minutes per day
+  const rows = Object.values(entries.reduce((acc, entry) => {
+    const row = acc[entry.task_id] || (acc[entry.task_id] = {
+      taskId: entry.task_id,
+      taskTitle: entry.task_title,
+      projectId: entry.project_id,
+      projectName: entry.project_name,
+      teamId: entry.team_id,
+      minutesByDay: {},
+      total: 0,
+    });
+    const dayKey = entry.spent_on.split('T')[0];
+    row.minutesByDay[dayKey] = (row.minutesByDay[dayKey] || 0) + entry.minutes;
+    row.total += entry.minutes;
+    return acc;
+  }, {})).sort((a, b) => (a.projectName || '').localeCompare(b.projectName || '') || a.taskTitle.localeCompare(b.taskTitle));
+
+  const dayTotals = days.map(day => rows.reduce((sum, row) => sum + (row.minutesByDay[toDayKey(day)] || 0), 0));
+  const weekTotal = dayTotals.reduce((sum, minutes) => sum + minutes, 0);
+
+  const shiftWeek = (weeks) => {
+    const next = new Date(weekStart);
+    next.setDate(next.getDate() + weeks * 7);
+    setWeekStart(next);
+  };
+
+  // Hours as decimals so the sheet can be pasted straight into billing
+  const handleExport = () => {
+    const toHours = (minutes) => (minutes ? (minutes / 60).toFixed(2) : '');
+    const csv = toCsv([
+      ['Project', 'Task', ...days.map(toDayKey), 'Total'],
+      ...rows.map(row => [row.projectName, row.taskTitle, ...days.map(day => toHours(row.minutesByDay[toDayKey(day)])), toHours(row.total)]),
+      ['', 'Total', ...dayTotals.map(toHours), toHours(weekTotal)],
+    ]);
+    downloadFile(`timesheet-${from}.csv`, csv);
+  };
+
+  const cellClass = `px-3 py-2 text-sm text-right whitespace-nowrap ${darkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const headClass = `px-3 py-2 text-xs font-semibold uppercase tracking-wider ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const navButtonClass = `p-1.5 rounded-md transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200 text-gray-600'}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between gap-3 flex-wrap">
+        <div className="flex items-center gap-2">
+          <button onClick={() => shiftWeek(-1)} className={navButtonClass} title="Previous week">
+            <ChevronLeft size={16} />
+          </button>
+          <span className={`text-sm font-semibold ${darkMode ? 'text-white' : 'text-gray-900'}`}>
+            {days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – {days[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+          </span>
+          <button onClick={() => shiftWeek(1)} className={navButtonClass} title="Next week">
+            <ChevronRight size={16} />
+          </button>
+          <button
+            onClick={() => setWeekStart(getWeekStart(new Date()))}
+            className={`text-xs font-medium px-2 py-1 rounded-md ${darkMode ? 'text-gray-400 hover:text-white' : 'text-gray-500 hover:text-black'}`}
+          >
+            This week
+          </button>
         </div>
+        <button
+          onClick={handleExport}
+          disabled={rows.length === 0}
+          className="flex items-center gap-1.5 px-3 py-1.5 rounded-md bg-[#006239] hover:bg-[#005230] text-white text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Download size={14} />
+          Export CSV
+        </button>
       </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <Loader2 className={`w-6 h-6 animate-spin ${darkMode ? 'text-gray-400' : 'text-gray-600'}`} />
+        </div>
+      ) : rows.length === 0 ? (
+        <div className={`text-center py-12 text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          No time logged this week
+        </div>
+      ) : (
+        <div className={`border rounded-lg overflow-x-auto ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}>
+          <table className="w-full">
+            <thead className={darkMode ? 'bg-[#171717]' : 'bg-gray-50'}>
+              <tr>
+                <th className={`${headClass} text-left`}>Task</th>
+                {days.map(day => (
+                  <th key={toDayKey(day)} className={`${headClass} text-right`}>
+                    {day.toLocaleDateString('en-US', { weekday: 'short', day: 'numeric' })}
+                  </th>
+                ))}
+                <th className={`${headClass} text-right`}>Total</th>
+              </tr>
+            </thead>
+            <tbody className={`divide-y ${darkMode ? 'divide-[#171717]' : 'divide-gray-100'}`}>
+              {rows.map(row => (
+                <tr key={row.taskId}>
+                  <td className="px-3 py-2">
+                    <button
+                      onClick={() => onTaskClick({ id: row.taskId, project_id: row.projectId, team_id: row.teamId })}
+                      className={`text-sm font-medium text-left hover:underline ${darkMode ? 'text-white' : 'text-gray-900'}`}
+                    >
+                      {row.taskTitle}
+                    </button>
+                    <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`}>{row.projectName}</p>
+                  </td>
+                  {days.map(day => (
+                    <td key={toDayKey(day)} className={cellClass}>
+                      {row.minutesByDay[toDayKey(day)] ? formatMinutes(row.minutesByDay[toDayKey(day)]) : '–'}
+                    </td>
+                  ))}
+                  <td className={`${cellClass} font-semibold`}>{formatMinutes(row.total)}</td>
+                </tr>
+              ))}
+            </tbody>
+            <tfoot className={darkMode ? 'bg-[#171717]' : 'bg-gray-50'}>
+              <tr>
+                <td className={`${headClass} text-left`}>Total</td>
+                {dayTotals.map((minutes, i) => (
+                  <td key={i} className={`${cellClass} font-semibold`}>{minutes ? formatMinutes(minutes) : '–'}</td>
+                ))}
+                <td className={`${cellClass} font-bold`}>{formatMinutes(weekTotal)}</td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+      )}
     </div>
   );
 };
@@ -78,6 +268,9 @@ const TaskCard = ({ task, darkMode, onClick }) => {
  */
 export default function MyTasksPage() {
   const { isDarkMode } = useOutletContext();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [viewMode, setViewMode] = useState('list');
 
   // Fetch tasks from API using React Query
   const { data: tasksData, isLoading, isError, error } = useQuery({
@@ -85,6 +278,34 @@ export default function MyTasksPage() {
     queryFn: getUserTasks,
   });
 
+  // Reschedule from the calendar (optimistic; the backend rejects viewers of the project)
+  const rescheduleMutation = useMutation({
+    mutationFn: ({ task, dueDate }) => updateTask(task.project_id, task.id, { due_date: dueDate }),
+    onMutate: async ({ task, dueDate }) => {
+      await queryClient.cancelQueries({ queryKey: ['myTasks'] });
+      const previous = queryClient.getQueryData(['myTasks']);
+      queryClient.setQueryData(['myTasks'], (old) => old && {
+        ...old,
+        data: old.data.map(t => t.id === task.id ? { ...t, due_date: dueDate } : t),
+      });
+      return { previous };
+    },
+    onError: (err, _variables, context) => {
+      queryClient.setQueryData(['myTasks'], context?.previous);
+      toast.error(err.message || 'Failed to reschedule task');
+    },
+    onSuccess: () => {
+      toast.success('Task rescheduled');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['myTasks'] });
+    },
+  });
+
+  const handleReschedule = (task, dateKey) => {
+    rescheduleMutation.mutate({ task, dueDate: new Date(dateKey).toISOString() });
+  };
+
   const tasks = tasksData?.data || [];
 
   // Group tasks by date
@@ -95,7 +316,7 @@ export default function MyTasksPage() {
     if (!task.due_date) return false;
     const dueDate = new Date(task.due_date);
     dueDate.setHours(0, 0, 0, 0);
-    return dueDate < today && task.status !== 'done';
+    return dueDate < today && getStatusCategory(task) !== 'done';
   });
 
   const todayTasks = tasks.filter(task => {
@@ -114,21 +335,56 @@ export default function MyTasksPage() {
 
   const noDateTasks = tasks.filter(task => !task.due_date);
 
+  // Tracked vs. estimated across the user's unfinished tasks
+  const openTasks = tasks.filter(task => getStatusCategory(task) !== 'done');
+  const openTrackedMinutes = openTasks.reduce((sum, task) => sum + (task.tracked_minutes || 0), 0);
+  const openEstimatedMinutes = openTasks.reduce((sum, task) => sum + (task.estimate_minutes || 0), 0);
+
+  // Open the task's detail drawer on its project page
   const handleTaskClick = (task) => {
-    console.log('Task clicked:', task);
-    // TODO: Navigate to project page or open task modal
+    navigate(getTaskPath({ teamId: task.team_id, projectId: task.project_id, taskId: task.id }));
   };
 
   return (
     <div className="w-full min-h-full flex flex-col max-w-[1200px] mx-auto px-4 lg:px-6 xl:px-10">
       {/* Header */}
-      <div className="pt-12 pb-6">
-        <h1 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-black'}`}>
-          My Tasks
-        </h1>
-        <p className={`text-sm mt-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-          All tasks assigned to you across all projects
-        </p>
+      <div className="pt-12 pb-6 flex items-end justify-between gap-4 flex-wrap">
+        <div>
+          <h1 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-black'}`}>
+            My Tasks
+          </h1>
+          <p className={`text-sm mt-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            All tasks assigned to you across all projects
+          </p>
+          {(openTrackedMinutes > 0 || openEstimatedMinutes > 0) && (
+            <p className={`flex items-center gap-1.5 text-sm mt-1 ${openEstimatedMinutes > 0 && openTrackedMinutes > openEstimatedMinutes ? 'text-red-500' : isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              <Timer size={14} />
+              {formatMinutes(openTrackedMinutes)} tracked
+              {openEstimatedMinutes > 0 && ` of ${formatMinutes(openEstimatedMinutes)} estimated`} on open tasks
+            </p>
+          )}
+        </div>
+
+        {/* View Mode Toggle */}
+        <div className={`flex items-center rounded-lg p-1 ${isDarkMode ? 'bg-[#171717]' : 'bg-gray-200/50'}`}>
+          {[
+            { mode: 'list', label: 'List', icon: LayoutList },
+            { mode: 'calendar', label: 'Calendar', icon: CalendarDays },
+            { mode: 'timesheet', label: 'Timesheet', icon: Table2 },
+          ].map((view) => (
+            <button
+              key={view.mode}
+              onClick={() => setViewMode(view.mode)}
+              className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-all ${viewMode === view.mode
+                ? 'bg-[#006239] text-white shadow-md'
+                : isDarkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-black'
+                }`}
+            >
+              <view.icon size={14} />
+              {view.label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* Loading State */}
@@ -142,6 +398,20 @@ export default function MyTasksPage() {
           <p className="text-lg font-medium mb-2">Failed to load tasks</p>
           <p className="text-sm">{error?.message || 'Something went wrong. Please try again.'}</p>
         </div>
+      ) : viewMode === 'timesheet' ? (
+        <div className="pb-12">
+          <TimesheetView darkMode={isDarkMode} onTaskClick={handleTaskClick} />
+        </div>
+      ) : viewMode === 'calendar' ? (
+        <div className="pb-12">
+          <TaskCalendar
+            tasks={tasks}
+            darkMode={isDarkMode}
+            canEdit
+            onReschedule={handleReschedule}
+            onTaskClick={handleTaskClick}
+          />
+        </div>
       ) : (
         <div className="pb-12 space-y-8">
           {/* Overdue Tasks */}
@@ -1,8 +1,35 @@
-import React, { useState, useEffect } from 'react';
-import { useOutletContext, useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useOutletContext, useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useQueryClient } from '@tanstack/react-query';
 import * as projectApi from './services/projectApi';
 import * as riskReportApi from './services/riskReportApi';
+import { getTaskById } from './services/taskApi';
+import { getTaskPath } from './utils/taskLinks';
+import { RECURRENCE_FREQUENCIES, WEEKDAY_LABELS, describeRecurrence } from './utils/recurrence';
+import { formatMinutes, parseDuration } from './utils/duration';
+import { toCsv, parseCsv, downloadFile } from './utils/csv';
+import { stripMarkdown } from './utils/markdown';
+import { parseQuickAdd } from './utils/quickAdd';
+import { TASK_PRIORITIES } from './utils/priorities';
+import { DEFAULT_TASK_STATUSES, STATUS_CATEGORIES, getStatusMeta, getStatusCategory, getInitialStatusKey } from './utils/statuses';
+import { getOpenSprints, getNextSprintDefaults } from './utils/sprints';
+import { TASK_EDIT_FIELDS, getTaskVersion, isStaleTaskVersion, isVersionConflict, getTaskFieldValues, isSameFieldValue } from './utils/taskVersions';
+import { TRASH_RETENTION_DAYS, getDaysUntilPurge } from './utils/trash';
+import { isWatchingTask } from './utils/watchers';
 import { RiskReportCard } from './components/RiskReportCard';
+import { TaskCalendar } from './components/TaskCalendar';
+import { TaskDetailPanel } from './components/TaskDetailPanel';
+import { LabelChip, LabelPicker, ColorSwatches } from './components/TaskLabels';
+import { TaskTimeLog } from './components/TaskTimeLog';
+import { AttachmentThumbnails, AttachmentPicker } from './components/TaskAttachments';
+import { ImageLightbox } from './components/ImageLightbox';
+import { MarkdownContent, MarkdownEditor } from './components/Markdown';
+import { UndoToast, UNDO_TOAST_DURATION } from './components/UndoToast';
+import { ProjectCharts } from './components/ProjectCharts';
+import { useTaskTimer } from './hooks/useTaskTimer';
+import { usePins } from './hooks/usePins';
+import { useStoredState } from './hooks/useStoredState';
+import { useAuth } from './hooks/useAuth';
 import toast from 'react-hot-toast';
 import {
   getSocket,
@@ -11,17 +38,22 @@ import {
   onTaskCreated,
   onTaskUpdated,
   onTaskDeleted,
+  onSubtaskCreated,
+  onSubtaskUpdated,
+  onSubtaskDeleted,
+  onProjectStatusesUpdated,
+  onProjectSprintsUpdated,
 } from './services/socketService';
 import {
   CheckCircle2,
   Clock,
   MoreVertical,
   AlertCircle,
+  AlertTriangle,
   ArrowLeft,
   Calendar,
   Circle,
   PlayCircle,
-  Eye,
   Edit3,
   Trash2,
   Flag,
@@ -36,7 +68,30 @@ import {
   Filter,
   Pin,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  LayoutList,
+  Columns3,
+  CalendarDays,
+  ListChecks,
+  CheckSquare,
+  Bookmark,
+  Settings2,
+  ChevronUp,
+  Lock,
+  Repeat,
+  Play,
+  Square,
+  Timer,
+  Download,
+  Upload,
+  ArrowLeftRight,
+  RotateCcw,
+  Loader2,
+  IterationCw,
+  Target,
+  ChartLine,
+  Eye,
+  X
 } from 'lucide-react';
 
 /**
@@ -70,6 +125,81 @@ const getDaysUntilDue = (dueDateString) => {
   return diffDays;
 };
 
+// Running timer display, e.g. "1:05:09"
+const formatElapsed = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const secs = String(seconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+};
+
+// Apply an updater to one task's subtasks array
+const mapTaskSubtasks = (tasks, taskId, updater) => tasks.map(t =>
+  t.id === taskId ? { ...t, subtasks: updater(Array.isArray(t.subtasks) ? t.subtasks : []) } : t
+);
+
+/**
+ * Blockers of a task that are not done yet. Same-project blockers are read from
+ * the live task list so their status stays current; cross-project ones use the
+ * status category the API returned.
+ */
+const getOpenBlockers = (task, tasks, statuses) => (Array.isArray(task.blocked_by) ? task.blocked_by : [])
+  .map(blocker => tasks.find(t => t.id === blocker.id) || blocker)
+  .filter(blocker => getStatusCategory(blocker, tasks.some(t => t.id === blocker.id) ? statuses : null) !== 'done');
+
+// "Oct 6 – Oct 19" for a sprint's date range. Sprint dates are stored as UTC
+// midnight, so format them in UTC to keep the picked day everywhere.
+const formatSprintRange = (sprint) => {
+  const format = (date) => new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return `${format(sprint.start_date)} – ${format(sprint.end_date)}`;
+};
+
+/**
+ * Sprint picker used by the task modals, the bulk bar and the backlog view.
+ * Only open sprints are offered; an empty value means the backlog.
+ */
+const SprintSelect = ({ value, onChange, sprints, className }) => {
+  // Keep a completed sprint selectable while a task still points at it
+  const current = sprints.find(sprint => sprint.id === value);
+  const options = getOpenSprints(sprints);
+  if (current && !options.includes(current)) options.push(current);
+
+  return (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value ? Number(e.target.value) : null)}
+      className={className}
+    >
+      <option value="">Backlog</option>
+      {options.map(sprint => (
+        <option key={sprint.id} value={sprint.id}>
+          {sprint.name}{sprint.status === 'active' ? ' (active)' : sprint.status === 'completed' ? ' (completed)' : ''}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+// Query-string keys for the filter bar and view; defaults are left out of the URL
+const FILTER_DEFAULTS = {
+  q: '',
+  status: 'all',
+  priority: 'all',
+  assignee: 'all',
+  label: 'all',
+  sprint: 'all',
+  sort: 'due_date',
+  view: 'list',
+};
+
+const buildFilterParams = (values) => {
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== FILTER_DEFAULTS[key]) params.set(key, value);
+  });
+  return params;
+};
+
 const canEditTasks = (userRole) => {
   return userRole === 'lead' || userRole === 'editor';
 };
@@ -77,19 +207,22 @@ const canEditTasks = (userRole) => {
 /**
  * PROJECT-SPECIFIC COMPONENTS
  */
-const TaskStatusBadge = ({ status, taskId, onStatusChange, canEdit, darkMode }) => {
+// Statuses are configured per project; the icon follows the status category
+const STATUS_CATEGORY_ICONS = {
+  not_started: Circle,
+  active: PlayCircle,
+  done: CheckCircle2,
+};
+
+// Status colors are arbitrary hex values, so pills are tinted with inline styles
+const getStatusPillStyle = (color) => ({ color, backgroundColor: `${color}1A` });
+
+const TaskStatusBadge = ({ status, statuses, taskId, onStatusChange, canEdit, darkMode }) => {
   const [showDropdown, setShowDropdown] = useState(false);
   const dropdownRef = React.useRef(null);
 
-  const statusConfig = {
-    todo: { label: 'To Do', icon: Circle, color: 'text-slate-500 bg-slate-500/10', hoverColor: 'hover:bg-slate-500/20' },
-    in_progress: { label: 'In Progress', icon: PlayCircle, color: 'text-blue-500 bg-blue-500/10', hoverColor: 'hover:bg-blue-500/20' },
-    review: { label: 'Review', icon: Eye, color: 'text-purple-500 bg-purple-500/10', hoverColor: 'hover:bg-purple-500/20' },
-    done: { label: 'Done', icon: CheckCircle2, color: 'text-green-500 bg-green-500/10', hoverColor: 'hover:bg-green-500/20' },
-  };
-
-  const config = statusConfig[status] || statusConfig.todo;
-  const Icon = config.icon;
+  const config = getStatusMeta(statuses, status);
+  const Icon = STATUS_CATEGORY_ICONS[config.category] || Circle;
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -114,7 +247,7 @@ const TaskStatusBadge = ({ status, taskId, onStatusChange, canEdit, darkMode })
   // If not editable, render as static badge
   if (!canEdit || !onStatusChange) {
     return (
-      <span className={`inline-flex items-center gap-1.5 text-xs font-bold px-2.5 py-1 rounded-full uppercase tracking-wider ${config.color}`}>
+      <span style={getStatusPillStyle(config.color)} className="inline-flex items-center gap-1.5 text-xs font-bold px-2.5 py-1 rounded-full uppercase tracking-wider">
         <Icon size={12} />
         {config.label}
       </span>
@@ -126,7 +259,8 @@ const TaskStatusBadge = ({ status, taskId, onStatusChange, canEdit, darkMode })
     <div className="relative" ref={dropdownRef}>
       <button
         onClick={() => setShowDropdown(!showDropdown)}
-        className={`inline-flex items-center gap-1.5 text-xs font-bold px-2.5 py-1 rounded-full uppercase tracking-wider transition-all cursor-pointer ${config.color} ${config.hoverColor} ring-offset-1 hover:ring-2 hover:ring-current/30`}
+        style={getStatusPillStyle(config.color)}
+        className="inline-flex items-center gap-1.5 text-xs font-bold px-2.5 py-1 rounded-full uppercase tracking-wider transition-all cursor-pointer hover:brightness-110 ring-offset-1 hover:ring-2 hover:ring-current/30"
         title="Click to change status"
       >
         <Icon size={12} />
@@ -137,17 +271,18 @@ const TaskStatusBadge = ({ status, taskId, onStatusChange, canEdit, darkMode })
       {/* Dropdown Menu */}
       {showDropdown && (
         <div className={`absolute left-0 top-full mt-1 w-40 rounded-lg shadow-xl border overflow-hidden z-20 ${darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200'}`}>
-          {Object.entries(statusConfig).map(([key, cfg]) => {
-            const StatusIcon = cfg.icon;
-            const isActive = key === status;
+          {statuses.map(cfg => {
+            const StatusIcon = STATUS_CATEGORY_ICONS[cfg.category] || Circle;
+            const isActive = cfg.key === status;
             return (
               <button
-                key={key}
-                onClick={() => handleStatusSelect(key)}
+                key={cfg.key}
+                onClick={() => handleStatusSelect(cfg.key)}
+                style={{ color: cfg.color }}
                 className={`w-full flex items-center gap-2 px-3 py-2 text-sm transition-colors ${isActive
                   ? darkMode ? 'bg-[#171717]' : 'bg-gray-100'
                   : darkMode ? 'hover:bg-[#171717]' : 'hover:bg-gray-50'
-                  } ${cfg.color.split(' ')[0]}`}
+                  }`}
               >
                 <StatusIcon size={14} />
                 <span className="font-medium">{cfg.label}</span>
@@ -180,17 +315,318 @@ const PriorityBadge = ({ priority }) => {
   );
 };
 
-const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogglePin, onStatusChange }) => {
+const getSubtaskProgress = (task) => {
+  const subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+  return { done: subtasks.filter(s => s.is_done).length, total: subtasks.length };
+};
+
+/**
+ * Checklist of subtasks with done state and optional assignee.
+ * Read-only unless canEdit; changes go straight to the API through the handlers.
+ */
+const SubtaskChecklist = ({ subtasks = [], projectMembers = [], canEdit, onAdd, onUpdate, onDelete, darkMode }) => {
+  const [newTitle, setNewTitle] = useState('');
+  const [newAssigneeId, setNewAssigneeId] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title) return;
+
+    setIsAdding(true);
+    try {
+      await onAdd({ title, assignee_id: newAssigneeId ? parseInt(newAssigneeId) : null });
+      setNewTitle('');
+      setNewAssigneeId('');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const selectClass = `rounded-md px-1.5 py-1 text-xs focus:outline-none ${darkMode ? 'bg-[#171717] text-gray-300 border border-[#171717]' : 'bg-gray-100 text-gray-600 border border-gray-200'}`;
+
+  return (
+    <div className="space-y-1.5">
+      {subtasks.map(subtask => (
+        <div key={subtask.id} className={`flex items-center gap-2 group/subtask rounded-md px-1 py-0.5 ${darkMode ? 'hover:bg-[#171717]/60' : 'hover:bg-gray-50'}`}>
+          <input
+            type="checkbox"
+            checked={!!subtask.is_done}
+            disabled={!canEdit}
+            onChange={(e) => onUpdate(subtask.id, { is_done: e.target.checked })}
+            className="rounded border-2 border-gray-400 disabled:cursor-not-allowed"
+          />
+          <span className={`flex-1 min-w-0 truncate text-sm ${subtask.is_done
+            ? 'line-through text-gray-400'
+            : darkMode ? 'text-gray-300' : 'text-black'
+            }`}>
+            {sanitizeText(subtask.title)}
+          </span>
+
+          {canEdit ? (
+            <select
+              value={subtask.assignee_id || ''}
+              onChange={(e) => onUpdate(subtask.id, { assignee_id: e.target.value ? parseInt(e.target.value) : null })}
+              className={selectClass}
+              title="Assignee"
+            >
+              <option value="">Unassigned</option>
+              {projectMembers.map(member => (
+                <option key={member.user_id} value={member.user_id}>{member.username}</option>
+              ))}
+            </select>
+          ) : subtask.assignee_username && (
+            <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>@{subtask.assignee_username}</span>
+          )}
+
+          {canEdit && (
+            <button
+              type="button"
+              onClick={() => onDelete(subtask.id)}
+              className="p-1 rounded text-red-500 opacity-0 group-hover/subtask:opacity-100 transition-opacity hover:bg-red-500/10"
+              title="Remove item"
+            >
+              <Trash2 size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {subtasks.length === 0 && !canEdit && (
+        <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>No checklist items</p>
+      )}
+
+      {canEdit && (
+        <div className="flex items-center gap-2 pt-1">
+          <input
+            type="text"
+            value={newTitle}
+            maxLength={255}
+            onChange={(e) => setNewTitle(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Enter') handleAdd(e); }}
+            placeholder="Add checklist item..."
+            className={`flex-1 min-w-0 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 placeholder:text-gray-500' : 'bg-gray-100 text-black placeholder:text-gray-400'}`}
+          />
+          <select value={newAssigneeId} onChange={(e) => setNewAssigneeId(e.target.value)} className={selectClass}>
+            <option value="">Unassigned</option>
+            {projectMembers.map(member => (
+              <option key={member.user_id} value={member.user_id}>{member.username}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={isAdding || !newTitle.trim()}
+            className="p-1.5 rounded-md bg-[#006239] hover:bg-[#005230] text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Add item"
+          >
+            <Plus size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * "Blocked by" / "Blocks" lists for a task. Blockers can come from any project
+ * in the team; links are saved immediately through onAdd / onRemove.
+ */
+const TaskDependencies = ({ task, tasks, statuses, projectId, teamId, canEdit, onAdd, onRemove, darkMode }) => {
+  const [sourceProjectId, setSourceProjectId] = useState(String(projectId));
+  const [teamProjects, setTeamProjects] = useState([]);
+  const [otherTasks, setOtherTasks] = useState([]);
+  const [selectedBlockerId, setSelectedBlockerId] = useState('');
+  const [isAdding, setIsAdding] = useState(false);
+
+  const blockedBy = (Array.isArray(task.blocked_by) ? task.blocked_by : [])
+    .map(blocker => tasks.find(t => t.id === blocker.id) || blocker);
+  const blocking = tasks.filter(t => (t.blocked_by || []).some(b => b.id === task.id));
+  const isCurrentProject = sourceProjectId === String(projectId);
+
+  // Other projects in the team, for cross-project blockers
+  useEffect(() => {
+    if (!canEdit || !teamId) return;
+    projectApi.getTeamProjects(teamId)
+      .then(res => { if (res.success) setTeamProjects(res.data.filter(p => String(p.id) !== String(projectId))); })
+      .catch(err => console.error('Failed to load team projects:', err));
+  }, [canEdit, teamId, projectId]);
+
+  useEffect(() => {
+    setSelectedBlockerId('');
+    if (isCurrentProject) return;
+    projectApi.getProjectTasks(sourceProjectId)
+      .then(res => { if (res.success) setOtherTasks(res.data); })
+      .catch(err => {
+        console.error('Failed to load project tasks:', err);
+        setOtherTasks([]);
+      });
+  }, [sourceProjectId, isCurrentProject]);
+
+  const candidates = (isCurrentProject ? tasks : otherTasks).filter(t =>
+    t.id !== task.id &&
+    !blockedBy.some(b => b.id === t.id) &&
+    !blocking.some(b => b.id === t.id)
+  );
+
+  const handleAdd = async () => {
+    const blocker = candidates.find(t => String(t.id) === selectedBlockerId);
+    if (!blocker) return;
+
+    const sourceProject = teamProjects.find(p => String(p.id) === sourceProjectId);
+    setIsAdding(true);
+    try {
+      await onAdd({
+        id: blocker.id,
+        title: blocker.title,
+        status: blocker.status,
+        status_category: getStatusCategory(blocker, isCurrentProject ? statuses : null),
+        project_id: isCurrentProject ? Number(projectId) : blocker.project_id ?? sourceProject?.id,
+        project_name: isCurrentProject ? null : sourceProject?.name,
+      });
+      setSelectedBlockerId('');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const selectClass = `rounded-md px-1.5 py-1 text-xs focus:outline-none ${darkMode ? 'bg-[#171717] text-gray-300 border border-[#171717]' : 'bg-gray-100 text-gray-600 border border-gray-200'}`;
+
+  const renderRow = (linked, onRemoveRow) => {
+    const isDone = getStatusCategory(linked, tasks.some(t => t.id === linked.id) ? statuses : null) === 'done';
+    return (
+    <div key={linked.id} className={`flex items-center gap-2 group/dependency rounded-md px-1 py-0.5 ${darkMode ? 'hover:bg-[#171717]/60' : 'hover:bg-gray-50'}`}>
+      {isDone
+        ? <CheckCircle2 size={14} className="text-green-500 flex-shrink-0" />
+        : <Lock size={14} className="text-amber-500 flex-shrink-0" />}
+      <span className={`flex-1 min-w-0 truncate text-sm ${isDone ? 'line-through text-gray-400' : darkMode ? 'text-gray-300' : 'text-black'}`}>
+        {sanitizeText(linked.title)}
+        {linked.project_name && String(linked.project_id) !== String(projectId) && (
+          <span className={`ml-1.5 text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>· {linked.project_name}</span>
+        )}
+      </span>
+      {onRemoveRow && (
+        <button
+          type="button"
+          onClick={onRemoveRow}
+          className="p-1 rounded text-red-500 opacity-0 group-hover/dependency:opacity-100 transition-opacity hover:bg-red-500/10"
+          title="Remove link"
+        >
+          <X size={12} />
+        </button>
+      )}
+    </div>
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div>
+        <p className={`text-xs font-bold uppercase tracking-wider mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Blocked by</p>
+        {blockedBy.length > 0
+          ? blockedBy.map(blocker => renderRow(blocker, canEdit ? () => onRemove(blocker.id) : null))
+          : <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>Nothing is blocking this task</p>}
+
+        {canEdit && (
+          <div className="flex items-center gap-2 pt-1">
+            <select value={sourceProjectId} onChange={(e) => setSourceProjectId(e.target.value)} className={selectClass} title="Project">
+              <option value={String(projectId)}>This project</option>
+              {teamProjects.map(p => (
+                <option key={p.id} value={String(p.id)}>{p.name}</option>
+              ))}
+            </select>
+            <select value={selectedBlockerId} onChange={(e) => setSelectedBlockerId(e.target.value)} className={`${selectClass} flex-1 min-w-0`}>
+              <option value="">Select a blocking task...</option>
+              {candidates.map(t => (
+                <option key={t.id} value={String(t.id)}>{t.title}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleAdd}
+              disabled={isAdding || !selectedBlockerId}
+              className="p-1.5 rounded-md bg-[#006239] hover:bg-[#005230] text-white disabled:opacity-50 disabled:cursor-not-allowed"
+              title="Add blocker"
+            >
+              <Plus size={14} />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {blocking.length > 0 && (
+        <div>
+          <p className={`text-xs font-bold uppercase tracking-wider mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Blocks</p>
+          {blocking.map(blocked => renderRow(blocked, null))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Watch / Watching toggle. Any project member can watch a task; watchers are
+ * notified when its status, assignees, due date or description change.
+ */
+const WatchButton = ({ isWatching, onToggle, darkMode }) => (
+  <button
+    onClick={onToggle}
+    className={`inline-flex items-center gap-1 text-xs font-bold px-2 py-1 rounded-full transition-colors ${isWatching
+      ? 'text-blue-500 bg-blue-500/10 hover:bg-blue-500/20'
+      : darkMode ? 'text-gray-300 bg-[#171717] hover:bg-gray-700' : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+      }`}
+    title={isWatching ? 'Stop getting notified about changes' : 'Get notified when this task changes'}
+  >
+    <Eye size={12} />
+    {isWatching ? 'Watching' : 'Watch'}
+  </button>
+);
+
+const WatcherAvatars = ({ watchers, darkMode }) => (
+  <div className="flex -space-x-2" title={watchers.map(w => w.username).join(', ')}>
+    {watchers.slice(0, 3).map(watcher => (
+      watcher.avatar_url ? (
+        <img
+          key={watcher.user_id}
+          src={watcher.avatar_url}
+          alt={watcher.username}
+          className={`h-6 w-6 rounded-full object-cover border-2 ${darkMode ? 'border-[rgb(30,36,30)]' : 'border-white'}`}
+        />
+      ) : (
+        <div
+          key={watcher.user_id}
+          className={`h-6 w-6 rounded-full flex items-center justify-center text-xs font-medium border-2 ${darkMode ? 'bg-[#006239] text-white border-[rgb(30,36,30)]' : 'bg-gray-200 text-black border-white'}`}
+        >
+          {watcher.username ? watcher.username.charAt(0).toUpperCase() : '?'}
+        </div>
+      )
+    ))}
+    {watchers.length > 3 && (
+      <div className={`h-6 w-6 rounded-full flex items-center justify-center text-xs font-medium border-2 ${darkMode ? 'bg-[#171717] text-gray-300 border-[rgb(30,36,30)]' : 'bg-gray-100 text-gray-700 border-white'}`}>
+        +{watchers.length - 3}
+      </div>
+    )}
+  </div>
+);
+
+const TaskCard = ({ task, statuses, sprint, darkMode, userRole, onEdit, onDelete, onOpenDetails, openBlockers = [], selection, timer, onPreviewImage, isPinned, onTogglePin, isWatching, onToggleWatch, onStatusChange, projectMembers, onAddSubtask, onUpdateSubtask, onDeleteSubtask }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [showActions, setShowActions] = useState(false);
+  const [showChecklist, setShowChecklist] = useState(false);
+  const subtaskProgress = getSubtaskProgress(task);
   const daysUntilDue = getDaysUntilDue(task.due_date);
-  const isOverdue = daysUntilDue !== null && daysUntilDue < 0;
-  const isDueSoon = daysUntilDue !== null && daysUntilDue >= 0 && daysUntilDue <= 3;
+  const isDone = getStatusCategory(task, statuses) === 'done';
+  const isOverdue = daysUntilDue !== null && daysUntilDue < 0 && !isDone;
+  const isDueSoon = daysUntilDue !== null && daysUntilDue >= 0 && daysUntilDue <= 3 && !isDone;
 
   const canEdit = canEditTasks(userRole);
 
   return (
-    <div className={`${darkMode ? 'bg-dark-secondary/50 border-[#171717]/50 hover:border-blue-500/50' : 'bg-white border-gray-200 shadow-sm hover:border-blue-500'} ${isPinned ? 'ring-2 ring-amber-500/50' : ''} border rounded-xl p-5 transition-all group relative`}>
+    <div
+      onClick={selection ? (e) => { if (e.shiftKey) { e.preventDefault(); selection.onToggle(task, true); } } : undefined}
+      className={`${darkMode ? 'bg-dark-secondary/50 border-[#171717]/50 hover:border-blue-500/50' : 'bg-white border-gray-200 shadow-sm hover:border-blue-500'} ${isPinned ? 'ring-2 ring-amber-500/50' : ''} ${selection?.isSelected ? '!border-blue-500 ring-2 ring-blue-500/40' : ''} ${selection ? 'select-none' : ''} border rounded-xl p-5 transition-all group relative`}
+    >
 
       {/* Pinned indicator */}
       {isPinned && (
@@ -200,20 +636,91 @@ const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogg
       )}
 
       <div className="flex items-start justify-between gap-3 mb-3">
+        {selection && (
+          <input
+            type="checkbox"
+            checked={selection.isSelected}
+            onChange={() => { }}
+            onClick={(e) => { e.stopPropagation(); selection.onToggle(task, e.shiftKey); }}
+            className="mt-1.5 h-4 w-4 rounded border-2 border-gray-400 cursor-pointer flex-shrink-0"
+            title="Select (shift-click to select a range)"
+          />
+        )}
         <div className="flex-1 min-w-0">
           <h3 className={`font-semibold text-lg mb-2 ${darkMode ? 'text-white' : 'text-black'}`}>
-            {sanitizeText(task.title)}
+            <button
+              onClick={() => onOpenDetails(task)}
+              className="text-left hover:underline"
+              title="Open details, comments and activity"
+            >
+              {sanitizeText(task.title)}
+            </button>
           </h3>
           <div className="flex flex-wrap items-center gap-2">
             <TaskStatusBadge
               status={task.status}
+              statuses={statuses}
               taskId={task.id}
               onStatusChange={onStatusChange}
               canEdit={canEdit}
               darkMode={darkMode}
             />
             <PriorityBadge priority={task.priority} />
+            {openBlockers.length > 0 && (
+              <button
+                onClick={() => onOpenDetails(task)}
+                className="inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full text-red-500 bg-red-500/10 hover:bg-red-500/20 transition-colors"
+                title={`Blocked by: ${openBlockers.map(b => b.title).join(', ')}`}
+              >
+                <Lock size={12} />
+                Blocked
+              </button>
+            )}
+            {task.recurrence && (
+              <span
+                className={`inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full ${darkMode ? 'text-teal-400 bg-teal-500/10' : 'text-teal-600 bg-teal-500/10'}`}
+                title={describeRecurrence(task.recurrence)}
+              >
+                <Repeat size={12} />
+                Repeats
+              </span>
+            )}
+            {sprint && (
+              <span
+                className={`inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full ${sprint.status === 'active'
+                  ? darkMode ? 'text-indigo-300 bg-indigo-500/15' : 'text-indigo-600 bg-indigo-500/10'
+                  : darkMode ? 'text-gray-400 bg-gray-500/10' : 'text-gray-500 bg-gray-500/10'
+                  }`}
+                title={`${sprint.name} · ${formatSprintRange(sprint)}`}
+              >
+                <IterationCw size={12} />
+                {sprint.name}
+              </span>
+            )}
+            {subtaskProgress.total > 0 && (
+              <button
+                onClick={() => setShowChecklist(!showChecklist)}
+                className={`inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full transition-colors ${subtaskProgress.done === subtaskProgress.total
+                  ? 'text-green-500 bg-green-500/10 hover:bg-green-500/20'
+                  : darkMode ? 'text-gray-300 bg-[#171717] hover:bg-gray-700' : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                  }`}
+                title="Show checklist"
+              >
+                <ListChecks size={12} />
+                {subtaskProgress.done}/{subtaskProgress.total}
+              </button>
+            )}
           </div>
+          {task.labels?.length > 0 && (
+            <div className="flex flex-wrap gap-1.5 mt-2">
+              {task.labels.map(label => <LabelChip key={label.id} label={label} />)}
+            </div>
+          )}
+          {task.attachments?.length > 0 && (
+            <div className="mt-3">
+              <AttachmentThumbnails attachments={task.attachments} onPreview={onPreviewImage} darkMode={darkMode} />
+            </div>
+          )}
         </div>
 
         {canEdit && (
@@ -242,6 +749,20 @@ const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogg
                   <Edit3 size={14} />
                   Edit Task
                 </button>
+                <button
+                  onClick={() => { onOpenDetails(task); setShowActions(false); }}
+                  className={`w-full flex items-center gap-2 px-4 py-2.5 text-sm transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200/30 text-black'}`}
+                >
+                  <MessageSquare size={14} />
+                  Comments & Activity
+                </button>
+                <button
+                  onClick={() => { setShowChecklist(!showChecklist); setShowActions(false); }}
+                  className={`w-full flex items-center gap-2 px-4 py-2.5 text-sm transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200/30 text-black'}`}
+                >
+                  <ListChecks size={14} />
+                  {showChecklist ? 'Hide Checklist' : 'Checklist'}
+                </button>
                 <button
                   onClick={() => { onDelete(task); setShowActions(false); }}
                   className={`w-full flex items-center gap-2 px-4 py-2.5 text-sm transition-colors ${darkMode ? 'hover:bg-[#171717] text-red-400' : 'hover:bg-gray-200/30 text-red-600'}`}
@@ -255,13 +776,16 @@ const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogg
         )}
       </div>
 
-      {task.description && (
-        <p className={`${darkMode ? 'text-gray-300' : 'text-gray-400'} text-sm mb-4 ${isExpanded ? '' : 'line-clamp-2'}`}>
-          {sanitizeText(task.description)}
+      {/* Collapsed: plain-text preview of the Markdown; expanded: rendered */}
+      {task.description && (isExpanded ? (
+        <MarkdownContent source={task.description} darkMode={darkMode} className={`mb-4 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`} />
+      ) : (
+        <p className={`${darkMode ? 'text-gray-300' : 'text-gray-400'} text-sm mb-4 line-clamp-2`}>
+          {stripMarkdown(task.description)}
         </p>
-      )}
+      ))}
 
-      {task.description && task.description.length > 100 && (
+      {task.description && (task.description.length > 100 || task.description.includes('\n')) && (
         <button
           onClick={() => setIsExpanded(!isExpanded)}
           className={`text-xs font-medium mb-3 ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-400 hover:text-black'}`}
@@ -270,6 +794,29 @@ const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogg
         </button>
       )}
 
+      {/* Checklist (toggled from the progress badge, or the menu when empty) */}
+      {showChecklist && (
+        <div className={`mb-4 p-3 rounded-lg ${darkMode ? 'bg-[#171717]/40' : 'bg-gray-50'}`}>
+          {subtaskProgress.total > 0 && (
+            <div className={`w-full rounded-full h-1 mb-3 ${darkMode ? 'bg-[#171717]' : 'bg-gray-200'}`}>
+              <div
+                className="bg-[#006239] h-1 rounded-full transition-all duration-300"
+                style={{ width: `${Math.round((subtaskProgress.done / subtaskProgress.total) * 100)}%` }}
+              />
+            </div>
+          )}
+          <SubtaskChecklist
+            subtasks={task.subtasks}
+            projectMembers={projectMembers}
+            canEdit={canEdit}
+            onAdd={(data) => onAddSubtask(task.id, data)}
+            onUpdate={(subtaskId, updates) => onUpdateSubtask(task.id, subtaskId, updates)}
+            onDelete={(subtaskId) => onDeleteSubtask(task.id, subtaskId)}
+            darkMode={darkMode}
+          />
+        </div>
+      )}
+
       <div className={`space-y-3 pt-3 border-t ${darkMode ? 'border-[#171717]/50' : 'border-gray-200'}`}>
 
         {/* Assigned To Row */}
@@ -350,6 +897,17 @@ const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogg
           </div>
         </div>
 
+        {/* Watchers Row */}
+        <div className="flex items-center justify-between">
+          <span className={`text-xs font-medium ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
+            Watchers:
+          </span>
+          <div className="flex items-center gap-2">
+            {task.watchers?.length > 0 && <WatcherAvatars watchers={task.watchers} darkMode={darkMode} />}
+            <WatchButton isWatching={isWatching} onToggle={() => onToggleWatch(task.id)} darkMode={darkMode} />
+          </div>
+        </div>
+
         {/* Due Date Row */}
         <div className="flex items-center justify-between">
           <span className={`text-xs font-medium ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
@@ -365,6 +923,35 @@ const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogg
           </div>
         </div>
 
+        {/* Time Row */}
+        <div className="flex items-center justify-between">
+          <span className={`text-xs font-medium ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
+            Time:
+          </span>
+          <div className="flex items-center gap-2">
+            <span
+              className={`text-sm font-medium ${task.estimate_minutes && task.tracked_minutes > task.estimate_minutes ? 'text-red-500' : darkMode ? 'text-gray-300' : 'text-black'}`}
+              title="Tracked / estimated"
+            >
+              {formatMinutes(task.tracked_minutes)}
+              {task.estimate_minutes > 0 && <span className="opacity-60"> / {formatMinutes(task.estimate_minutes)}</span>}
+            </span>
+            {timer && (
+              <button
+                onClick={timer.isRunning ? timer.onStop : () => timer.onStart(task)}
+                className={`inline-flex items-center gap-1 text-xs font-bold px-2 py-1 rounded-full transition-colors ${timer.isRunning
+                  ? 'text-red-500 bg-red-500/10 hover:bg-red-500/20'
+                  : darkMode ? 'text-gray-300 bg-[#171717] hover:bg-gray-700' : 'text-gray-600 bg-gray-100 hover:bg-gray-200'
+                  }`}
+                title={timer.isRunning ? 'Stop timer and log time' : 'Start timer'}
+              >
+                {timer.isRunning ? <Square size={10} className="fill-current" /> : <Play size={10} className="fill-current" />}
+                {timer.isRunning ? formatElapsed(timer.elapsedSeconds) : 'Start'}
+              </button>
+            )}
+          </div>
+        </div>
+
         {/* Updated Date Footer */}
         <div className="flex justify-end pt-1">
           <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'} opacity-60`}>
@@ -376,66 +963,338 @@ const TaskCard = ({ task, darkMode, userRole, onEdit, onDelete, isPinned, onTogg
   );
 };
 
-
-const FilterButton = ({ active, children, onClick, darkMode }) => (
-  <button
-    onClick={onClick}
-    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${active
-      ? 'bg-[#006239] text-white shadow-md'
-      : darkMode
-        ? 'bg-dark-secondary/50 text-gray-300 hover:bg-[#171717] hover:text-gray-300'
-        : 'bg-white text-gray-400 border border-gray-200 hover:bg-gray-200/30 hover:text-black'
-      }`}
-  >
-    {children}
-  </button>
-);
-
 /**
- * MODAL COMPONENTS
+ * Board view: one column per status. Editors drag cards between columns to change
+ * status; the backend broadcasts the change via task-updated so other boards follow.
  */
-const Modal = ({ isOpen, onClose, title, children, darkMode }) => {
-  if (!isOpen) return null;
+const KanbanBoard = ({ tasks, statuses, darkMode, userRole, onStatusChange, renderTaskCard }) => {
+  const [draggedTaskId, setDraggedTaskId] = useState(null);
+  const [dragOverStatus, setDragOverStatus] = useState(null);
 
-  // Prevent body scroll when modal is open
-  React.useEffect(() => {
-    const originalOverflow = document.body.style.overflow;
-    const originalPaddingRight = document.body.style.paddingRight;
+  const canEdit = canEditTasks(userRole);
 
-    // Prevent scroll
-    document.body.style.overflow = 'hidden';
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(task.id)); // Required for Firefox to start the drag
+    setDraggedTaskId(task.id);
+  };
 
-    // Prevent scrollbar shift by adding padding
-    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
-    if (scrollbarWidth > 0) {
-      document.body.style.paddingRight = `${scrollbarWidth}px`;
-    }
+  const handleDragEnd = () => {
+    setDraggedTaskId(null);
+    setDragOverStatus(null);
+  };
 
-    return () => {
-      document.body.style.overflow = originalOverflow;
-      document.body.style.paddingRight = originalPaddingRight;
-    };
-  }, []);
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    const task = tasks.find(t => t.id === draggedTaskId);
+    handleDragEnd();
+    if (task && task.status !== status) {
+      onStatusChange(task.id, status);
+    }
+  };
 
   return (
-    <div
-      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm overflow-hidden"
-      onClick={onClose}
-      onWheel={(e) => e.preventDefault()}
-      onTouchMove={(e) => e.preventDefault()}
-    >
-      <div
-        className={`w-full max-w-2xl rounded-xl shadow-2xl max-h-[90vh] overflow-hidden ${darkMode ? 'bg-dark-secondary border border-[#171717]' : 'bg-white border border-gray-200'
-          }`}
-        onClick={(e) => e.stopPropagation()}
-      >
-        <div className={`flex items-center justify-between p-6 border-b ${darkMode ? 'border-[#171717]' : 'border-gray-200'
-          }`}>
-          <h2 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-black'
-            }`}>{title}</h2>
-          <button
-            onClick={onClose}
-            className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-100 text-gray-700'
+    <div className="grid gap-4 items-start md:grid-flow-col md:auto-cols-[minmax(260px,1fr)] overflow-x-auto pb-2">
+      {statuses.map(cfg => {
+        const status = cfg.key;
+        const columnTasks = tasks.filter(t => t.status === status);
+        const StatusIcon = STATUS_CATEGORY_ICONS[cfg.category] || Circle;
+        const isDropTarget = canEdit && dragOverStatus === status;
+
+        return (
+          <div
+            key={status}
+            onDragOver={canEdit ? (e) => { e.preventDefault(); setDragOverStatus(status); } : undefined}
+            onDragLeave={canEdit ? (e) => {
+              // Ignore leave events fired when moving over child cards
+              if (!e.currentTarget.contains(e.relatedTarget)) setDragOverStatus(null);
+            } : undefined}
+            onDrop={canEdit ? (e) => handleDrop(e, status) : undefined}
+            className={`rounded-xl border p-3 min-h-[200px] transition-colors ${isDropTarget
+              ? darkMode ? 'border-blue-500/60 bg-blue-500/5' : 'border-blue-400 bg-blue-50/50'
+              : darkMode ? 'border-[#171717]/50 bg-dark-secondary/30' : 'border-gray-200 bg-gray-200/20'
+              }`}
+          >
+            <div className="flex items-center justify-between mb-3 px-1">
+              <span style={getStatusPillStyle(cfg.color)} className="inline-flex items-center gap-1.5 text-xs font-bold px-2.5 py-1 rounded-full uppercase tracking-wider">
+                <StatusIcon size={12} />
+                {cfg.label}
+              </span>
+              <span className={`text-xs font-medium ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {columnTasks.length}
+              </span>
+            </div>
+
+            <div className="space-y-3">
+              {columnTasks.map(task => (
+                <div
+                  key={task.id}
+                  draggable={canEdit}
+                  onDragStart={canEdit ? (e) => handleDragStart(e, task) : undefined}
+                  onDragEnd={canEdit ? handleDragEnd : undefined}
+                  className={`${canEdit ? 'cursor-grab active:cursor-grabbing' : ''} ${draggedTaskId === task.id ? 'opacity-50' : ''}`}
+                >
+                  {renderTaskCard(task)}
+                </div>
+              ))}
+
+              {columnTasks.length === 0 && (
+                <p className={`text-xs text-center py-6 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                  {canEdit ? 'Drop tasks here' : 'No tasks'}
+                </p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+
+// Actions offered in selection mode; value inputs are rendered per action
+const BULK_ACTIONS = [
+  { value: 'status', label: 'Change status' },
+  { value: 'priority', label: 'Change priority' },
+  { value: 'assignee', label: 'Reassign' },
+  { value: 'due_date', label: 'Set due date' },
+  { value: 'label', label: 'Add label' },
+  { value: 'sprint', label: 'Move to sprint' },
+  { value: 'delete', label: 'Delete' },
+];
+
+/**
+ * Floating bar shown while tasks are selected: pick one action and a value,
+ * then apply it to every selected task.
+ */
+const BulkActionBar = ({ count, visibleCount, onSelectAll, onClear, onApply, isApplying, projectMembers, labels, statuses, sprints = [], darkMode }) => {
+  const [action, setAction] = useState('status');
+  const [value, setValue] = useState(() => getInitialStatusKey(statuses));
+
+  const defaultValueFor = (nextAction) => ({
+    status: getInitialStatusKey(statuses),
+    priority: 'medium',
+    assignee: '',
+    due_date: '',
+    label: labels[0] ? String(labels[0].id) : '',
+    sprint: '',
+    delete: '',
+  })[nextAction];
+
+  const needsValue = ['status', 'priority', 'label'].includes(action);
+  const canApply = count > 0 && !isApplying && (!needsValue || value);
+
+  const controlClass = `rounded-lg px-2.5 py-1.5 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 border border-[#171717]' : 'bg-gray-100 text-gray-700 border border-gray-200'}`;
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-30 w-[calc(100%-2rem)] max-w-3xl">
+      <div className={`flex items-center gap-3 flex-wrap rounded-xl border shadow-2xl px-4 py-3 ${darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200'}`}>
+        <span className={`text-sm font-bold ${darkMode ? 'text-white' : 'text-black'}`}>{count} selected</span>
+        {count < visibleCount && (
+          <button onClick={onSelectAll} className={`text-xs font-medium ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}>
+            Select all {visibleCount}
+          </button>
+        )}
+        <button onClick={onClear} className={`text-xs font-medium ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}>
+          Clear
+        </button>
+
+        <div className="flex items-center gap-2 ml-auto flex-wrap">
+          <select
+            value={action}
+            onChange={(e) => { setAction(e.target.value); setValue(defaultValueFor(e.target.value)); }}
+            className={controlClass}
+          >
+            {BULK_ACTIONS.filter(a => (a.value !== 'label' || labels.length > 0) && (a.value !== 'sprint' || sprints.length > 0)).map(a => (
+              <option key={a.value} value={a.value}>{a.label}</option>
+            ))}
+          </select>
+
+          {action === 'status' && (
+            <select value={value} onChange={(e) => setValue(e.target.value)} className={controlClass}>
+              {statuses.map(status => (
+                <option key={status.key} value={status.key}>{status.label}</option>
+              ))}
+            </select>
+          )}
+          {action === 'priority' && (
+            <select value={value} onChange={(e) => setValue(e.target.value)} className={controlClass}>
+              <option value="urgent">Urgent</option>
+              <option value="high">High</option>
+              <option value="medium">Medium</option>
+              <option value="low">Low</option>
+            </select>
+          )}
+          {action === 'assignee' && (
+            <select value={value} onChange={(e) => setValue(e.target.value)} className={controlClass}>
+              <option value="">Unassigned</option>
+              {projectMembers.map(member => (
+                <option key={member.user_id} value={member.user_id}>{member.username}</option>
+              ))}
+            </select>
+          )}
+          {action === 'due_date' && (
+            <input type="date" value={value} onChange={(e) => setValue(e.target.value)} className={controlClass} title="Leave empty to clear the due date" />
+          )}
+          {action === 'label' && (
+            <select value={value} onChange={(e) => setValue(e.target.value)} className={controlClass}>
+              {labels.map(label => (
+                <option key={label.id} value={String(label.id)}>{label.name}</option>
+              ))}
+            </select>
+          )}
+          {action === 'sprint' && (
+            <SprintSelect value={value || null} onChange={(sprintId) => setValue(sprintId ? String(sprintId) : '')} sprints={sprints} className={controlClass} />
+          )}
+
+          <button
+            onClick={() => onApply(action, value)}
+            disabled={!canApply}
+            className={`flex items-center gap-1.5 px-4 py-1.5 rounded-lg text-sm font-semibold text-white transition-all active:scale-95 disabled:opacity-50 disabled:cursor-not-allowed ${action === 'delete' ? 'bg-red-600 hover:bg-red-700' : 'bg-[#006239] hover:bg-[#005230]'}`}
+          >
+            {action === 'delete' && <Trash2 size={14} />}
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Saved views above the filter bar. A view is the filter query string; the one
+ * matching the current filters is highlighted.
+ */
+const SavedViewsBar = ({ views, currentQuery, onApply, onDelete, onSave, darkMode }) => {
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    onSave(trimmed);
+    setName('');
+    setIsNaming(false);
+  };
+
+  const isCurrentSaved = views.some(v => v.query === currentQuery);
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap mb-3">
+      <Bookmark size={14} className={darkMode ? 'text-gray-400' : 'text-gray-500'} />
+      {views.map(view => (
+        <div
+          key={view.id}
+          className={`group/view inline-flex items-center gap-1 rounded-full pl-3 pr-1.5 py-1 text-xs font-semibold border transition-colors ${view.query === currentQuery
+            ? 'bg-[#006239] text-white border-[#006239]'
+            : darkMode ? 'bg-[#171717] text-gray-300 border-[#171717] hover:border-gray-600' : 'bg-white text-gray-600 border-gray-200 hover:border-gray-400'
+            }`}
+        >
+          <button onClick={() => onApply(view.query)}>{view.name}</button>
+          <button
+            onClick={() => onDelete(view.id)}
+            className="p-0.5 rounded-full opacity-0 group-hover/view:opacity-100 transition-opacity hover:bg-black/10"
+            title="Delete view"
+          >
+            <X size={10} />
+          </button>
+        </div>
+      ))}
+
+      {isNaming ? (
+        <form onSubmit={handleSave} className="inline-flex items-center gap-1">
+          <input
+            autoFocus
+            type="text"
+            value={name}
+            maxLength={40}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => { if (e.key === 'Escape') setIsNaming(false); }}
+            placeholder="View name"
+            className={`rounded-full px-3 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 placeholder:text-gray-500' : 'bg-gray-100 text-black placeholder:text-gray-400'}`}
+          />
+          <button type="submit" disabled={!name.trim()} className="text-xs font-semibold text-[#006239] disabled:opacity-50">Save</button>
+          <button type="button" onClick={() => setIsNaming(false)} className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Cancel</button>
+        </form>
+      ) : !isCurrentSaved && currentQuery && (
+        <button
+          onClick={() => setIsNaming(true)}
+          className={`inline-flex items-center gap-1 text-xs font-medium ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}
+        >
+          <Plus size={12} />
+          Save current view
+        </button>
+      )}
+
+      {views.length === 0 && !isNaming && !currentQuery && (
+        <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+          Filter the task list to save it as a view
+        </span>
+      )}
+    </div>
+  );
+};
+
+const FilterButton = ({ active, children, onClick, darkMode }) => (
+  <button
+    onClick={onClick}
+    className={`px-4 py-2 rounded-lg text-sm font-medium transition-all ${active
+      ? 'bg-[#006239] text-white shadow-md'
+      : darkMode
+        ? 'bg-dark-secondary/50 text-gray-300 hover:bg-[#171717] hover:text-gray-300'
+        : 'bg-white text-gray-400 border border-gray-200 hover:bg-gray-200/30 hover:text-black'
+      }`}
+  >
+    {children}
+  </button>
+);
+
+/**
+ * MODAL COMPONENTS
+ */
+const Modal = ({ isOpen, onClose, title, children, darkMode }) => {
+  if (!isOpen) return null;
+
+  // Prevent body scroll when modal is open
+  React.useEffect(() => {
+    const originalOverflow = document.body.style.overflow;
+    const originalPaddingRight = document.body.style.paddingRight;
+
+    // Prevent scroll
+    document.body.style.overflow = 'hidden';
+
+    // Prevent scrollbar shift by adding padding
+    const scrollbarWidth = window.innerWidth - document.documentElement.clientWidth;
+    if (scrollbarWidth > 0) {
+      document.body.style.paddingRight = `${scrollbarWidth}px`;
+    }
+
+    return () => {
+      document.body.style.overflow = originalOverflow;
+      document.body.style.paddingRight = originalPaddingRight;
+    };
+  }, []);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50 backdrop-blur-sm overflow-hidden"
+      onClick={onClose}
+      onWheel={(e) => e.preventDefault()}
+      onTouchMove={(e) => e.preventDefault()}
+    >
+      <div
+        className={`w-full max-w-2xl rounded-xl shadow-2xl max-h-[90vh] overflow-hidden ${darkMode ? 'bg-dark-secondary border border-[#171717]' : 'bg-white border border-gray-200'
+          }`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className={`flex items-center justify-between p-6 border-b ${darkMode ? 'border-[#171717]' : 'border-gray-200'
+          }`}>
+          <h2 className={`text-2xl font-bold ${darkMode ? 'text-white' : 'text-black'
+            }`}>{title}</h2>
+          <button
+            onClick={onClose}
+            className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-100 text-gray-700'
               }`}
           >
             ✕
@@ -449,14 +1308,128 @@ const Modal = ({ isOpen, onClose, title, children, darkMode }) => {
   );
 };
 
-const CreateTaskModal = ({ isOpen, onClose, onSubmit, projectMembers, darkMode }) => {
+/**
+ * Repeat rule editor shared by the create and edit modals. value is the task's
+ * recurrence rule, or null for a one-off task.
+ */
+const RecurrenceFields = ({ value, onChange, dueDate, inputClass, darkMode }) => {
+  const interval = value?.interval || 1;
+
+  const handleFrequencyChange = (frequency) => {
+    if (!frequency) {
+      onChange(null);
+      return;
+    }
+    const anchor = dueDate ? new Date(dueDate) : new Date();
+    onChange({
+      series_id: value?.series_id,
+      frequency,
+      interval: frequency === 'daily' || frequency === 'after_completion' ? interval : undefined,
+      weekdays: frequency === 'weekly' ? [anchor.getUTCDay()] : undefined,
+      day_of_month: frequency === 'monthly' ? anchor.getUTCDate() : undefined,
+    });
+  };
+
+  const toggleWeekday = (day) => {
+    const weekdays = value.weekdays || [];
+    onChange({ ...value, weekdays: weekdays.includes(day) ? weekdays.filter(d => d !== day) : [...weekdays, day] });
+  };
+
+  const smallInputClass = `w-20 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300' : 'bg-gray-100 text-black'}`;
+  const hintClass = `text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+
+  return (
+    <div className="space-y-2">
+      <select
+        value={value?.frequency || ''}
+        onChange={(e) => handleFrequencyChange(e.target.value)}
+        className={inputClass}
+      >
+        <option value="">Does not repeat</option>
+        {Object.entries(RECURRENCE_FREQUENCIES).map(([frequency, label]) => (
+          <option key={frequency} value={frequency}>{label}</option>
+        ))}
+      </select>
+
+      {(value?.frequency === 'daily' || value?.frequency === 'after_completion') && (
+        <div className="flex items-center gap-2">
+          <span className={hintClass}>{value.frequency === 'daily' ? 'Every' : 'Next one'}</span>
+          <input
+            type="number"
+            min={1}
+            max={365}
+            value={interval}
+            onChange={(e) => onChange({ ...value, interval: Math.max(1, parseInt(e.target.value) || 1) })}
+            className={smallInputClass}
+          />
+          <span className={hintClass}>{value.frequency === 'daily' ? 'day(s)' : 'day(s) after it is completed'}</span>
+        </div>
+      )}
+
+      {value?.frequency === 'weekly' && (
+        <div className="flex flex-wrap gap-1.5">
+          {WEEKDAY_LABELS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(day)}
+              className={`px-2.5 py-1 rounded-full text-xs font-semibold transition-colors ${value.weekdays?.includes(day)
+                ? 'bg-[#006239] text-white'
+                : darkMode ? 'bg-[#171717] text-gray-400 hover:text-gray-300' : 'bg-gray-100 text-gray-500 hover:text-black'
+                }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {value?.frequency === 'monthly' && (
+        <div className="flex items-center gap-2">
+          <span className={hintClass}>On day</span>
+          <input
+            type="number"
+            min={1}
+            max={31}
+            value={value.day_of_month || 1}
+            onChange={(e) => onChange({ ...value, day_of_month: Math.min(31, Math.max(1, parseInt(e.target.value) || 1)) })}
+            className={smallInputClass}
+          />
+          <span className={hintClass}>of each month</span>
+        </div>
+      )}
+
+      {value?.frequency && (
+        <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+          {describeRecurrence(value)}. The next occurrence is created with the same assignees and priority when this one is done.
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Calendar-based repeats continue from the due date, so the first occurrence needs one
+const validateRecurrence = (recurrence, dueDate) => {
+  if (!recurrence) return null;
+  if (recurrence.frequency !== 'after_completion' && !dueDate) return 'Set a due date for the first occurrence of a repeating task';
+  if (recurrence.frequency === 'weekly' && !recurrence.weekdays?.length) return 'Pick at least one weekday';
+  return null;
+};
+
+const CreateTaskModal = ({ isOpen, onClose, onSubmit, projectMembers, labels, onCreateLabel, statuses, sprints = [], darkMode }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'todo',
+    status: getInitialStatusKey(statuses),
     priority: 'medium',
     assignee_ids: [],
-    due_date: ''
+    due_date: '',
+    label_ids: [],
+    estimate: '',
+    sprint_id: null,
+    recurrence: null,
+    subtasks: [],
+    files: []
   });
   const [localError, setLocalError] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -469,15 +1442,31 @@ const CreateTaskModal = ({ isOpen, onClose, onSubmit, projectMembers, darkMode }
     }
   }, [isOpen]);
 
+  // New tasks start in the first not-started status of the project's workflow
+  React.useEffect(() => {
+    setFormData(prev => statuses.some(s => s.key === prev.status) ? prev : { ...prev, status: getInitialStatusKey(statuses) });
+  }, [statuses]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLocalError(null);
+
+    const recurrenceError = validateRecurrence(formData.recurrence, formData.due_date);
+    if (recurrenceError) {
+      setLocalError(recurrenceError);
+      return;
+    }
+    if (formData.estimate.trim() && !parseDuration(formData.estimate)) {
+      setLocalError('Enter the estimate like 2h 30m, 1.5h or 45m');
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
       await onSubmit(formData);
       // Only reset form and close if submission succeeds
-      setFormData({ title: '', description: '', status: 'todo', priority: 'medium', assignee_ids: [], due_date: '' });
+      setFormData({ title: '', description: '', status: getInitialStatusKey(statuses), priority: 'medium', assignee_ids: [], due_date: '', label_ids: [], estimate: '', sprint_id: null, recurrence: null, subtasks: [], files: [] });
       onClose();
     } catch (err) {
       // Display error within modal, keep form data
@@ -526,13 +1515,56 @@ const CreateTaskModal = ({ isOpen, onClose, onSubmit, projectMembers, darkMode }
 
         <div>
           <label className={labelClass}>Description</label>
-          <textarea
+          <MarkdownEditor
             rows={4}
             maxLength={5000}
             value={formData.description}
-            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+            onChange={(description) => setFormData({ ...formData, description })}
             className={inputClass}
             placeholder="Enter task description"
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Labels</label>
+          <LabelPicker
+            labels={labels}
+            selectedIds={formData.label_ids}
+            onChange={(labelIds) => setFormData(prev => ({ ...prev, label_ids: labelIds }))}
+            onCreateLabel={onCreateLabel}
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Checklist</label>
+          {/* Items are kept locally (temporary ids) and created after the task */}
+          <SubtaskChecklist
+            subtasks={formData.subtasks}
+            projectMembers={projectMembers}
+            canEdit
+            onAdd={(item) => setFormData(prev => ({
+              ...prev,
+              subtasks: [...prev.subtasks, { ...item, id: `new-${Date.now()}`, is_done: false }]
+            }))}
+            onUpdate={(id, updates) => setFormData(prev => ({
+              ...prev,
+              subtasks: prev.subtasks.map(s => s.id === id ? { ...s, ...updates } : s)
+            }))}
+            onDelete={(id) => setFormData(prev => ({ ...prev, subtasks: prev.subtasks.filter(s => s.id !== id) }))}
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Attachments</label>
+          {/* Files are uploaded once the task exists */}
+          <AttachmentPicker
+            pendingFiles={formData.files}
+            onAddFiles={(files) => setFormData(prev => ({ ...prev, files: [...prev.files, ...files] }))}
+            onRemovePending={(index) => setFormData(prev => ({ ...prev, files: prev.files.filter((_, i) => i !== index) }))}
+            darkMode={darkMode}
           />
         </div>
 
@@ -544,10 +1576,9 @@ const CreateTaskModal = ({ isOpen, onClose, onSubmit, projectMembers, darkMode }
               onChange={(e) => setFormData({ ...formData, status: e.target.value })}
               className={inputClass}
             >
-              <option value="todo">To Do</option>
-              <option value="in_progress">In Progress</option>
-              <option value="review">Review</option>
-              <option value="done">Done</option>
+              {statuses.map(status => (
+                <option key={status.key} value={status.key}>{status.label}</option>
+              ))}
             </select>
           </div>
 
@@ -604,6 +1635,40 @@ const CreateTaskModal = ({ isOpen, onClose, onSubmit, projectMembers, darkMode }
           </div>
         </div>
 
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Estimate</label>
+            <input
+              type="text"
+              value={formData.estimate}
+              onChange={(e) => setFormData({ ...formData, estimate: e.target.value })}
+              className={inputClass}
+              placeholder="e.g. 2h 30m, 1.5h or 45m"
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>Sprint</label>
+            <SprintSelect
+              value={formData.sprint_id}
+              onChange={(sprintId) => setFormData(prev => ({ ...prev, sprint_id: sprintId }))}
+              sprints={sprints}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className={labelClass}>Repeat</label>
+          <RecurrenceFields
+            value={formData.recurrence}
+            onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+            dueDate={formData.due_date}
+            inputClass={inputClass}
+            darkMode={darkMode}
+          />
+        </div>
+
         <div className="flex gap-3 pt-4">
           <button
             type="button"
@@ -626,21 +1691,87 @@ const CreateTaskModal = ({ isOpen, onClose, onSubmit, projectMembers, darkMode }
   );
 };
 
-const EditTaskModal = ({ isOpen, onClose, onSubmit, task, projectMembers, darkMode }) => {
+/**
+ * Field-by-field review of changes someone else saved while the edit modal
+ * was open. Each row shows their value next to ours; untouched fields default
+ * to theirs, fields both sides changed default to ours.
+ */
+const TaskMergePanel = ({ rows, choices, onChoose, onApply, updatedBy, formatValue, darkMode }) => {
+  const optionClass = (isActive) => `flex-1 min-w-0 text-left px-2.5 py-1.5 rounded-md border text-xs transition-colors ${isActive
+    ? 'border-[#006239] bg-[#006239]/10'
+    : darkMode ? 'border-[#171717] hover:border-gray-600' : 'border-gray-200 hover:border-gray-300'
+    }`;
+
+  return (
+    <div className={`p-4 rounded-lg border-2 space-y-3 ${darkMode ? 'bg-amber-500/10 border-amber-500/30' : 'bg-amber-50 border-amber-200'}`}>
+      <div className="flex items-start gap-3">
+        <AlertTriangle className="text-amber-500 flex-shrink-0 mt-0.5" size={20} />
+        <div>
+          <h4 className={`font-bold text-sm ${darkMode ? 'text-amber-300' : 'text-amber-700'}`}>
+            {updatedBy ? `${updatedBy} updated this task` : 'This task was updated'} while you were editing
+          </h4>
+          <p className={`text-xs mt-0.5 ${darkMode ? 'text-amber-200/70' : 'text-amber-700/80'}`}>
+            Pick which version to keep for each field, then apply to continue editing.
+          </p>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {rows.map(row => (
+          <div key={row.key}>
+            <p className={`text-xs font-semibold mb-1 ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              {row.label}
+              {row.isConflict && <span className="ml-1.5 text-amber-500">· both changed</span>}
+            </p>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => onChoose(row.key, 'theirs')} className={optionClass(choices[row.key] === 'theirs')}>
+                <span className={`block font-semibold ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Theirs</span>
+                <span className={`block truncate ${darkMode ? 'text-gray-200' : 'text-gray-900'}`}>{formatValue(row.key, row.theirs)}</span>
+              </button>
+              <button type="button" onClick={() => onChoose(row.key, 'mine')} className={optionClass(choices[row.key] === 'mine')}>
+                <span className={`block font-semibold ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Yours</span>
+                <span className={`block truncate ${darkMode ? 'text-gray-200' : 'text-gray-900'}`}>{formatValue(row.key, row.mine)}</span>
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        type="button"
+        onClick={onApply}
+        className="w-full px-4 py-2 rounded-lg text-sm font-semibold bg-[#006239] hover:bg-[#005230] text-white transition-colors"
+      >
+        Apply and keep editing
+      </button>
+    </div>
+  );
+};
+
+const EditTaskModal = ({ isOpen, onClose, onSubmit, task, currentTask, projectMembers, sprints = [], darkMode, subtasks, onAddSubtask, onUpdateSubtask, onDeleteSubtask, allTasks = [], projectId, teamId, onAddDependency, onRemoveDependency, onUploadAttachments, onDeleteAttachment, onPreviewImage, labels, onCreateLabel, statuses }) => {
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     status: 'todo',
     priority: 'medium',
     assignee_ids: [],
-    due_date: ''
+    due_date: '',
+    label_ids: [],
+    estimate: '',
+    sprint_id: null,
+    recurrence: null
   });
   const [localError, setLocalError] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // The saved task the form is based on; moves forward when remote changes are merged
+  const [baseTask, setBaseTask] = useState(null);
+  const [mergeChoices, setMergeChoices] = useState({});
 
   // Update form when task changes
   React.useEffect(() => {
     if (task) {
+      setBaseTask(task);
+      setMergeChoices({});
       // Extract assignee IDs from assignees array
       const assigneeIds = Array.isArray(task.assignees)
         ? task.assignees.filter(a => a.user_id).map(a => a.user_id)
@@ -652,7 +1783,11 @@ const EditTaskModal = ({ isOpen, onClose, onSubmit, task, projectMembers, darkMo
         status: task.status || 'todo',
         priority: task.priority || 'medium',
         assignee_ids: assigneeIds,
-        due_date: task.due_date ? task.due_date.split('T')[0] : ''
+        due_date: task.due_date ? task.due_date.split('T')[0] : '',
+        label_ids: Array.isArray(task.labels) ? task.labels.map(l => l.id) : [],
+        estimate: task.estimate_minutes ? formatMinutes(task.estimate_minutes) : '',
+        sprint_id: task.sprint_id ?? null,
+        recurrence: task.recurrence || null
       });
     }
   }, [task]);
@@ -668,20 +1803,89 @@ const EditTaskModal = ({ isOpen, onClose, onSubmit, task, projectMembers, darkMo
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLocalError(null);
+
+    const recurrenceError = validateRecurrence(formData.recurrence, formData.due_date);
+    if (recurrenceError) {
+      setLocalError(recurrenceError);
+      return;
+    }
+    if (formData.estimate.trim() && !parseDuration(formData.estimate)) {
+      setLocalError('Enter the estimate like 2h 30m, 1.5h or 45m');
+      return;
+    }
+    if (remoteChanges.length > 0) {
+      setLocalError('Review the changes made by your teammate before saving');
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
-      await onSubmit(formData);
+      // A newer version without field changes (e.g. only subtasks moved on) needs no
+      // merge; save against it so the backend doesn't reject a stale version
+      await onSubmit(formData, { expectedVersion: getTaskVersion(remoteTask || baseTask) });
       // Only close if submission succeeds
       onClose();
     } catch (err) {
-      // Display error within modal, keep form data
-      setLocalError(err.message || 'Failed to update task');
+      // Display error within modal, keep form data. On a version conflict the page
+      // swaps in the server's copy, which brings up the merge panel.
+      setLocalError(isVersionConflict(err)
+        ? 'Someone else saved this task first. Review their changes below, then save again.'
+        : err.message || 'Failed to update task');
     } finally {
       setIsSubmitting(false);
     }
   };
 
+  // Fields a teammate changed since the form was loaded (compared by version, so our
+  // own optimistic update while saving doesn't count)
+  const remoteTask = currentTask && baseTask && getTaskVersion(currentTask) !== getTaskVersion(baseTask) ? currentTask : null;
+  const formValues = getTaskFieldValues({ ...formData, estimate_minutes: parseDuration(formData.estimate) });
+  const remoteChanges = remoteTask
+    ? (() => {
+      const base = getTaskFieldValues(baseTask);
+      const theirs = getTaskFieldValues(remoteTask);
+      return TASK_EDIT_FIELDS
+        .filter(field => !isSameFieldValue(base[field.key], theirs[field.key]))
+        .map(field => ({
+          ...field,
+          theirs: theirs[field.key],
+          mine: formValues[field.key],
+          isConflict: !isSameFieldValue(base[field.key], formValues[field.key]) && !isSameFieldValue(formValues[field.key], theirs[field.key]),
+        }));
+    })()
+    : [];
+  const effectiveChoices = Object.fromEntries(remoteChanges.map(row => [row.key, mergeChoices[row.key] || (row.isConflict ? 'mine' : 'theirs')]));
+
+  // Take the chosen values into the form and rebase onto the teammate's version
+  const handleApplyMerge = () => {
+    const updates = {};
+    remoteChanges.forEach(row => {
+      if (effectiveChoices[row.key] !== 'theirs') return;
+      if (row.key === 'estimate_minutes') updates.estimate = row.theirs ? formatMinutes(row.theirs) : '';
+      else updates[row.key] = row.theirs;
+    });
+    setFormData(prev => ({ ...prev, ...updates }));
+    setBaseTask(remoteTask);
+    setMergeChoices({});
+    setLocalError(null);
+  };
+
+  const formatMergeValue = (key, value) => {
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return 'None';
+    switch (key) {
+      case 'status': return getStatusMeta(statuses, value).label;
+      case 'priority': return value.charAt(0).toUpperCase() + value.slice(1);
+      case 'assignee_ids': return value.map(id => projectMembers.find(m => m.user_id === id)?.username || 'Unknown').join(', ');
+      case 'label_ids': return value.map(id => labels?.find(l => l.id === id)?.name || 'Unknown').join(', ');
+      case 'due_date': return formatDate(value);
+      case 'estimate_minutes': return formatMinutes(value);
+      case 'sprint_id': return sprints.find(sp => sp.id === value)?.name || 'Unknown sprint';
+      case 'recurrence': return describeRecurrence(value);
+      default: return value;
+    }
+  };
+
   const inputClass = `w-full rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all ${darkMode ? 'bg-dark-secondary border border-[#171717] text-gray-300' : 'bg-gray-200/30 border border-[rgb(161,188,152)] text-black'
     }`;
 
@@ -690,6 +1894,12 @@ const EditTaskModal = ({ isOpen, onClose, onSubmit, task, projectMembers, darkMo
 
   if (!task) return null;
 
+  // Other occurrences of the same repeating task, newest first
+  const seriesId = task.recurrence?.series_id;
+  const seriesTasks = seriesId
+    ? allTasks.filter(t => t.recurrence?.series_id === seriesId).sort((a, b) => new Date(b.due_date || 0) - new Date(a.due_date || 0))
+    : [];
+
   return (
     <Modal isOpen={isOpen} onClose={onClose} title="Edit Task" darkMode={darkMode}>
       <form onSubmit={handleSubmit} className="space-y-4">
@@ -708,7 +1918,19 @@ const EditTaskModal = ({ isOpen, onClose, onSubmit, task, projectMembers, darkMo
           </div>
         )}
 
-        <div>
+        {remoteChanges.length > 0 && (
+          <TaskMergePanel
+            rows={remoteChanges}
+            choices={effectiveChoices}
+            onChoose={(key, choice) => setMergeChoices(prev => ({ ...prev, [key]: choice }))}
+            onApply={handleApplyMerge}
+            updatedBy={remoteTask.updated_by_username}
+            formatValue={formatMergeValue}
+            darkMode={darkMode}
+          />
+        )}
+
+        <div>
           <label className={labelClass}>Title *</label>
           <input
             type="text"
@@ -722,98 +1944,1203 @@ const EditTaskModal = ({ isOpen, onClose, onSubmit, task, projectMembers, darkMo
 
         <div>
           <label className={labelClass}>Description</label>
-          <textarea
+          <MarkdownEditor
             rows={4}
             maxLength={5000}
             value={formData.description}
-            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+            onChange={(description) => setFormData({ ...formData, description })}
+            className={inputClass}
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Labels</label>
+          <LabelPicker
+            labels={labels}
+            selectedIds={formData.label_ids}
+            onChange={(labelIds) => setFormData(prev => ({ ...prev, label_ids: labelIds }))}
+            onCreateLabel={onCreateLabel}
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>
+            Checklist
+            {subtasks?.length > 0 && (
+              <span className="ml-2 font-medium opacity-70">
+                {subtasks.filter(s => s.is_done).length}/{subtasks.length}
+              </span>
+            )}
+          </label>
+          {/* Checklist changes are saved immediately, independent of "Save Changes" */}
+          <SubtaskChecklist
+            subtasks={subtasks}
+            projectMembers={projectMembers}
+            canEdit
+            onAdd={onAddSubtask}
+            onUpdate={onUpdateSubtask}
+            onDelete={onDeleteSubtask}
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Attachments</label>
+          {/* Uploads and removals are saved immediately, like the checklist */}
+          <AttachmentPicker
+            attachments={(allTasks.find(t => t.id === task.id) || task).attachments}
+            onAddFiles={(files) => onUploadAttachments(task.id, files)}
+            onDelete={(attachment) => onDeleteAttachment(task.id, attachment)}
+            onPreview={onPreviewImage}
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div>
+          <label className={labelClass}>Dependencies</label>
+          <TaskDependencies
+            task={allTasks.find(t => t.id === task.id) || task}
+            tasks={allTasks}
+            statuses={statuses}
+            projectId={projectId}
+            teamId={teamId}
+            canEdit
+            onAdd={onAddDependency}
+            onRemove={onRemoveDependency}
+            darkMode={darkMode}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Status</label>
+            <select
+              value={formData.status}
+              onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+              className={inputClass}
+            >
+              {statuses.map(status => (
+                <option key={status.key} value={status.key}>{status.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className={labelClass}>Priority</label>
+            <select
+              value={formData.priority}
+              onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+              className={inputClass}
+            >
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+              <option value="urgent">Urgent</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Assignees</label>
+            <div className={`rounded-lg px-4 py-2 text-sm max-h-32 overflow-y-auto ${inputClass}`}>
+              {projectMembers.map(member => (
+                <label key={member.user_id} className="flex items-center gap-2 py-1 cursor-pointer hover:opacity-80">
+                  <input
+                    type="checkbox"
+                    checked={formData.assignee_ids.includes(member.user_id)}
+                    onChange={(e) => {
+                      if (e.target.checked) {
+                        setFormData({ ...formData, assignee_ids: [...formData.assignee_ids, member.user_id] });
+                      } else {
+                        setFormData({ ...formData, assignee_ids: formData.assignee_ids.filter(id => id !== member.user_id) });
+                      }
+                    }}
+                    className="rounded border-2 border-gray-400"
+                  />
+                  <span>{member.username}</span>
+                </label>
+              ))}
+              {projectMembers.length === 0 && (
+                <span className="text-xs opacity-60">No members available</span>
+              )}
+            </div>
+          </div>
+
+          <div>
+            <label className={labelClass}>Due Date</label>
+            <input
+              type="date"
+              value={formData.due_date}
+              onChange={(e) => setFormData({ ...formData, due_date: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Estimate</label>
+            <input
+              type="text"
+              value={formData.estimate}
+              onChange={(e) => setFormData({ ...formData, estimate: e.target.value })}
+              className={inputClass}
+              placeholder="e.g. 2h 30m, 1.5h or 45m"
+            />
+          </div>
+
+          <div>
+            <label className={labelClass}>Sprint</label>
+            <SprintSelect
+              value={formData.sprint_id}
+              onChange={(sprintId) => setFormData(prev => ({ ...prev, sprint_id: sprintId }))}
+              sprints={sprints}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className={labelClass}>Repeat</label>
+          <RecurrenceFields
+            value={formData.recurrence}
+            onChange={(recurrence) => setFormData(prev => ({ ...prev, recurrence }))}
+            dueDate={formData.due_date}
+            inputClass={inputClass}
+            darkMode={darkMode}
+          />
+          {seriesTasks.length > 1 && (
+            <div className={`mt-3 rounded-lg p-3 text-sm ${darkMode ? 'bg-[#171717]/60' : 'bg-gray-50'}`}>
+              <p className={`text-xs font-bold uppercase tracking-wider mb-2 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Series · {seriesTasks.length} occurrences
+              </p>
+              <ul className="space-y-1">
+                {seriesTasks.slice(0, 5).map(occurrence => (
+                  <li key={occurrence.id} className="flex items-center justify-between gap-2">
+                    <span className={darkMode ? 'text-gray-300' : 'text-gray-700'}>
+                      {occurrence.due_date ? formatDate(occurrence.due_date) : 'No due date'}
+                      {occurrence.id === task.id && <span className="ml-1 opacity-60">(this one)</span>}
+                    </span>
+                    <span className="text-xs font-semibold" style={{ color: getStatusMeta(statuses, occurrence.status).color }}>
+                      {getStatusMeta(statuses, occurrence.status).label}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              <p className={`mt-2 text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                Rule changes apply to this occurrence and the ones created after it.
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-3 pt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`flex-1 px-6 py-3 rounded-lg font-semibold transition-all ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting || remoteChanges.length > 0}
+            className="flex-1 px-6 py-3 bg-[#006239] hover:bg-[#005230] text-white rounded-lg font-semibold shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+/**
+ * Inline quick add: type "Fix login bug @alice !high due fri #backend" and press
+ * Enter. What was recognised is previewed under the input.
+ */
+const QuickAddBar = ({ projectMembers, labels, onCreate, darkMode }) => {
+  const [value, setValue] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const inputRef = React.useRef(null);
+
+  const parsed = value.trim() ? parseQuickAdd(value, { members: projectMembers, labels }) : null;
+
+  const handleKeyDown = async (e) => {
+    if (e.key === 'Escape') {
+      setValue('');
+      return;
+    }
+    if (e.key !== 'Enter' || !parsed || isSubmitting) return;
+    e.preventDefault();
+    if (!parsed.title) {
+      toast.error('Add a title as well as the @, ! and # tokens');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onCreate(parsed);
+      setValue('');
+    } catch (err) {
+      toast.error(err.message || 'Failed to create task');
+    } finally {
+      setIsSubmitting(false);
+      // Keep typing the next task without clicking back into the input
+      inputRef.current?.focus();
+    }
+  };
+
+  const chipClass = `inline-flex items-center gap-1 text-xs font-medium px-2 py-1 rounded-full ${darkMode ? 'bg-[#171717] text-gray-300' : 'bg-gray-100 text-gray-700'}`;
+
+  return (
+    <div className={`rounded-xl border p-3 mb-6 ${darkMode ? 'bg-dark-secondary/50 border-[#171717]/50' : 'bg-white border-gray-200 shadow-sm'}`}>
+      <div className="relative">
+        {isSubmitting
+          ? <Loader2 size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 animate-spin" />
+          : <Plus size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />}
+        <input
+          ref={inputRef}
+          type="text"
+          value={value}
+          maxLength={255}
+          readOnly={isSubmitting}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder='Quick add: "Fix login bug @alice !high due fri #backend", then press Enter'
+          className={`w-full rounded-lg py-2 pl-9 pr-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all read-only:opacity-60 ${darkMode ? 'bg-dark-secondary border border-[#171717] text-gray-300 placeholder:text-gray-500' : 'bg-gray-200/30 border border-[rgb(161,188,152)] text-black placeholder:text-gray-400'}`}
+        />
+      </div>
+
+      {parsed && (
+        <div className="flex flex-wrap items-center gap-2 mt-2 px-1">
+          <span className={`text-sm font-semibold ${parsed.title ? darkMode ? 'text-white' : 'text-black' : 'text-red-500'}`}>
+            {parsed.title || 'No title yet'}
+          </span>
+          {parsed.assignee_ids.map(userId => (
+            <span key={userId} className={chipClass}>
+              <User size={12} />
+              {projectMembers.find(m => m.user_id === userId)?.username}
+            </span>
+          ))}
+          {parsed.priority && <PriorityBadge priority={parsed.priority} />}
+          {parsed.due_date && (
+            <span className={chipClass}>
+              <Calendar size={12} />
+              {new Date(`${parsed.due_date}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+            </span>
+          )}
+          {parsed.label_ids.map(labelId => {
+            const label = labels.find(l => l.id === labelId);
+            return label ? <LabelChip key={labelId} label={label} /> : null;
+          })}
+          {parsed.unmatched.map(token => (
+            <span key={token} className="inline-flex items-center gap-1 text-xs font-medium text-amber-500">
+              <AlertCircle size={12} />
+              No match for {token}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Create or edit a sprint: name, date range and goal
+ */
+const SprintModal = ({ isOpen, onClose, onSubmit, sprint, defaults, darkMode }) => {
+  const [formData, setFormData] = useState({ name: '', goal: '', start_date: '', end_date: '' });
+  const [localError, setLocalError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Read the prefill through a ref: sprint updates arriving over the socket recompute
+  // the defaults, and must not reset what the user is typing
+  const sourceRef = React.useRef(null);
+  React.useEffect(() => {
+    sourceRef.current = sprint || defaults || {};
+  });
+
+  React.useEffect(() => {
+    if (!isOpen) return;
+    const source = sourceRef.current;
+    setFormData({
+      name: source.name || '',
+      goal: source.goal || '',
+      start_date: source.start_date ? source.start_date.split('T')[0] : '',
+      end_date: source.end_date ? source.end_date.split('T')[0] : '',
+    });
+    setLocalError(null);
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLocalError(null);
+    if (!formData.start_date || !formData.end_date) {
+      setLocalError('Pick a start and an end date');
+      return;
+    }
+    if (formData.end_date < formData.start_date) {
+      setLocalError('The sprint must end after it starts');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSubmit({
+        name: formData.name.trim(),
+        goal: formData.goal.trim(),
+        start_date: new Date(formData.start_date).toISOString(),
+        end_date: new Date(formData.end_date).toISOString(),
+      });
+      onClose();
+    } catch (err) {
+      setLocalError(err.message || 'Failed to save sprint');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const inputClass = `w-full rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all ${darkMode ? 'bg-dark-secondary border border-[#171717] text-gray-300' : 'bg-gray-200/30 border border-[rgb(161,188,152)] text-black'}`;
+  const labelClass = `block text-sm font-bold mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-400'}`;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={sprint ? 'Edit Sprint' : 'New Sprint'} darkMode={darkMode}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        {localError && (
+          <div className={`p-3 rounded-lg border text-sm ${darkMode ? 'bg-red-500/10 border-red-500/30 text-red-300' : 'bg-red-50 border-red-200 text-red-600'}`}>
+            {localError}
+          </div>
+        )}
+
+        <div>
+          <label className={labelClass}>Name *</label>
+          <input
+            type="text"
+            required
+            maxLength={100}
+            value={formData.name}
+            onChange={(e) => setFormData({ ...formData, name: e.target.value })}
             className={inputClass}
           />
         </div>
 
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <label className={labelClass}>Status</label>
-            <select
-              value={formData.status}
-              onChange={(e) => setFormData({ ...formData, status: e.target.value })}
-              className={inputClass}
-            >
-              <option value="todo">To Do</option>
-              <option value="in_progress">In Progress</option>
-              <option value="review">Review</option>
-              <option value="done">Done</option>
-            </select>
-          </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Start *</label>
+            <input
+              type="date"
+              value={formData.start_date}
+              onChange={(e) => setFormData({ ...formData, start_date: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>End *</label>
+            <input
+              type="date"
+              value={formData.end_date}
+              min={formData.start_date || undefined}
+              onChange={(e) => setFormData({ ...formData, end_date: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className={labelClass}>Goal</label>
+          <textarea
+            rows={3}
+            maxLength={500}
+            value={formData.goal}
+            onChange={(e) => setFormData({ ...formData, goal: e.target.value })}
+            className={inputClass}
+            placeholder="What should this sprint deliver?"
+          />
+        </div>
+
+        <div className="flex gap-3 pt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`flex-1 px-6 py-3 rounded-lg font-semibold transition-all ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting || !formData.name.trim()}
+            className="flex-1 px-6 py-3 bg-[#006239] hover:bg-[#005230] text-white rounded-lg font-semibold shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Saving...' : sprint ? 'Save Sprint' : 'Create Sprint'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+/**
+ * Complete the active sprint and choose where its unfinished tasks go:
+ * a planned sprint, a new sprint right after this one, or the backlog
+ */
+const CompleteSprintModal = ({ isOpen, onClose, onComplete, sprint, sprints, tasks, statuses, darkMode }) => {
+  // null until the user picks, so the default follows the planned sprints
+  const [pickedTarget, setPickedTarget] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [localError, setLocalError] = useState(null);
+
+  React.useEffect(() => {
+    if (isOpen) {
+      setPickedTarget(null);
+      setLocalError(null);
+    }
+  }, [isOpen]);
+
+  if (!sprint) return null;
+
+  const plannedSprints = getOpenSprints(sprints).filter(sp => sp.id !== sprint.id);
+  const nextDefaults = getNextSprintDefaults(sprints);
+  const target = pickedTarget ?? (plannedSprints[0] ? String(plannedSprints[0].id) : 'new');
+
+  const sprintTasks = tasks.filter(t => t.sprint_id === sprint.id);
+  const unfinished = sprintTasks.filter(t => getStatusCategory(t, statuses) !== 'done');
+
+  const handleComplete = async () => {
+    setLocalError(null);
+    setIsSubmitting(true);
+    try {
+      await onComplete(sprint, target === 'new' ? 'new' : target === 'backlog' ? null : Number(target));
+      // Only close if completion succeeds
+      onClose();
+    } catch (err) {
+      setLocalError(err.message || 'Failed to complete sprint');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={`Complete ${sprint.name}`} darkMode={darkMode}>
+      <div className="space-y-4">
+        {localError && (
+          <div className={`p-3 rounded-lg border text-sm ${darkMode ? 'bg-red-500/10 border-red-500/30 text-red-300' : 'bg-red-50 border-red-200 text-red-600'}`}>
+            {localError}
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 gap-3 text-center">
+          <div className={`p-3 rounded-lg ${darkMode ? 'bg-[#171717]' : 'bg-gray-100'}`}>
+            <p className="text-2xl font-bold text-green-500">{sprintTasks.length - unfinished.length}</p>
+            <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Done</p>
+          </div>
+          <div className={`p-3 rounded-lg ${darkMode ? 'bg-[#171717]' : 'bg-gray-100'}`}>
+            <p className={`text-2xl font-bold ${unfinished.length > 0 ? 'text-amber-500' : darkMode ? 'text-gray-300' : 'text-gray-700'}`}>{unfinished.length}</p>
+            <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>Unfinished</p>
+          </div>
+        </div>
+
+        {unfinished.length > 0 && (
+          <div>
+            <label className={`block text-sm font-bold mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
+              Move unfinished tasks to
+            </label>
+            <select
+              value={target}
+              onChange={(e) => setPickedTarget(e.target.value)}
+              className={`w-full rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-dark-secondary border border-[#171717] text-gray-300' : 'bg-gray-200/30 border border-[rgb(161,188,152)] text-black'}`}
+            >
+              {plannedSprints.map(sp => (
+                <option key={sp.id} value={sp.id}>{sp.name} ({formatSprintRange(sp)})</option>
+              ))}
+              <option value="new">New sprint: {nextDefaults.name} ({formatSprintRange(nextDefaults)})</option>
+              <option value="backlog">Backlog</option>
+            </select>
+          </div>
+        )}
+
+        <div className="flex gap-3 pt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSubmitting}
+            className={`flex-1 px-6 py-3 rounded-lg font-semibold transition-all disabled:opacity-50 ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleComplete}
+            disabled={isSubmitting}
+            className="flex-1 px-6 py-3 bg-[#006239] hover:bg-[#005230] text-white rounded-lg font-semibold shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? 'Completing...' : 'Complete Sprint'}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+/**
+ * Backlog view: open sprints (active first) with their tasks, then the
+ * unscheduled backlog. Tasks move between them with the sprint picker.
+ */
+const SprintBacklogView = ({ sprints, tasks, statuses, canEdit, onMoveTask, onNewSprint, onEditSprint, onDeleteSprint, onStartSprint, onCompleteSprint, onOpenTask, darkMode }) => {
+  const openSprints = getOpenSprints(sprints);
+  const completedSprints = sprints.filter(sp => sp.status === 'completed');
+  const hasActiveSprint = sprints.some(sp => sp.status === 'active');
+  const backlogTasks = tasks.filter(t => !t.sprint_id);
+
+  const sectionClass = `rounded-xl border ${darkMode ? 'bg-dark-secondary/50 border-[#171717]/50' : 'bg-white border-gray-200 shadow-sm'}`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const actionClass = `flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+  const selectClass = `rounded-md px-2 py-1 text-xs focus:outline-none ${darkMode ? 'bg-[#171717] text-gray-300 border border-[#171717]' : 'bg-gray-100 text-gray-700 border border-gray-200'}`;
+
+  const renderTaskRow = (task) => {
+    const statusMeta = getStatusMeta(statuses, task.status);
+    return (
+      <div key={task.id} className={`flex items-center gap-3 px-4 py-2.5 ${darkMode ? 'hover:bg-[#171717]/50' : 'hover:bg-gray-50'}`}>
+        <span className="h-2.5 w-2.5 rounded-full flex-shrink-0" style={{ backgroundColor: statusMeta.color }} title={statusMeta.label} />
+        <button
+          onClick={() => onOpenTask(task)}
+          className={`flex-1 min-w-0 text-left text-sm font-medium truncate hover:underline ${darkMode ? 'text-gray-200' : 'text-gray-900'}`}
+        >
+          {sanitizeText(task.title)}
+        </button>
+        <span className={`hidden md:inline text-xs capitalize ${mutedClass}`}>{task.priority}</span>
+        <span className={`hidden md:inline text-xs w-28 truncate ${mutedClass}`}>
+          {(task.assignees || []).filter(a => a.user_id).map(a => a.username).join(', ') || 'Unassigned'}
+        </span>
+        <span className={`hidden sm:inline text-xs w-24 ${mutedClass}`}>{task.due_date ? formatDate(task.due_date) : '—'}</span>
+        {canEdit && (
+          <SprintSelect value={task.sprint_id ?? null} onChange={(sprintId) => onMoveTask(task, sprintId)} sprints={sprints} className={selectClass} />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {canEdit && (
+        <div className="flex justify-end">
+          <button onClick={onNewSprint} className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold bg-[#006239] hover:bg-[#005230] text-white transition-colors">
+            <Plus size={14} />
+            New Sprint
+          </button>
+        </div>
+      )}
+
+      {openSprints.map(sprint => {
+        const sprintTasks = tasks.filter(t => t.sprint_id === sprint.id);
+        const doneCount = sprintTasks.filter(t => getStatusCategory(t, statuses) === 'done').length;
+        const daysLeft = getDaysUntilDue(sprint.end_date);
+
+        return (
+          <div key={sprint.id} className={sectionClass}>
+            <div className={`flex items-start justify-between gap-4 px-4 py-3 border-b ${darkMode ? 'border-[#171717]' : 'border-gray-100'}`}>
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <IterationCw size={16} className={sprint.status === 'active' ? 'text-indigo-500' : mutedClass} />
+                  <h3 className={`font-bold ${darkMode ? 'text-white' : 'text-black'}`}>{sprint.name}</h3>
+                  <span className={`text-xs font-bold px-2 py-0.5 rounded-full uppercase tracking-wider ${sprint.status === 'active' ? 'bg-indigo-500/10 text-indigo-500' : darkMode ? 'bg-gray-500/10 text-gray-400' : 'bg-gray-100 text-gray-500'}`}>
+                    {sprint.status}
+                  </span>
+                  <span className={`text-xs ${mutedClass}`}>
+                    {formatSprintRange(sprint)}
+                    {sprint.status === 'active' && daysLeft !== null && (daysLeft >= 0 ? ` · ${daysLeft} day${daysLeft === 1 ? '' : 's'} left` : ' · ended')}
+                  </span>
+                </div>
+                {sprint.goal && (
+                  <p className={`flex items-start gap-1.5 text-sm mt-1 ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                    <Target size={14} className="flex-shrink-0 mt-0.5" />
+                    {sprint.goal}
+                  </p>
+                )}
+                <p className={`text-xs mt-1 ${mutedClass}`}>{doneCount}/{sprintTasks.length} tasks done</p>
+              </div>
+
+              {canEdit && (
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  {sprint.status === 'planned' && (
+                    <button
+                      onClick={() => onStartSprint(sprint)}
+                      disabled={hasActiveSprint}
+                      className={`${actionClass} disabled:opacity-50 disabled:cursor-not-allowed`}
+                      title={hasActiveSprint ? 'Complete the active sprint first' : 'Start sprint'}
+                    >
+                      <Play size={12} />
+                      Start
+                    </button>
+                  )}
+                  {sprint.status === 'active' && (
+                    <button onClick={() => onCompleteSprint(sprint)} className={actionClass}>
+                      <CheckCircle2 size={12} />
+                      Complete
+                    </button>
+                  )}
+                  <button onClick={() => onEditSprint(sprint)} className={`p-1.5 rounded-lg ${darkMode ? 'hover:bg-[#171717] text-gray-400' : 'hover:bg-gray-100 text-gray-500'}`} title="Edit sprint">
+                    <Edit3 size={14} />
+                  </button>
+                  <button onClick={() => onDeleteSprint(sprint)} className="p-1.5 rounded-lg text-red-500 hover:bg-red-500/10" title="Delete sprint">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className={`divide-y ${darkMode ? 'divide-[#171717]' : 'divide-gray-100'}`}>
+              {sprintTasks.length > 0 ? sprintTasks.map(renderTaskRow) : (
+                <p className={`px-4 py-4 text-sm ${mutedClass}`}>No tasks in this sprint yet. Move tasks here from the backlog.</p>
+              )}
+            </div>
+          </div>
+        );
+      })}
+
+      <div className={sectionClass}>
+        <div className={`flex items-center gap-2 px-4 py-3 border-b ${darkMode ? 'border-[#171717]' : 'border-gray-100'}`}>
+          <ListChecks size={16} className={mutedClass} />
+          <h3 className={`font-bold ${darkMode ? 'text-white' : 'text-black'}`}>Backlog</h3>
+          <span className={`text-xs ${mutedClass}`}>{backlogTasks.length} unscheduled</span>
+        </div>
+        <div className={`divide-y ${darkMode ? 'divide-[#171717]' : 'divide-gray-100'}`}>
+          {backlogTasks.length > 0 ? backlogTasks.map(renderTaskRow) : (
+            <p className={`px-4 py-4 text-sm ${mutedClass}`}>Every task is scheduled in a sprint.</p>
+          )}
+        </div>
+      </div>
+
+      {completedSprints.length > 0 && (
+        <p className={`text-xs ${mutedClass}`}>
+          Completed: {completedSprints.map(sp => `${sp.name} (${formatSprintRange(sp)})`).join(' · ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Import / export menu next to the task view controls
+ */
+const TransferMenu = ({ onExport, onImport, darkMode }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const itemClass = `w-full flex items-center gap-2 px-4 py-2.5 text-sm transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200/30 text-black'}`;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${darkMode ? 'text-gray-300 hover:text-white hover:bg-[#171717]' : 'text-gray-600 hover:text-black hover:bg-gray-200/50'}`}
+      >
+        <ArrowLeftRight size={14} />
+        Import / Export
+      </button>
+      {isOpen && (
+        <>
+          <div className="fixed inset-0 z-10" onClick={() => setIsOpen(false)} />
+          <div className={`absolute right-0 mt-2 w-48 rounded-lg border shadow-xl z-20 overflow-hidden ${darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200'}`}>
+            <button onClick={() => { onExport('csv'); setIsOpen(false); }} className={itemClass}>
+              <Download size={14} />
+              Export as CSV
+            </button>
+            <button onClick={() => { onExport('json'); setIsOpen(false); }} className={itemClass}>
+              <Download size={14} />
+              Export as JSON
+            </button>
+            {onImport && (
+              <button onClick={() => { onImport(); setIsOpen(false); }} className={itemClass}>
+                <Upload size={14} />
+                Import tasks...
+              </button>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Task fields the import wizard can fill, with header names recognised automatically
+const IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'name', 'summary', 'task'] },
+  { key: 'description', label: 'Description', aliases: ['description', 'details', 'notes', 'body'] },
+  { key: 'status', label: 'Status', aliases: ['status', 'state', 'column'] },
+  { key: 'priority', label: 'Priority', aliases: ['priority'] },
+  { key: 'assignees', label: 'Assignees', aliases: ['assignees', 'assignee', 'assigned_to', 'owner', 'assignee_emails'] },
+  { key: 'due_date', label: 'Due date', aliases: ['due_date', 'due', 'deadline', 'due_on'] },
+  { key: 'labels', label: 'Labels', aliases: ['labels', 'label', 'tags'] },
+];
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const splitList = (value) => value.split(/[,;]/).map(item => item.trim()).filter(Boolean);
+
+// Accepts YYYY-MM-DD as-is; other formats are read as a local calendar day
+const parseImportDate = (value) => {
+  const isoDay = value.match(/^\d{4}-\d{2}-\d{2}/)?.[0];
+  if (isoDay) return Number.isNaN(new Date(isoDay).getTime()) ? null : new Date(isoDay).toISOString();
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate())).toISOString();
+};
+
+/**
+ * Turn mapped source rows into createTask payloads, collecting a message for
+ * every value that can't be matched to this project
+ */
+const buildImportDrafts = (rows, mapping, { statuses, projectMembers, labels }) => rows.map((row, index) => {
+  const read = (field) => (mapping[field] ? String(row[mapping[field]] ?? '').trim() : '');
+  const errors = [];
+
+  const title = read('title');
+  if (!title) errors.push('Title is missing');
+  else if (title.length > 255) errors.push('Title is longer than 255 characters');
+
+  const statusText = read('status').toLowerCase();
+  const status = statusText
+    ? statuses.find(st => st.key.toLowerCase() === statusText || st.label.toLowerCase() === statusText)?.key
+    : getInitialStatusKey(statuses);
+  if (!status) errors.push(`Unknown status "${read('status')}"`);
+
+  const priority = read('priority').toLowerCase() || 'medium';
+  if (!TASK_PRIORITIES.includes(priority)) errors.push(`Unknown priority "${read('priority')}"`);
+
+  const assignees = splitList(read('assignees')).map(name => {
+    const member = projectMembers.find(m =>
+      m.username?.toLowerCase() === name.toLowerCase() || m.email?.toLowerCase() === name.toLowerCase()
+    );
+    if (!member) errors.push(`No project member matches "${name}"`);
+    return member;
+  }).filter(Boolean);
+
+  const dueText = read('due_date');
+  const dueDate = dueText ? parseImportDate(dueText) : null;
+  if (dueText && !dueDate) errors.push(`Invalid due date "${dueText}"`);
+
+  const taskLabels = splitList(read('labels')).map(name => {
+    const label = labels.find(l => l.name.toLowerCase() === name.toLowerCase());
+    if (!label) errors.push(`Unknown label "${name}"`);
+    return label;
+  }).filter(Boolean);
+
+  return {
+    row: index + 1,
+    errors,
+    assigneeNames: assignees.map(m => m.username),
+    task: {
+      title,
+      description: read('description'),
+      status,
+      priority,
+      assignee_ids: [...new Set(assignees.map(m => m.user_id))],
+      due_date: dueDate,
+      label_ids: [...new Set(taskLabels.map(l => l.id))],
+    },
+  };
+});
+
+/**
+ * Import wizard: pick a CSV/JSON file, map its columns to task fields, review
+ * validation errors, then create the valid rows
+ */
+const ImportTasksModal = ({ isOpen, onClose, onImport, projectMembers, statuses, labels, darkMode }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [localError, setLocalError] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+
+  // Start over each time the wizard opens
+  React.useEffect(() => {
+    if (isOpen) {
+      setStep('upload');
+      setFileName('');
+      setHeaders([]);
+      setRows([]);
+      setMapping({});
+      setLocalError(null);
+    }
+  }, [isOpen]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setLocalError(null);
+
+    try {
+      const text = await file.text();
+      let parsedHeaders;
+      let parsedRows;
+
+      if (file.name.toLowerCase().endsWith('.json')) {
+        const data = JSON.parse(text);
+        const items = Array.isArray(data) ? data : data.tasks;
+        if (!Array.isArray(items)) throw new Error('The JSON file must contain an array of tasks');
+        parsedHeaders = [...new Set(items.flatMap(item => Object.keys(item || {})))];
+        // Flatten arrays (e.g. assignees, labels) into the same "a; b" form CSV uses
+        parsedRows = items.map(item => Object.fromEntries(parsedHeaders.map(h => [h, Array.isArray(item?.[h]) ? item[h].join('; ') : item?.[h] ?? ''])));
+      } else {
+        const [headerRow, ...dataRows] = parseCsv(text);
+        if (!headerRow) throw new Error('The file is empty');
+        parsedHeaders = headerRow.map(h => h.trim());
+        parsedRows = dataRows.map(cells => Object.fromEntries(parsedHeaders.map((h, i) => [h, cells[i] ?? ''])));
+      }
+
+      if (parsedRows.length === 0) throw new Error('No tasks found in the file');
+
+      // Guess the mapping from header names
+      const guessed = {};
+      IMPORT_FIELDS.forEach(field => {
+        const match = parsedHeaders.find(h => field.aliases.includes(normalizeHeader(h)));
+        if (match) guessed[field.key] = match;
+      });
+
+      setFileName(file.name);
+      setHeaders(parsedHeaders);
+      setRows(parsedRows);
+      setMapping(guessed);
+      setStep('map');
+    } catch (err) {
+      setLocalError(err.message || 'Could not read the file');
+    }
+  };
+
+  const drafts = step === 'preview' ? buildImportDrafts(rows, mapping, { statuses, projectMembers, labels }) : [];
+  const validDrafts = drafts.filter(d => d.errors.length === 0);
+
+  const handleImport = async () => {
+    setLocalError(null);
+    setIsImporting(true);
+    try {
+      const failedTasks = await onImport(validDrafts.map(d => d.task));
+      if (failedTasks.length === 0) {
+        onClose();
+        return;
+      }
+      // Keep only the rows that failed, so importing again doesn't duplicate the rest
+      const failedRows = new Set(validDrafts.filter(d => failedTasks.includes(d.task)).map(d => d.row));
+      setRows(prev => prev.filter((_, index) => failedRows.has(index + 1)));
+      setLocalError(`${failedTasks.length} task${failedTasks.length === 1 ? '' : 's'} could not be imported. Only ${failedTasks.length === 1 ? 'it is' : 'they are'} listed below, so you can try again.`);
+    } catch (err) {
+      setLocalError(err.message || 'Failed to import tasks');
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  const controlClass = `rounded-md px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 border border-[#171717]' : 'bg-gray-100 text-black border border-gray-200'}`;
+  const mutedClass = `text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const secondaryButtonClass = `flex-1 px-4 py-2.5 rounded-lg font-medium transition-colors disabled:opacity-50 ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-200 text-black hover:bg-gray-300'}`;
+  const primaryButtonClass = 'flex-1 px-4 py-2.5 rounded-lg font-medium bg-[#006239] hover:bg-[#005230] text-white transition-colors disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Import Tasks" darkMode={darkMode}>
+      <div className="space-y-4">
+        {localError && (
+          <div className={`p-3 rounded-lg border text-sm ${darkMode ? 'bg-red-500/10 border-red-500/30 text-red-300' : 'bg-red-50 border-red-200 text-red-600'}`}>
+            {localError}
+          </div>
+        )}
+
+        {step === 'upload' && (
+          <>
+            <p className={mutedClass}>
+              Choose a CSV file with a header row, or a JSON array of task objects. Assignees are matched
+              by username or email, statuses by name, and labels must already exist in this project.
+            </p>
+            <label className={`flex flex-col items-center justify-center gap-2 p-8 rounded-lg border-2 border-dashed cursor-pointer transition-colors ${darkMode ? 'border-[#171717] hover:border-gray-600 text-gray-400' : 'border-gray-300 hover:border-gray-400 text-gray-500'}`}>
+              <Upload size={24} />
+              <span className="text-sm font-medium">Choose a .csv or .json file</span>
+              <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} className="hidden" />
+            </label>
+          </>
+        )}
+
+        {step === 'map' && (
+          <>
+            <p className={mutedClass}>
+              {fileName}: {rows.length} row{rows.length === 1 ? '' : 's'}. Pick the column that holds each field.
+            </p>
+            <div className="space-y-2">
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key} className="flex items-center justify-between gap-3">
+                  <span className={`text-sm font-medium ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    {field.label}{field.required && ' *'}
+                  </span>
+                  <select
+                    value={mapping[field.key] || ''}
+                    onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value || undefined }))}
+                    className={`${controlClass} w-56`}
+                  >
+                    <option value="">Don't import</option>
+                    {headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-3 pt-4">
+              <button type="button" onClick={() => setStep('upload')} className={secondaryButtonClass}>Back</button>
+              <button type="button" onClick={() => setStep('preview')} disabled={!mapping.title} className={primaryButtonClass}>
+                Preview
+              </button>
+            </div>
+          </>
+        )}
+
+        {step === 'preview' && (
+          <>
+            <p className={mutedClass}>
+              {validDrafts.length} of {drafts.length} rows are ready to import.
+              {validDrafts.length < drafts.length && ' Rows with errors will be skipped.'}
+            </p>
+            <div className={`border rounded-lg overflow-auto max-h-80 ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}>
+              <table className="w-full text-sm">
+                <thead className={`sticky top-0 ${darkMode ? 'bg-[#171717] text-gray-400' : 'bg-gray-50 text-gray-500'}`}>
+                  <tr className="text-left text-xs uppercase tracking-wider">
+                    <th className="px-3 py-2">Row</th>
+                    <th className="px-3 py-2">Title</th>
+                    <th className="px-3 py-2">Status</th>
+                    <th className="px-3 py-2">Assignees</th>
+                    <th className="px-3 py-2">Due</th>
+                  </tr>
+                </thead>
+                <tbody className={`divide-y ${darkMode ? 'divide-[#171717] text-gray-300' : 'divide-gray-100 text-gray-700'}`}>
+                  {drafts.map(draft => (
+                    <React.Fragment key={draft.row}>
+                      <tr className={draft.errors.length > 0 ? 'bg-red-500/5' : ''}>
+                        <td className="px-3 py-2 opacity-60">{draft.row}</td>
+                        <td className="px-3 py-2 font-medium max-w-[200px] truncate">{draft.task.title || '—'}</td>
+                        <td className="px-3 py-2">{draft.task.status ? getStatusMeta(statuses, draft.task.status).label : '—'}</td>
+                        <td className="px-3 py-2">{draft.assigneeNames.join(', ') || '—'}</td>
+                        <td className="px-3 py-2 whitespace-nowrap">{draft.task.due_date ? formatDate(draft.task.due_date) : '—'}</td>
+                      </tr>
+                      {draft.errors.length > 0 && (
+                        <tr className="bg-red-500/5">
+                          <td />
+                          <td colSpan={4} className="px-3 pb-2 text-xs text-red-500">{draft.errors.join(' · ')}</td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex gap-3 pt-4">
+              <button type="button" onClick={() => setStep('map')} disabled={isImporting} className={secondaryButtonClass}>Back</button>
+              <button type="button" onClick={handleImport} disabled={isImporting || validDrafts.length === 0} className={primaryButtonClass}>
+                {isImporting ? 'Importing...' : `Import ${validDrafts.length} task${validDrafts.length === 1 ? '' : 's'}`}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+/**
+ * Lead-only editor for the project's ordered workflow statuses. Keys are fixed once
+ * created (tasks reference them); statuses still in use cannot be removed.
+ */
+const WorkflowStatusesModal = ({ isOpen, onClose, onSave, statuses, taskCounts, darkMode }) => {
+  const [draft, setDraft] = useState(statuses);
+  // The workflow the draft started from, to notice changes saved by someone else meanwhile
+  const [baseStatuses, setBaseStatuses] = useState(statuses);
+  const [newLabel, setNewLabel] = useState('');
+  const [localError, setLocalError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const statusesRef = React.useRef(statuses);
+  React.useEffect(() => {
+    statusesRef.current = statuses;
+  });
+
+  // Start from the current workflow each time the modal opens; later updates
+  // only raise a notice so they don't throw away the draft
+  React.useEffect(() => {
+    if (isOpen) {
+      setDraft(statusesRef.current);
+      setBaseStatuses(statusesRef.current);
+      setNewLabel('');
+      setLocalError(null);
+    }
+  }, [isOpen]);
+
+  const isChangedElsewhere = JSON.stringify(statuses) !== JSON.stringify(baseStatuses);
+
+  const loadLatest = () => {
+    setDraft(statuses);
+    setBaseStatuses(statuses);
+  };
+
+  const updateStatus = (key, updates) => {
+    setDraft(prev => prev.map(st => st.key === key ? { ...st, ...updates } : st));
+  };
+
+  const moveStatus = (index, direction) => {
+    setDraft(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(index, 1);
+      next.splice(index + direction, 0, moved);
+      return next;
+    });
+  };
+
+  const handleAdd = () => {
+    const label = newLabel.trim();
+    if (!label) return;
+    const baseKey = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'status';
+    let key = baseKey;
+    for (let i = 2; draft.some(st => st.key === key); i++) key = `${baseKey}_${i}`;
+    setDraft(prev => [...prev, { key, label, color: '#3b82f6', category: 'active' }]);
+    setNewLabel('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLocalError(null);
+
+    if (draft.length === 0) {
+      setLocalError('A workflow needs at least one status');
+      return;
+    }
+    if (draft.some(st => !st.label.trim())) {
+      setLocalError('Every status needs a name');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await onSave(draft.map(st => ({ ...st, label: st.label.trim() })));
+      onClose();
+    } catch (err) {
+      setLocalError(err.message || 'Failed to update workflow');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const controlClass = `rounded-md px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 border border-[#171717]' : 'bg-gray-100 text-black border border-gray-200'}`;
+  const iconButtonClass = `p-1 rounded transition-colors disabled:opacity-30 disabled:cursor-not-allowed ${darkMode ? 'hover:bg-[#171717] text-gray-400' : 'hover:bg-gray-100 text-gray-500'}`;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Workflow Statuses" darkMode={darkMode}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          Statuses appear in this order on the board, badges and filters. The category decides
+          whether a task counts as started or finished for overdue tracking and blockers.
+        </p>
 
-          <div>
-            <label className={labelClass}>Priority</label>
-            <select
-              value={formData.priority}
-              onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
-              className={inputClass}
-            >
-              <option value="low">Low</option>
-              <option value="medium">Medium</option>
-              <option value="high">High</option>
-              <option value="urgent">Urgent</option>
-            </select>
+        {localError && (
+          <div className={`p-3 rounded-lg border text-sm ${darkMode ? 'bg-red-500/10 border-red-500/30 text-red-300' : 'bg-red-50 border-red-200 text-red-600'}`}>
+            {localError}
           </div>
-        </div>
+        )}
 
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <label className={labelClass}>Assignees</label>
-            <div className={`rounded-lg px-4 py-2 text-sm max-h-32 overflow-y-auto ${inputClass}`}>
-              {projectMembers.map(member => (
-                <label key={member.user_id} className="flex items-center gap-2 py-1 cursor-pointer hover:opacity-80">
-                  <input
-                    type="checkbox"
-                    checked={formData.assignee_ids.includes(member.user_id)}
-                    onChange={(e) => {
-                      if (e.target.checked) {
-                        setFormData({ ...formData, assignee_ids: [...formData.assignee_ids, member.user_id] });
-                      } else {
-                        setFormData({ ...formData, assignee_ids: formData.assignee_ids.filter(id => id !== member.user_id) });
-                      }
-                    }}
-                    className="rounded border-2 border-gray-400"
-                  />
-                  <span>{member.username}</span>
-                </label>
-              ))}
-              {projectMembers.length === 0 && (
-                <span className="text-xs opacity-60">No members available</span>
-              )}
-            </div>
+        {isChangedElsewhere && (
+          <div className={`flex items-center justify-between gap-3 p-3 rounded-lg border text-sm ${darkMode ? 'bg-amber-500/10 border-amber-500/30 text-amber-300' : 'bg-amber-50 border-amber-200 text-amber-700'}`}>
+            <span>Someone else changed the workflow while you were editing. Saving will replace their changes.</span>
+            <button type="button" onClick={loadLatest} className="shrink-0 font-semibold underline">
+              Load theirs
+            </button>
           </div>
+        )}
 
-          <div>
-            <label className={labelClass}>Due Date</label>
-            <input
-              type="date"
-              value={formData.due_date}
-              onChange={(e) => setFormData({ ...formData, due_date: e.target.value })}
-              className={inputClass}
-            />
-          </div>
+        <div className="space-y-2">
+          {draft.map((status, index) => {
+            const inUse = (taskCounts[status.key] || 0) > 0;
+            return (
+              <div key={status.key} className={`flex items-center gap-2 flex-wrap rounded-lg p-2 ${darkMode ? 'bg-[#171717]/40' : 'bg-gray-50'}`}>
+                <div className="flex flex-col">
+                  <button type="button" onClick={() => moveStatus(index, -1)} disabled={index === 0} className={iconButtonClass} title="Move up">
+                    <ChevronUp size={14} />
+                  </button>
+                  <button type="button" onClick={() => moveStatus(index, 1)} disabled={index === draft.length - 1} className={iconButtonClass} title="Move down">
+                    <ChevronDown size={14} />
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={status.label}
+                  maxLength={40}
+                  onChange={(e) => updateStatus(status.key, { label: e.target.value })}
+                  className={`${controlClass} flex-1 min-w-[140px]`}
+                  style={{ color: status.color }}
+                />
+                <ColorSwatches value={status.color} onChange={(color) => updateStatus(status.key, { color })} darkMode={darkMode} />
+                <select
+                  value={status.category}
+                  onChange={(e) => updateStatus(status.key, { category: e.target.value })}
+                  className={controlClass}
+                >
+                  {Object.entries(STATUS_CATEGORIES).map(([category, label]) => (
+                    <option key={category} value={category}>{label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => setDraft(prev => prev.filter(st => st.key !== status.key))}
+                  disabled={inUse}
+                  className="p-1.5 rounded text-red-500 hover:bg-red-500/10 disabled:opacity-30 disabled:cursor-not-allowed"
+                  title={inUse ? `${taskCounts[status.key]} task(s) use this status` : 'Remove status'}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newLabel}
+            maxLength={40}
+            onChange={(e) => setNewLabel(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleAdd();
+              }
+            }}
+            placeholder="New status, e.g. Waiting on vendor"
+            className={`${controlClass} flex-1`}
+          />
+          <button
+            type="button"
+            onClick={handleAdd}
+            disabled={!newLabel.trim()}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-[#006239] hover:bg-[#005230] text-white text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Plus size={14} />
+            Add
+          </button>
         </div>
 
         <div className="flex gap-3 pt-4">
           <button
             type="button"
             onClick={onClose}
-            className={`flex-1 px-6 py-3 rounded-lg font-semibold transition-all ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-              }`}
+            disabled={isSubmitting}
+            className={`flex-1 px-4 py-2.5 rounded-lg font-medium transition-colors disabled:opacity-50 ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-200 text-black hover:bg-gray-300'}`}
           >
             Cancel
           </button>
           <button
             type="submit"
             disabled={isSubmitting}
-            className="flex-1 px-6 py-3 bg-[#006239] hover:bg-[#005230] text-white rounded-lg font-semibold shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+            className="flex-1 px-4 py-2.5 rounded-lg font-medium bg-[#006239] hover:bg-[#005230] text-white transition-colors disabled:opacity-50"
           >
-            {isSubmitting ? 'Saving...' : 'Save Changes'}
+            {isSubmitting ? 'Saving...' : 'Save Workflow'}
           </button>
         </div>
       </form>
@@ -821,6 +3148,118 @@ const EditTaskModal = ({ isOpen, onClose, onSubmit, task, projectMembers, darkMo
   );
 };
 
+/**
+ * Deleted tasks of the project. Editors can restore them; leads can also
+ * delete them permanently before the retention period runs out.
+ */
+const ProjectTrashModal = ({ isOpen, onClose, projectId, onRestore, canPurge, darkMode }) => {
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  React.useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    setIsLoading(true);
+    projectApi.getProjectTrash(projectId)
+      .then(response => {
+        if (!cancelled) setItems(response.data || []);
+      })
+      .catch(err => {
+        if (!cancelled) toast.error(err.message || 'Failed to load trash');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [isOpen, projectId]);
+
+  const handleRestore = async (task) => {
+    setBusyId(task.id);
+    // onRestore reports its own errors and resolves to false on failure
+    if (await onRestore(task)) {
+      setItems(prev => prev.filter(t => t.id !== task.id));
+    }
+    setBusyId(null);
+  };
+
+  const handlePurge = async (task) => {
+    if (!window.confirm(`Permanently delete "${task.title}"? This cannot be undone.`)) return;
+    setBusyId(task.id);
+    try {
+      const response = await projectApi.purgeTask(projectId, task.id);
+      if (!response.success) throw new Error(response.message);
+      setItems(prev => prev.filter(t => t.id !== task.id));
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete task');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Trash" darkMode={darkMode}>
+      <div className="space-y-4">
+        <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          Deleted tasks are kept for {TRASH_RETENTION_DAYS} days before they are removed for good.
+        </p>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 size={20} className={`animate-spin ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
+          </div>
+        ) : items.length === 0 ? (
+          <div className={`py-8 text-center text-sm ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+            <Trash2 size={24} className="mx-auto mb-2 opacity-50" />
+            Trash is empty
+          </div>
+        ) : (
+          <div className={`divide-y rounded-lg border max-h-96 overflow-y-auto ${darkMode ? 'divide-[#171717] border-[#171717]' : 'divide-gray-100 border-gray-200'}`}>
+            {items.map(task => {
+              const daysLeft = getDaysUntilPurge(task.deleted_at);
+              return (
+                <div key={task.id} className="flex items-center gap-3 p-3">
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm font-medium truncate ${darkMode ? 'text-gray-200' : 'text-gray-900'}`}>
+                      {sanitizeText(task.title)}
+                    </p>
+                    <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                      Deleted {formatDate(task.deleted_at)}
+                      {task.deleted_by_username && ` by ${task.deleted_by_username}`}
+                      {' · '}
+                      <span className={daysLeft <= 3 ? 'text-red-500' : ''}>
+                        {daysLeft} day{daysLeft === 1 ? '' : 's'} left
+                      </span>
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRestore(task)}
+                    disabled={busyId === task.id}
+                    className={`flex items-center gap-1 px-2.5 py-1.5 rounded-md text-xs font-medium transition-colors disabled:opacity-50 ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                  >
+                    <RotateCcw size={12} />
+                    Restore
+                  </button>
+                  {canPurge && (
+                    <button
+                      onClick={() => handlePurge(task)}
+                      disabled={busyId === task.id}
+                      className="p-1.5 rounded-md text-red-500 hover:bg-red-500/10 disabled:opacity-50"
+                      title="Delete permanently"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
 const DeleteTaskModal = ({ isOpen, onClose, onConfirm, task, darkMode }) => {
   const [localError, setLocalError] = useState(null);
   const [isDeleting, setIsDeleting] = useState(false);
@@ -877,7 +3316,7 @@ const DeleteTaskModal = ({ isOpen, onClose, onConfirm, task, darkMode }) => {
               <h3 className={`font-bold mb-1 ${darkMode ? 'text-red-400' : 'text-red-600'
                 }`}>Are you sure you want to delete this task?</h3>
               <p className={`text-sm ${darkMode ? 'text-red-300' : 'text-red-500'
-                }`}>This action cannot be undone.</p>
+                }`}>You can restore it from the project's Trash for {TRASH_RETENTION_DAYS} days.</p>
             </div>
           </div>
         </div>
@@ -890,7 +3329,7 @@ const DeleteTaskModal = ({ isOpen, onClose, onConfirm, task, darkMode }) => {
             }`}>{sanitizeText(task.title)}</h4>
           {task.description && (
             <p className={`text-sm mt-2 ${darkMode ? 'text-gray-300' : 'text-gray-400'
-              }`}>{sanitizeText(task.description).substring(0, 100)}...</p>
+              }`}>{stripMarkdown(task.description).substring(0, 100)}...</p>
           )}
         </div>
 
@@ -920,19 +3359,38 @@ const DeleteTaskModal = ({ isOpen, onClose, onConfirm, task, darkMode }) => {
  */
 export default function ProjectPage() {
   const { isDarkMode } = useOutletContext();
-  const { teamId, projectId } = useParams();
+  const { teamId, projectId, taskId: routeTaskId } = useParams();
   const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
 
   const [tasks, setTasks] = useState([]);
   const [projectData, setProjectData] = useState(null);
   const [projectMembers, setProjectMembers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [statusFilter, setStatusFilter] = useState('all');
-  const [priorityFilter, setPriorityFilter] = useState('all');
-  const [assigneeFilter, setAssigneeFilter] = useState('all');
-  const [sortBy, setSortBy] = useState('due_date');
+  // Filters, sort, view and page live in the query string, so reloads, shared links
+  // and back/forward all reproduce the view
+  const getFilterParam = (key) => searchParams.get(key) || FILTER_DEFAULTS[key];
+  const searchQuery = getFilterParam('q');
+  const statusFilter = getFilterParam('status');
+  const priorityFilter = getFilterParam('priority');
+  const assigneeFilter = getFilterParam('assignee');
+  const labelFilter = getFilterParam('label');
+  const sprintFilter = getFilterParam('sprint');
+  const sortBy = getFilterParam('sort');
+  const viewMode = getFilterParam('view');
+  const currentPage = Math.max(parseInt(searchParams.get('page')) || 1, 1);
+  const [projectLabels, setProjectLabels] = useState([]);
+  const [statuses, setStatuses] = useState(DEFAULT_TASK_STATUSES);
+  const [showWorkflowModal, setShowWorkflowModal] = useState(false);
+  const [previewImage, setPreviewImage] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [showCharts, setShowCharts] = useState(false);
+  const [sprints, setSprints] = useState([]);
+  const [sprintModal, setSprintModal] = useState(null); // { sprint } when open; sprint is null for a new one
+  const [completingSprint, setCompletingSprint] = useState(null);
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
@@ -943,40 +3401,83 @@ export default function ProjectPage() {
   const [riskLoading, setRiskLoading] = useState(false);
   const [showRiskCard, setShowRiskCard] = useState(true);
 
-  // Pagination state
-  const [currentPage, setCurrentPage] = useState(1);
+  // Selection mode for bulk edits (list and board views)
+  const [isSelecting, setIsSelecting] = useState(false);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [lastSelectedId, setLastSelectedId] = useState(null);
+  const [isBulkApplying, setIsBulkApplying] = useState(false);
+
   const TASKS_PER_PAGE = 6;
 
-  // Pinned tasks state (stored in localStorage)
-  const [pinnedTasks, setPinnedTasks] = useState(() => {
-    try {
-      const saved = localStorage.getItem(`project_${projectId}_pinned_tasks`);
-      return saved ? JSON.parse(saved) : [];
-    } catch {
-      return [];
-    }
+  // Saved views (stored in localStorage): named filter/sort/view combinations
+  const [savedViews, setSavedViews] = useStoredState(`project_${projectId}_saved_views`, []);
+
+  const { activeTimer, elapsedSeconds, startTimer, stopTimer } = useTaskTimer();
+  const { user: currentUser } = useAuth();
+
+  // Pinned tasks are a per-user server preference (older localStorage pins are migrated)
+  const { pinnedTaskIds: pinnedTasks, togglePin } = usePins();
+
+  // Change some of the query-string params in one navigation (defaults are left out).
+  // Anything but a page change goes back to the first page.
+  const updateFilterParams = (values) => {
+    setSearchParams(prev => {
+      const params = new URLSearchParams(prev);
+      Object.entries(values).forEach(([key, value]) => {
+        const isDefault = key === 'page' ? value <= 1 : value === FILTER_DEFAULTS[key];
+        if (isDefault) params.delete(key);
+        else params.set(key, String(value));
+      });
+      if (!('page' in values)) params.delete('page');
+      return params;
+    }, { replace: true });
+  };
+
+  const setSearchQuery = (value) => updateFilterParams({ q: value });
+  const setStatusFilter = (value) => updateFilterParams({ status: value });
+  const setPriorityFilter = (value) => updateFilterParams({ priority: value });
+  const setAssigneeFilter = (value) => updateFilterParams({ assignee: value });
+  const setLabelFilter = (value) => updateFilterParams({ label: value });
+  const setSprintFilter = (value) => updateFilterParams({ sprint: value });
+  const setSortBy = (value) => updateFilterParams({ sort: value });
+  const setViewMode = (value) => updateFilterParams({ view: value });
+  const setCurrentPage = (page) => updateFilterParams({ page });
+
+  // Current filters as query-string params (without the page), also used as the saved view key
+  const filterParams = buildFilterParams({
+    q: searchQuery,
+    status: statusFilter,
+    priority: priorityFilter,
+    assignee: assigneeFilter,
+    label: labelFilter,
+    sprint: sprintFilter,
+    sort: sortBy,
+    view: viewMode,
   });
+  const filterQuery = filterParams.toString();
 
-  // Persist pinned tasks to localStorage
-  useEffect(() => {
-    if (projectId) {
-      localStorage.setItem(`project_${projectId}_pinned_tasks`, JSON.stringify(pinnedTasks));
-    }
-  }, [pinnedTasks, projectId]);
+  const applyFilterQuery = (query) => {
+    const params = new URLSearchParams(query);
+    updateFilterParams(Object.fromEntries(Object.keys(FILTER_DEFAULTS).map(key => [key, params.get(key) || FILTER_DEFAULTS[key]])));
+  };
 
-  // Reset page when filters change
-  useEffect(() => {
-    setCurrentPage(1);
-  }, [searchQuery, statusFilter, priorityFilter, assigneeFilter]);
+  const handleSaveView = (name) => {
+    setSavedViews(prev => [...prev, { id: Date.now(), name, query: filterQuery }]);
+    toast.success(`Saved view "${name}"`);
+  };
+
+  const handleDeleteView = (viewId) => {
+    setSavedViews(prev => prev.filter(v => v.id !== viewId));
+  };
 
   // Toggle pin task handler
   const togglePinTask = (taskId) => {
-    setPinnedTasks(prev => {
-      if (prev.includes(taskId)) {
-        return prev.filter(id => id !== taskId);
-      } else {
-        return [...prev, taskId];
-      }
+    togglePin('task', {
+      task_id: taskId,
+      project_id: Number(projectId),
+      team_id: Number(teamId),
+      title: tasks.find(t => t.id === taskId)?.title,
+      project_name: projectData?.name,
     });
   };
 
@@ -1008,8 +3509,11 @@ export default function ProjectPage() {
           setProjectMembers(membersRes.data);
         }
 
-        // Fetch latest risk report (non-blocking)
+        // Fetch latest risk report and labels (non-blocking)
         fetchRiskReport();
+        fetchProjectLabels();
+        fetchStatuses();
+        fetchSprints();
 
         setLoading(false);
       } catch (err) {
@@ -1022,6 +3526,41 @@ export default function ProjectPage() {
     fetchProjectData();
   }, [projectId]);
 
+  // Read through a ref so a linked task is resolved once, not on every task list change
+  const tasksRef = React.useRef(tasks);
+  useEffect(() => {
+    tasksRef.current = tasks;
+  });
+
+  // A linked task that is not in the loaded list: add it if it is in this project (created
+  // before its task-created event arrived), follow it if it moved, otherwise drop the link
+  useEffect(() => {
+    if (loading || error || !routeTaskId) return;
+    if (tasksRef.current.some(t => String(t.id) === routeTaskId)) return;
+
+    let cancelled = false;
+    getTaskById(routeTaskId)
+      .then((response) => {
+        if (cancelled) return;
+        const task = response.data;
+        if (!response.success || !task) throw new Error('Task not found');
+        if (String(task.project_id) === projectId) {
+          setTasks(prev => prev.some(t => t.id === task.id) ? prev : [task, ...prev]);
+        } else if (task.team_id) {
+          navigate(getTaskPath({ teamId: task.team_id, projectId: task.project_id, taskId: task.id }), { replace: true });
+        } else {
+          throw new Error('Task not found');
+        }
+      })
+      .catch(() => {
+        if (cancelled) return;
+        toast.error('This task no longer exists or you do not have access to it');
+        navigate(`/teams/${teamId}/projects/${projectId}`, { replace: true });
+      });
+
+    return () => { cancelled = true; };
+  }, [loading, error, routeTaskId, teamId, projectId, navigate]);
+
   // Real-time: Subscribe to project room for task updates
   useEffect(() => {
     const socket = getSocket();
@@ -1032,32 +3571,73 @@ export default function ProjectPage() {
       console.warn('Failed to join project room:', err.message);
     });
 
+    // The charts replay the status history, so refetch it whenever a task changes
+    const invalidateStatusHistory = () => {
+      queryClient.invalidateQueries({ queryKey: ['projectStatusHistory', projectId] });
+    };
+
     // Subscribe to task events
     const unsubCreated = onTaskCreated((newTask) => {
       console.log('Task created:', newTask.title);
-      setTasks(prev => [newTask, ...prev]);
+      invalidateStatusHistory();
+      // Restores are broadcast as task-created too; the restoring client may already have it
+      setTasks(prev => prev.some(t => t.id === newTask.id) ? prev : [newTask, ...prev]);
       toast.success(`New task created: ${newTask.title}`);
     });
 
     const unsubUpdated = onTaskUpdated((updatedTask) => {
       console.log('Task updated:', updatedTask.title);
-      setTasks(prev => prev.map(t => t.id === updatedTask.id ? updatedTask : t));
+      invalidateStatusHistory();
+      setTasks(prev => prev.map(t => t.id === updatedTask.id && !isStaleTaskVersion(updatedTask, t) ? updatedTask : t));
     });
 
     const unsubDeleted = onTaskDeleted(({ taskId }) => {
       console.log('Task deleted:', taskId);
+      invalidateStatusHistory();
       setTasks(prev => prev.filter(t => t.id !== taskId));
       toast.success('A task was deleted');
     });
 
+    // Subscribe to subtask events
+    const patchSubtasks = (taskId, updater) => setTasks(prev => mapTaskSubtasks(prev, taskId, updater));
+
+    const unsubSubtaskCreated = onSubtaskCreated(({ taskId, subtask }) => {
+      patchSubtasks(taskId, subtasks =>
+        subtasks.some(s => s.id === subtask.id) ? subtasks : [...subtasks, subtask]
+      );
+    });
+
+    const unsubSubtaskUpdated = onSubtaskUpdated(({ taskId, subtask }) => {
+      patchSubtasks(taskId, subtasks => subtasks.map(s => s.id === subtask.id ? subtask : s));
+    });
+
+    const unsubSubtaskDeleted = onSubtaskDeleted(({ taskId, subtaskId }) => {
+      patchSubtasks(taskId, subtasks => subtasks.filter(s => s.id !== subtaskId));
+    });
+
+    // A lead changed the workflow
+    const unsubStatuses = onProjectStatusesUpdated(({ statuses: nextStatuses }) => {
+      setStatuses(nextStatuses?.length > 0 ? nextStatuses : DEFAULT_TASK_STATUSES);
+    });
+
+    // Sprints were created, edited, started or completed
+    const unsubSprints = onProjectSprintsUpdated(({ sprints: nextSprints }) => {
+      setSprints(nextSprints || []);
+    });
+
     // Cleanup on unmount
     return () => {
       leaveProject(projectId);
       unsubCreated();
       unsubUpdated();
       unsubDeleted();
+      unsubSubtaskCreated();
+      unsubSubtaskUpdated();
+      unsubSubtaskDeleted();
+      unsubStatuses();
+      unsubSprints();
     };
-  }, [projectId]);
+  }, [projectId, queryClient]);
 
   // Fetch AI risk report
   const fetchRiskReport = async () => {
@@ -1075,11 +3655,75 @@ export default function ProjectPage() {
     }
   };
 
+  // Projects without a custom workflow return an empty list and keep the defaults
+  const fetchStatuses = async () => {
+    try {
+      const response = await projectApi.getProjectStatuses(projectId);
+      if (response.success && response.data?.length > 0) {
+        setStatuses(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to fetch workflow statuses:', err);
+    }
+  };
+
+  // Defaults for the next sprint, recomputed only when the sprints change
+  const sprintDefaults = React.useMemo(() => getNextSprintDefaults(sprints), [sprints]);
+
+  const fetchSprints = async () => {
+    try {
+      const response = await projectApi.getProjectSprints(projectId);
+      if (response.success) {
+        setSprints(response.data || []);
+      }
+    } catch (err) {
+      console.error('Failed to fetch sprints:', err);
+    }
+  };
+
+  const handleSaveStatuses = async (nextStatuses) => {
+    const response = await projectApi.updateProjectStatuses(projectId, nextStatuses);
+    if (response.success) {
+      setStatuses(response.data?.length > 0 ? response.data : DEFAULT_TASK_STATUSES);
+      toast.success('Workflow updated');
+    } else {
+      throw new Error(response.message || 'Failed to update workflow');
+    }
+  };
+
+  const fetchProjectLabels = async () => {
+    try {
+      const response = await projectApi.getProjectLabels(projectId);
+      if (response.success) {
+        setProjectLabels(response.data);
+      }
+    } catch (err) {
+      console.error('Failed to fetch labels:', err);
+    }
+  };
+
+  // Returns the new label so the picker can select it, or null on failure
+  const handleCreateLabel = async (labelData) => {
+    try {
+      const response = await projectApi.createProjectLabel(projectId, labelData);
+      if (!response.success) throw new Error(response.message);
+      setProjectLabels(prev => [...prev, response.data]);
+      return response.data;
+    } catch (err) {
+      console.error('Create label error:', err);
+      toast.error(err.message || 'Failed to create label');
+      return null;
+    }
+  };
+
   // Force new AI analysis
   const handleRefreshRisk = async () => {
     try {
       setRiskLoading(true);
-      const response = await riskReportApi.analyzeProjectRisk(projectId);
+      const dependencies = tasks.flatMap(t =>
+        (t.blocked_by || []).map(b => ({ task_id: t.id, blocked_by_task_id: b.id }))
+      );
+      const response = await riskReportApi.analyzeProjectRisk(projectId, { dependencies });
       if (response.success) {
         setRiskReport(response.data);
       }
@@ -1109,7 +3753,8 @@ export default function ProjectPage() {
   // Filter and sort tasks
   const filteredTasks = tasks.filter(task => {
     if (searchQuery && !sanitizeText(task.title.toLowerCase()).includes(sanitizeText(searchQuery.toLowerCase())) &&
-      !sanitizeText(task.description?.toLowerCase() || '').includes(sanitizeText(searchQuery.toLowerCase()))) {
+      !sanitizeText(task.description?.toLowerCase() || '').includes(sanitizeText(searchQuery.toLowerCase())) &&
+      !(task.labels || []).some(l => l.name.toLowerCase().includes(searchQuery.toLowerCase()))) {
       return false;
     }
     if (statusFilter !== 'all' && task.status !== statusFilter) return false;
@@ -1118,6 +3763,14 @@ export default function ProjectPage() {
       if (assigneeFilter === 'unassigned' && task.assignees && task.assignees.length > 0) return false;
       if (assigneeFilter !== 'unassigned' && (!task.assignees || !task.assignees.some(a => a.user_id === parseInt(assigneeFilter)))) return false;
     }
+    if (labelFilter !== 'all') {
+      if (labelFilter === 'none' && task.labels?.length > 0) return false;
+      if (labelFilter !== 'none' && !(task.labels || []).some(l => String(l.id) === labelFilter)) return false;
+    }
+    if (sprintFilter !== 'all') {
+      if (sprintFilter === 'backlog' && task.sprint_id) return false;
+      if (sprintFilter !== 'backlog' && String(task.sprint_id) !== sprintFilter) return false;
+    }
     return true;
   }).sort((a, b) => {
     // PRIORITY: Pinned tasks always come first
@@ -1135,8 +3788,8 @@ export default function ProjectPage() {
         const priorityOrder = { urgent: 0, high: 1, medium: 2, low: 3 };
         return priorityOrder[a.priority] - priorityOrder[b.priority];
       case 'status':
-        const statusOrder = { todo: 0, in_progress: 1, review: 2, done: 3 };
-        return statusOrder[a.status] - statusOrder[b.status];
+        // Workflow order of the project
+        return statuses.findIndex(st => st.key === a.status) - statuses.findIndex(st => st.key === b.status);
       case 'created_at':
         return new Date(b.created_at) - new Date(a.created_at);
       default:
@@ -1153,30 +3806,225 @@ export default function ProjectPage() {
 
   const stats = {
     total: tasks.length,
-    todo: tasks.filter(t => t.status === 'todo').length,
-    in_progress: tasks.filter(t => t.status === 'in_progress').length,
-    review: tasks.filter(t => t.status === 'review').length,
-    done: tasks.filter(t => t.status === 'done').length,
-    overdue: tasks.filter(t => getDaysUntilDue(t.due_date) !== null && getDaysUntilDue(t.due_date) < 0 && t.status !== 'done').length,
+    byStatus: statuses.map(status => ({ ...status, count: tasks.filter(t => t.status === status.key).length })),
+    overdue: tasks.filter(t => getDaysUntilDue(t.due_date) !== null && getDaysUntilDue(t.due_date) < 0 && getStatusCategory(t, statuses) !== 'done').length,
+    trackedMinutes: tasks.reduce((sum, t) => sum + (t.tracked_minutes || 0), 0),
+    estimatedMinutes: tasks.reduce((sum, t) => sum + (t.estimate_minutes || 0), 0),
+  };
+
+  // Moving into an active or done status counts as starting / finishing the task
+  const isStartingStatus = (statusKey) => getStatusMeta(statuses, statusKey).category !== 'not_started';
+
+  // Starting or finishing a task whose blockers are still open needs an explicit OK
+  const confirmBlockedStatusChange = (task, newStatus) => {
+    if (!task || !isStartingStatus(newStatus)) return true;
+    const openBlockers = getOpenBlockers(task, tasks, statuses);
+    if (openBlockers.length === 0) return true;
+    return window.confirm(
+      `"${task.title}" is blocked by ${openBlockers.map(b => `"${b.title}"`).join(', ')}, which ${openBlockers.length === 1 ? 'is' : 'are'} not done yet.\n\nMove it to ${getStatusMeta(statuses, newStatus).label} anyway?`
+    );
+  };
+
+  // Stopping the timer logs the elapsed time as an entry on the task it ran for
+  const handleStopTimer = async () => {
+    const title = activeTimer?.taskTitle;
+    const entry = stopTimer();
+    if (!entry) return;
+
+    try {
+      const response = await projectApi.createTimeEntry(entry.projectId, entry.taskId, {
+        minutes: entry.minutes,
+        started_at: entry.started_at,
+        spent_on: entry.spent_on,
+      });
+      if (response.success) {
+        handleTimeLogged(entry.taskId, entry.minutes);
+        toast.success(`Logged ${formatMinutes(entry.minutes)} on "${title}"`);
+      } else {
+        toast.error(response.message || 'Failed to log time');
+      }
+    } catch (err) {
+      console.error('Stop timer error:', err);
+      toast.error('Failed to log time');
+    }
+  };
+
+  // Only one timer runs at a time, so starting another logs the running one first
+  const handleStartTimer = async (task) => {
+    if (activeTimer) await handleStopTimer();
+    startTimer(task, Number(projectId));
+  };
+
+  const handleTimeLogged = (taskId, minutes) => {
+    setTasks(prev => prev.map(t =>
+      t.id === taskId ? { ...t, tracked_minutes: Math.max(0, (t.tracked_minutes || 0) + minutes) } : t
+    ));
+  };
+
+  // New repeat rules start a series that every later occurrence shares
+  const withSeriesId = (recurrence) => (recurrence && !recurrence.series_id
+    ? { ...recurrence, series_id: crypto.randomUUID() }
+    : recurrence);
+
+  // Apply a local patch right away and return a rollback. The rollback only restores
+  // fields that still hold our value, so changes that arrived over the socket meanwhile survive.
+  const applyOptimisticPatch = (taskId, patch) => {
+    const previous = tasks.find(t => t.id === taskId);
+    setTasks(prev => prev.map(t => t.id === taskId ? { ...t, ...patch } : t));
+
+    return () => setTasks(prev => prev.map(t => {
+      if (t.id !== taskId || !previous) return t;
+      const restored = { ...t };
+      Object.keys(patch).forEach(key => {
+        if (t[key] === patch[key]) restored[key] = previous[key];
+      });
+      return restored;
+    }));
+  };
+
+  // Quick status change handler for the status dropdown and board drag-and-drop
+  const handleQuickStatusChange = async (taskId, newStatus) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!confirmBlockedStatusChange(task, newStatus)) return;
+
+    // Update local state immediately so the card doesn't snap back while the request is in flight
+    const revert = applyOptimisticPatch(taskId, { status: newStatus });
+
+    try {
+      const response = await projectApi.updateTask(projectId, taskId, { status: newStatus });
+      if (response.success) {
+        toast.success(`Task moved to ${getStatusMeta(statuses, newStatus).label}`);
+      } else {
+        revert();
+        toast.error(response.message || 'Failed to update status');
+      }
+    } catch (err) {
+      console.error('Quick status change error:', err);
+      revert();
+      toast.error('Failed to update task status');
+    }
+  };
+
+  // Calendar drag-and-drop: move a task's due date to another day
+  const handleReschedule = async (task, dateKey) => {
+    const newDueDate = new Date(dateKey).toISOString();
+    const revert = applyOptimisticPatch(task.id, { due_date: newDueDate });
+
+    try {
+      const response = await projectApi.updateTask(projectId, task.id, { due_date: newDueDate });
+      if (response.success) {
+        toast.success(`Task rescheduled to ${formatDate(newDueDate)}`);
+      } else {
+        revert();
+        toast.error(response.message || 'Failed to reschedule task');
+      }
+    } catch (err) {
+      console.error('Reschedule error:', err);
+      revert();
+      toast.error('Failed to reschedule task');
+    }
+  };
+
+  // Backlog view: move one task into a sprint or back to the backlog (sprintId null)
+  const handleMoveTaskToSprint = async (task, sprintId) => {
+    const revert = applyOptimisticPatch(task.id, { sprint_id: sprintId });
+
+    try {
+      const response = await projectApi.updateTask(projectId, task.id, { sprint_id: sprintId });
+      if (!response.success) {
+        revert();
+        toast.error(response.message || 'Failed to move task');
+      }
+    } catch (err) {
+      console.error('Move task to sprint error:', err);
+      revert();
+      toast.error('Failed to move task');
+    }
+  };
+
+  // Create a sprint, or update sprintModal.sprint when editing; errors surface in the modal
+  const handleSaveSprint = async (sprintData) => {
+    const editing = sprintModal?.sprint;
+    const response = editing
+      ? await projectApi.updateSprint(projectId, editing.id, sprintData)
+      : await projectApi.createSprint(projectId, sprintData);
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to save sprint');
+    }
+    await fetchSprints();
+    toast.success(editing ? 'Sprint updated' : `Created ${response.data?.name || 'sprint'}`);
+  };
+
+  const handleStartSprint = async (sprint) => {
+    try {
+      const response = await projectApi.updateSprint(projectId, sprint.id, { status: 'active' });
+      if (response.success) {
+        await fetchSprints();
+        toast.success(`${sprint.name} started`);
+      } else {
+        toast.error(response.message || 'Failed to start sprint');
+      }
+    } catch (err) {
+      console.error('Start sprint error:', err);
+      toast.error(err.message || 'Failed to start sprint');
+    }
   };
 
-  // Quick status change handler for hover actions
-  const handleQuickStatusChange = async (taskId, newStatus) => {
+  // Deleting a sprint sends its tasks back to the backlog
+  const handleDeleteSprint = async (sprint) => {
+    if (!window.confirm(`Delete ${sprint.name}? Its tasks will return to the backlog.`)) return;
+
     try {
-      const response = await projectApi.updateTask(projectId, taskId, { status: newStatus });
+      const response = await projectApi.deleteSprint(projectId, sprint.id);
       if (response.success) {
-        // Update local state immediately for better UX
-        setTasks(prev => prev.map(t =>
-          t.id === taskId ? { ...t, status: newStatus } : t
-        ));
-        toast.success(`Task moved to ${newStatus.replace('_', ' ')}`);
+        setSprints(prev => prev.filter(sp => sp.id !== sprint.id));
+        setTasks(prev => prev.map(t => t.sprint_id === sprint.id ? { ...t, sprint_id: null } : t));
+        if (sprintFilter === String(sprint.id)) setSprintFilter('all');
+        toast.success('Sprint deleted');
       } else {
-        toast.error(response.message || 'Failed to update status');
+        toast.error(response.message || 'Failed to delete sprint');
       }
     } catch (err) {
-      console.error('Quick status change error:', err);
-      toast.error('Failed to update task status');
+      console.error('Delete sprint error:', err);
+      toast.error('Failed to delete sprint');
+    }
+  };
+
+  // target: a sprint id, null for the backlog, or 'new' to create the next sprint first.
+  // Throws on failure so the modal stays open; a sprint created for it is removed again.
+  const handleCompleteSprint = async (sprint, target) => {
+    let createdSprintId = null;
+    if (target === 'new') {
+      const defaults = getNextSprintDefaults(sprints);
+      const created = await projectApi.createSprint(projectId, {
+        name: defaults.name,
+        start_date: new Date(defaults.start_date).toISOString(),
+        end_date: new Date(defaults.end_date).toISOString(),
+      });
+      if (!created.success) {
+        throw new Error(created.message || 'Failed to create the next sprint');
+      }
+      createdSprintId = created.data.id;
+    }
+
+    let response;
+    try {
+      response = await projectApi.completeSprint(projectId, sprint.id, createdSprintId ?? target);
+      if (!response.success) throw new Error(response.message || 'Failed to complete sprint');
+    } catch (err) {
+      console.error('Complete sprint error:', err);
+      if (createdSprintId !== null) {
+        await projectApi.deleteSprint(projectId, createdSprintId)
+          .catch(deleteErr => console.error('Failed to remove the new sprint:', deleteErr));
+      }
+      throw err;
     }
+
+    await Promise.all([fetchSprints(), refetchTasks()]);
+    const movedCount = response.data?.moved_count || 0;
+    toast.success(movedCount > 0
+      ? `${sprint.name} completed, ${movedCount} unfinished task${movedCount === 1 ? '' : 's'} carried over`
+      : `${sprint.name} completed`);
   };
 
   const handleEditTask = (task) => {
@@ -1184,11 +4032,38 @@ export default function ProjectPage() {
     setShowEditModal(true);
   };
 
-  const handleEditSubmit = async (formData) => {
-    const updates = { ...formData };
+  const handleEditSubmit = async (formData, { expectedVersion } = {}) => {
+    if (formData.status !== selectedTask.status && !confirmBlockedStatusChange(selectedTask, formData.status)) {
+      throw new Error('Status not changed: this task is still blocked');
+    }
+
+    const { estimate, ...fields } = formData;
+    const updates = { ...fields, estimate_minutes: parseDuration(estimate), recurrence: withSeriesId(formData.recurrence) };
     if (updates.due_date) updates.due_date = new Date(updates.due_date).toISOString();
 
-    const response = await projectApi.updateTask(projectId, selectedTask.id, updates);
+    // Show the scalar fields on the card while saving; assignees and labels need the refetch
+    const { assignee_ids: _assigneeIds, label_ids: _labelIds, ...displayedUpdates } = updates;
+    const rollback = applyOptimisticPatch(selectedTask.id, displayedUpdates);
+
+    let response;
+    try {
+      response = await projectApi.updateTask(projectId, selectedTask.id, {
+        ...updates,
+        ...(expectedVersion !== null && expectedVersion !== undefined && { expected_version: expectedVersion }),
+      });
+    } catch (err) {
+      rollback();
+      // Someone saved first: swap in their copy so the modal can show what changed
+      if (isVersionConflict(err)) {
+        const serverTask = err.data?.data;
+        if (serverTask) {
+          setTasks(prev => prev.map(t => t.id === serverTask.id ? serverTask : t));
+        } else {
+          await refetchTasks();
+        }
+      }
+      throw err;
+    }
 
     if (response.success) {
       // Refetch tasks to get updated assignees array
@@ -1196,6 +4071,7 @@ export default function ProjectPage() {
       setSelectedTask(null);
       console.log('Task updated:', response.message);
     } else {
+      rollback();
       throw new Error(response.message || 'Failed to update task');
     }
   };
@@ -1206,29 +4082,78 @@ export default function ProjectPage() {
   };
 
   const handleDeleteConfirm = async () => {
-    const response = await projectApi.deleteTask(projectId, selectedTask.id);
+    const deletedTask = selectedTask;
+    const response = await projectApi.deleteTask(projectId, deletedTask.id);
 
     if (response.success) {
-      setTasks(tasks.filter(t => t.id !== selectedTask.id));
+      setTasks(tasks.filter(t => t.id !== deletedTask.id));
       setSelectedTask(null);
       console.log('Task deleted:', response.message);
+      toast((t) => (
+        <UndoToast t={t} message={`Deleted "${deletedTask.title}"`} onUndo={() => handleRestoreTasks([deletedTask])} />
+      ), { duration: UNDO_TOAST_DURATION });
     } else {
       throw new Error(response.message || 'Failed to delete task');
     }
   };
 
+  // Bring tasks back from the trash (Undo toast and Trash modal)
+  const handleRestoreTasks = async (tasksToRestore) => {
+    let failed = 0;
+    for (const task of tasksToRestore) {
+      try {
+        const response = await projectApi.restoreTask(projectId, task.id);
+        if (!response.success) failed += 1;
+      } catch (err) {
+        console.error(`Restore failed for task ${task.id}:`, err);
+        failed += 1;
+      }
+    }
+
+    await refetchTasks();
+    if (failed > 0) {
+      toast.error(`${failed} task${failed === 1 ? '' : 's'} could not be restored`);
+      return false;
+    }
+    toast.success(tasksToRestore.length === 1 ? `Restored "${tasksToRestore[0].title}"` : `Restored ${tasksToRestore.length} tasks`);
+    return true;
+  };
+
   const handleCreateTask = () => {
     setShowCreateModal(true);
   };
 
   const handleCreateSubmit = async (formData) => {
-    const taskData = { ...formData };
+    const { subtasks, files, estimate, ...taskData } = formData;
     // assignee_ids is already an array of integers from the checkbox handler
     if (taskData.due_date) taskData.due_date = new Date(taskData.due_date).toISOString();
+    taskData.estimate_minutes = parseDuration(estimate);
+    taskData.recurrence = withSeriesId(taskData.recurrence);
 
     const response = await projectApi.createTask(projectId, taskData);
 
     if (response.success) {
+      // Create checklist items in order once the task exists. The task itself is saved,
+      // so a failure here must not surface as a create error (retrying would duplicate it)
+      try {
+        for (const subtask of subtasks) {
+          await projectApi.createSubtask(projectId, response.data.id, {
+            title: subtask.title,
+            assignee_id: subtask.assignee_id,
+          });
+        }
+      } catch (err) {
+        console.error('Failed to create checklist items:', err);
+        toast.error('Task created, but some checklist items could not be saved');
+      }
+      if (files.length > 0) {
+        try {
+          await projectApi.uploadTaskAttachments(projectId, response.data.id, files);
+        } catch (err) {
+          console.error('Failed to upload attachments:', err);
+          toast.error('Task created, but the attachments could not be uploaded');
+        }
+      }
       // Refetch tasks to get new task with populated assignees array
       await refetchTasks();
       console.log('Task created:', response.message);
@@ -1237,6 +4162,369 @@ export default function ProjectPage() {
     }
   };
 
+  // Quick-add bar: create the task straight from the parsed line
+  const handleQuickAdd = async ({ title, assignee_ids, priority, due_date, label_ids }) => {
+    const response = await projectApi.createTask(projectId, {
+      title,
+      status: getInitialStatusKey(statuses),
+      priority: priority || 'medium',
+      assignee_ids,
+      label_ids,
+      ...(due_date && { due_date: new Date(due_date).toISOString() }),
+    });
+    if (!response.success) {
+      throw new Error(response.message || 'Failed to create task');
+    }
+    await refetchTasks();
+    toast.success(`Created "${title}"`);
+  };
+
+  // Subtask handlers: apply locally, then persist (the backend broadcasts subtask-* events)
+  const updateTaskSubtasks = (taskId, updater) => setTasks(prev => mapTaskSubtasks(prev, taskId, updater));
+
+  const handleAddSubtask = async (taskId, subtaskData) => {
+    try {
+      const response = await projectApi.createSubtask(projectId, taskId, subtaskData);
+      if (response.success) {
+        // The socket echo may arrive first, so only append if it isn't there yet
+        updateTaskSubtasks(taskId, subtasks =>
+          subtasks.some(s => s.id === response.data.id) ? subtasks : [...subtasks, response.data]
+        );
+      } else {
+        toast.error(response.message || 'Failed to add checklist item');
+      }
+    } catch (err) {
+      console.error('Add subtask error:', err);
+      toast.error('Failed to add checklist item');
+    }
+  };
+
+  const handleUpdateSubtask = async (taskId, subtaskId, updates) => {
+    const previous = tasks.find(t => t.id === taskId)?.subtasks?.find(s => s.id === subtaskId);
+    updateTaskSubtasks(taskId, subtasks => subtasks.map(s => s.id === subtaskId ? { ...s, ...updates } : s));
+
+    try {
+      const response = await projectApi.updateSubtask(projectId, taskId, subtaskId, updates);
+      if (response.success) {
+        updateTaskSubtasks(taskId, subtasks => subtasks.map(s => s.id === subtaskId ? response.data : s));
+      } else {
+        throw new Error(response.message);
+      }
+    } catch (err) {
+      console.error('Update subtask error:', err);
+      if (previous) {
+        updateTaskSubtasks(taskId, subtasks => subtasks.map(s => s.id === subtaskId ? previous : s));
+      }
+      toast.error('Failed to update checklist item');
+    }
+  };
+
+  const handleDeleteSubtask = async (taskId, subtaskId) => {
+    const previousSubtasks = tasks.find(t => t.id === taskId)?.subtasks || [];
+    updateTaskSubtasks(taskId, subtasks => subtasks.filter(s => s.id !== subtaskId));
+
+    try {
+      const response = await projectApi.deleteSubtask(projectId, taskId, subtaskId);
+      if (!response.success) throw new Error(response.message);
+    } catch (err) {
+      console.error('Delete subtask error:', err);
+      updateTaskSubtasks(taskId, () => previousSubtasks);
+      toast.error('Failed to remove checklist item');
+    }
+  };
+
+  // Task detail drawer lives at /tasks/:taskId so it can be linked to; looked up
+  // in the live task list so socket updates show through
+  const detailTask = routeTaskId ? tasks.find(t => String(t.id) === routeTaskId) || null : null;
+
+  // Keep the query string so filters survive opening and closing the drawer
+  const openTaskDetails = (task) => {
+    navigate({ pathname: getTaskPath({ teamId, projectId, taskId: task.id }), search: searchParams.toString() });
+  };
+
+  const closeTaskDetails = useCallback(() => {
+    navigate({ pathname: `/teams/${teamId}/projects/${projectId}`, search: searchParams.toString() });
+  }, [navigate, teamId, projectId, searchParams]);
+
+  // Attachments: uploads go straight to the task; removal is optimistic
+  const handleUploadAttachments = async (taskId, files) => {
+    try {
+      const response = await projectApi.uploadTaskAttachments(projectId, taskId, files);
+      if (response.success) {
+        setTasks(prev => prev.map(t =>
+          t.id === taskId ? { ...t, attachments: [...(t.attachments || []), ...response.data] } : t
+        ));
+        toast.success(`${files.length} file${files.length > 1 ? 's' : ''} attached`);
+      } else {
+        toast.error(response.message || 'Failed to upload files');
+      }
+    } catch (err) {
+      console.error('Upload attachments error:', err);
+      toast.error(err.message || 'Failed to upload files');
+    }
+  };
+
+  const handleDeleteAttachment = async (taskId, attachment) => {
+    if (!window.confirm(`Remove "${attachment.file_name}" from this task?`)) return;
+    const previousAttachments = tasks.find(t => t.id === taskId)?.attachments || [];
+    setTasks(prev => prev.map(t =>
+      t.id === taskId ? { ...t, attachments: (t.attachments || []).filter(a => a.id !== attachment.id) } : t
+    ));
+
+    try {
+      const response = await projectApi.deleteTaskAttachment(projectId, taskId, attachment.id);
+      if (!response.success) throw new Error(response.message);
+    } catch (err) {
+      console.error('Delete attachment error:', err);
+      setTasks(prev => prev.map(t => t.id === taskId ? { ...t, attachments: previousAttachments } : t));
+      toast.error('Failed to remove attachment');
+    }
+  };
+
+  const handleAddDependency = async (taskId, blocker) => {
+    setTasks(prev => prev.map(t =>
+      t.id === taskId ? { ...t, blocked_by: [...(t.blocked_by || []), blocker] } : t
+    ));
+    const revert = () => setTasks(prev => prev.map(t =>
+      t.id === taskId ? { ...t, blocked_by: (t.blocked_by || []).filter(b => b.id !== blocker.id) } : t
+    ));
+
+    try {
+      const response = await projectApi.addTaskDependency(projectId, taskId, blocker.id);
+      if (!response.success) throw new Error(response.message);
+    } catch (err) {
+      console.error('Add dependency error:', err);
+      revert();
+      // The backend rejects links that would create a cycle
+      toast.error(err.message || 'Failed to add blocker');
+    }
+  };
+
+  const handleRemoveDependency = async (taskId, blockerId) => {
+    const previousBlockedBy = tasks.find(t => t.id === taskId)?.blocked_by || [];
+    setTasks(prev => prev.map(t =>
+      t.id === taskId ? { ...t, blocked_by: (t.blocked_by || []).filter(b => b.id !== blockerId) } : t
+    ));
+
+    try {
+      const response = await projectApi.removeTaskDependency(projectId, taskId, blockerId);
+      if (!response.success) throw new Error(response.message);
+    } catch (err) {
+      console.error('Remove dependency error:', err);
+      setTasks(prev => prev.map(t => t.id === taskId ? { ...t, blocked_by: previousBlockedBy } : t));
+      toast.error('Failed to remove blocker');
+    }
+  };
+
+  // Watch / unwatch as the current user; the task-updated broadcast brings the
+  // server's watchers to this and every other client
+  const handleToggleWatch = async (taskId) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task || !currentUser) return;
+    const isWatching = isWatchingTask(task, currentUser.id);
+    const watchers = isWatching
+      ? task.watchers.filter(w => w.user_id !== currentUser.id)
+      : [...(task.watchers || []), { user_id: currentUser.id, username: currentUser.username, avatar_url: currentUser.avatar_url }];
+    const revert = applyOptimisticPatch(taskId, { watchers });
+
+    try {
+      const response = isWatching
+        ? await projectApi.unwatchTask(projectId, taskId)
+        : await projectApi.watchTask(projectId, taskId);
+      if (!response.success) throw new Error(response.message);
+      toast.success(isWatching ? 'Stopped watching task' : "Watching task — you'll be notified of changes");
+    } catch (err) {
+      console.error('Toggle watch error:', err);
+      revert();
+      toast.error(err.message || 'Failed to update watching');
+    }
+  };
+
+  const exitSelectionMode = () => {
+    setIsSelecting(false);
+    setSelectedTaskIds([]);
+    setLastSelectedId(null);
+  };
+
+  // Shift extends the selection from the last toggled task, in the current sort order
+  const handleToggleSelect = (task, extendRange) => {
+    const lastIndex = filteredTasks.findIndex(t => t.id === lastSelectedId);
+    const index = filteredTasks.findIndex(t => t.id === task.id);
+
+    if (extendRange && lastIndex !== -1 && index !== -1) {
+      const [from, to] = lastIndex < index ? [lastIndex, index] : [index, lastIndex];
+      const rangeIds = filteredTasks.slice(from, to + 1).map(t => t.id);
+      setSelectedTaskIds(prev => [...new Set([...prev, ...rangeIds])]);
+    } else {
+      setSelectedTaskIds(prev => prev.includes(task.id) ? prev.filter(id => id !== task.id) : [...prev, task.id]);
+    }
+    setLastSelectedId(task.id);
+  };
+
+  // Export every task in the project (not just the filtered ones)
+  const handleExportTasks = (format) => {
+    const rows = tasks.map(task => {
+      const assignees = (task.assignees || []).filter(a => a && a.user_id);
+      return {
+        id: task.id,
+        title: task.title,
+        description: task.description || '',
+        status: getStatusMeta(statuses, task.status).label,
+        priority: task.priority,
+        assignees: assignees.map(a => a.username),
+        assignee_emails: assignees.map(a => a.email).filter(Boolean),
+        due_date: task.due_date ? task.due_date.split('T')[0] : '',
+        labels: (task.labels || []).map(l => l.name),
+        estimate_minutes: task.estimate_minutes || '',
+        tracked_minutes: task.tracked_minutes || 0,
+        created_at: task.created_at,
+      };
+    });
+    const baseName = `${(projectData?.name || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-')}-tasks`;
+
+    if (format === 'json') {
+      downloadFile(`${baseName}.json`, JSON.stringify(rows, null, 2), 'application/json');
+    } else {
+      const columns = Object.keys(rows[0] || { id: '', title: '' });
+      downloadFile(`${baseName}.csv`, toCsv([
+        columns,
+        ...rows.map(row => columns.map(column => Array.isArray(row[column]) ? row[column].join('; ') : row[column])),
+      ]));
+    }
+    toast.success(`Exported ${rows.length} task${rows.length === 1 ? '' : 's'}`);
+  };
+
+  // Imported tasks are created one by one through createTask, like bulk edits.
+  // Returns the drafts that failed so the wizard can offer just those again.
+  const handleImportTasks = async (taskDrafts) => {
+    const toastId = toast.loading(`Importing 0/${taskDrafts.length} tasks...`);
+    const failedDrafts = [];
+
+    for (const [index, draft] of taskDrafts.entries()) {
+      try {
+        const response = await projectApi.createTask(projectId, draft);
+        if (!response.success) failedDrafts.push(draft);
+      } catch (err) {
+        console.error(`Import failed for "${draft.title}":`, err);
+        failedDrafts.push(draft);
+      }
+      toast.loading(`Importing ${index + 1}/${taskDrafts.length} tasks...`, { id: toastId });
+    }
+
+    await refetchTasks();
+    const created = taskDrafts.length - failedDrafts.length;
+    if (failedDrafts.length === 0) {
+      toast.success(`Imported ${created} task${created === 1 ? '' : 's'}`, { id: toastId });
+    } else {
+      toast.error(`${created} of ${taskDrafts.length} tasks imported; ${failedDrafts.length} failed`, { id: toastId });
+    }
+    return failedDrafts;
+  };
+
+  // Applies one action to every selected task through the regular endpoints,
+  // so the backend broadcasts the usual task-updated / task-deleted events
+  const handleBulkApply = async (action, value) => {
+    const targets = tasks.filter(t => selectedTaskIds.includes(t.id));
+    if (targets.length === 0) return;
+
+    const actionLabel = BULK_ACTIONS.find(a => a.value === action)?.label.toLowerCase();
+    const blockedCount = action === 'status' && isStartingStatus(value)
+      ? targets.filter(t => getOpenBlockers(t, tasks, statuses).length > 0).length
+      : 0;
+    const confirmMessage = action === 'delete'
+      ? `Delete ${targets.length} task${targets.length === 1 ? '' : 's'}? You can restore them from the Trash.`
+      : `Apply "${actionLabel}" to ${targets.length} task${targets.length === 1 ? '' : 's'}?` +
+      (blockedCount > 0 ? `\n\n${blockedCount} of them ${blockedCount === 1 ? 'is' : 'are'} still blocked by open tasks.` : '');
+    if (!window.confirm(confirmMessage)) return;
+
+    const buildUpdates = (task) => {
+      switch (action) {
+        case 'status': return { status: value };
+        case 'priority': return { priority: value };
+        case 'assignee': return { assignee_ids: value ? [parseInt(value)] : [] };
+        case 'due_date': return { due_date: value ? new Date(value).toISOString() : null };
+        case 'label': return { label_ids: [...new Set([...(task.labels || []).map(l => l.id), Number(value)])] };
+        case 'sprint': return { sprint_id: value ? Number(value) : null };
+        default: return null;
+      }
+    };
+
+    setIsBulkApplying(true);
+    const toastId = toast.loading(`Updating 0/${targets.length} tasks...`);
+    const deletedTasks = [];
+    let failed = 0;
+
+    for (const [index, task] of targets.entries()) {
+      try {
+        const response = action === 'delete'
+          ? await projectApi.deleteTask(projectId, task.id)
+          : await projectApi.updateTask(projectId, task.id, buildUpdates(task));
+        if (!response.success) {
+          failed += 1;
+        } else if (action === 'delete') {
+          deletedTasks.push(task);
+        }
+      } catch (err) {
+        console.error(`Bulk ${action} failed for task ${task.id}:`, err);
+        failed += 1;
+      }
+      toast.loading(`Updating ${index + 1}/${targets.length} tasks...`, { id: toastId });
+    }
+
+    await refetchTasks();
+    setIsBulkApplying(false);
+    exitSelectionMode();
+
+    const succeeded = targets.length - failed;
+    if (action === 'delete' && deletedTasks.length > 0) {
+      toast.dismiss(toastId);
+      toast((t) => (
+        <UndoToast
+          t={t}
+          message={failed === 0 ? `Deleted ${succeeded} task${succeeded === 1 ? '' : 's'}` : `Deleted ${succeeded} of ${targets.length} tasks; ${failed} failed`}
+          onUndo={() => handleRestoreTasks(deletedTasks)}
+        />
+      ), { duration: UNDO_TOAST_DURATION });
+    } else if (failed === 0) {
+      toast.success(`${action === 'delete' ? 'Deleted' : 'Updated'} ${succeeded} task${succeeded === 1 ? '' : 's'}`, { id: toastId });
+    } else {
+      toast.error(`${succeeded} of ${targets.length} tasks ${action === 'delete' ? 'deleted' : 'updated'}; ${failed} failed`, { id: toastId });
+    }
+  };
+
+  // Shared by the list grid and the board columns
+  const renderTaskCard = (task) => (
+    <TaskCard
+      key={task.id}
+      task={task}
+      statuses={statuses}
+      darkMode={isDarkMode}
+      userRole={userRole}
+      onEdit={handleEditTask}
+      onDelete={handleDeleteTask}
+      onOpenDetails={openTaskDetails}
+      openBlockers={getOpenBlockers(task, tasks, statuses)}
+      selection={isSelecting ? { isSelected: selectedTaskIds.includes(task.id), onToggle: handleToggleSelect } : null}
+      timer={canEditTasks(userRole) ? {
+        isRunning: activeTimer?.taskId === task.id,
+        elapsedSeconds,
+        onStart: handleStartTimer,
+        onStop: handleStopTimer,
+      } : null}
+      onPreviewImage={setPreviewImage}
+      sprint={sprints.find(sp => sp.id === task.sprint_id)}
+      isPinned={pinnedTasks.includes(task.id)}
+      onTogglePin={togglePinTask}
+      isWatching={isWatchingTask(task, currentUser?.id)}
+      onToggleWatch={handleToggleWatch}
+      onStatusChange={handleQuickStatusChange}
+      projectMembers={projectMembers}
+      onAddSubtask={handleAddSubtask}
+      onUpdateSubtask={handleUpdateSubtask}
+      onDeleteSubtask={handleDeleteSubtask}
+    />
+  );
+
   return (
     <>
       <div className="p-6 md:p-8">
@@ -1345,21 +4633,64 @@ export default function ProjectPage() {
                     Your role: <span className={`font-bold uppercase ${isDarkMode ? 'text-gray-300' : 'text-black'}`}>{userRole}</span>
                     {canEditTasks(userRole) && <span className="text-green-500">(Can edit tasks)</span>}
                   </span>
+                  {userRole === 'lead' && (
+                    <button
+                      onClick={() => setShowWorkflowModal(true)}
+                      className={`ml-4 inline-flex items-center gap-1.5 text-xs font-medium ${isDarkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}
+                    >
+                      <Settings2 size={14} />
+                      Edit workflow
+                    </button>
+                  )}
+                  {canEditTasks(userRole) && (
+                    <button
+                      onClick={() => setShowTrashModal(true)}
+                      className={`ml-4 inline-flex items-center gap-1.5 text-xs font-medium ${isDarkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}
+                    >
+                      <Trash2 size={14} />
+                      Trash
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setShowCharts(prev => !prev)}
+                    className={`ml-4 inline-flex items-center gap-1.5 text-xs font-medium ${showCharts ? 'text-[#006239]' : isDarkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}
+                  >
+                    <ChartLine size={14} />
+                    {showCharts ? 'Hide charts' : 'Charts'}
+                  </button>
                 </div>
               </div>
 
+              {/* Quick Add */}
+              {canEditTasks(userRole) && (
+                <QuickAddBar
+                  projectMembers={projectMembers}
+                  labels={projectLabels}
+                  onCreate={handleQuickAdd}
+                  darkMode={isDarkMode}
+                />
+              )}
+
               {/* Statistics */}
               <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4 mb-8">
                 {[
                   { label: 'Total', value: stats.total, icon: FolderKanban, color: 'bg-blue-500/10 text-blue-500' },
-                  { label: 'To Do', value: stats.todo, icon: Circle, color: 'bg-slate-500/10 text-slate-500' },
-                  { label: 'In Progress', value: stats.in_progress, icon: PlayCircle, color: 'bg-blue-500/10 text-blue-500' },
-                  { label: 'Review', value: stats.review, icon: Eye, color: 'bg-purple-500/10 text-purple-500' },
-                  { label: 'Done', value: stats.done, icon: CheckCircle2, color: 'bg-green-500/10 text-green-500' },
+                  ...stats.byStatus.map(status => ({
+                    label: status.label,
+                    value: status.count,
+                    icon: STATUS_CATEGORY_ICONS[status.category] || Circle,
+                    style: getStatusPillStyle(status.color),
+                  })),
                   { label: 'Overdue', value: stats.overdue, icon: AlertCircle, color: 'bg-red-500/10 text-red-500' },
+                  {
+                    label: stats.estimatedMinutes > 0 ? `Tracked of ${formatMinutes(stats.estimatedMinutes)} est.` : 'Tracked',
+                    value: formatMinutes(stats.trackedMinutes),
+                    icon: Timer,
+                    color: stats.estimatedMinutes > 0 && stats.trackedMinutes > stats.estimatedMinutes ? 'bg-red-500/10 text-red-500' : 'bg-teal-500/10 text-teal-500',
+                  },
                 ].map((stat, i) => (
                   <div key={i} className={`${cardBg} border p-4 rounded-xl transition-all hover:scale-105 cursor-pointer`}>
-                    <div className={`w-8 h-8 rounded-lg flex items-center justify-center mb-3 ${stat.color}`}>
+                    <div style={stat.style} className={`w-8 h-8 rounded-lg flex items-center justify-center mb-3 ${stat.color || ''}`}>
                       <stat.icon size={16} />
                     </div>
                     <h3 className={`text-2xl font-bold mb-1 ${isDarkMode ? 'text-white' : 'text-black'}`}>{stat.value}</h3>
@@ -1368,6 +4699,18 @@ export default function ProjectPage() {
                 ))}
               </div>
 
+              {/* Burndown, cumulative flow and velocity */}
+              {showCharts && (
+                <div className="mb-8">
+                  <ProjectCharts
+                    projectId={projectId}
+                    statuses={statuses}
+                    sprints={sprints}
+                    darkMode={isDarkMode}
+                  />
+                </div>
+              )}
+
               {/* AI Risk Analysis Card */}
               {showRiskCard && (
                 <div className="mb-8">
@@ -1381,6 +4724,16 @@ export default function ProjectPage() {
                 </div>
               )}
 
+              {/* Saved Views */}
+              <SavedViewsBar
+                views={savedViews}
+                currentQuery={filterQuery}
+                onApply={applyFilterQuery}
+                onDelete={handleDeleteView}
+                onSave={handleSaveView}
+                darkMode={isDarkMode}
+              />
+
               {/* Smart Filter Bar - Single Row */}
               <div className={`${cardBg} border rounded-xl p-4 mb-6`}>
                 <div className="flex items-center justify-between gap-3 flex-wrap">
@@ -1414,10 +4767,9 @@ export default function ProjectPage() {
                           }`}
                       >
                         <option value="all">Status: All</option>
-                        <option value="todo">Status: To Do</option>
-                        <option value="in_progress">Status: In Progress</option>
-                        <option value="review">Status: Review</option>
-                        <option value="done">Status: Done</option>
+                        {statuses.map(status => (
+                          <option key={status.key} value={status.key}>Status: {status.label}</option>
+                        ))}
                       </select>
                       <ChevronDown size={14} className="absolute right-2.5 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400" />
                     </div>
@@ -1475,6 +4827,58 @@ export default function ProjectPage() {
                       </select>
                       <ChevronDown size={14} className="absolute right-2.5 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400" />
                     </div>
+
+                    {/* Label Dropdown */}
+                    {projectLabels.length > 0 && (
+                      <div className="relative">
+                        <select
+                          value={labelFilter}
+                          onChange={(e) => setLabelFilter(e.target.value)}
+                          className={`appearance-none rounded-lg pl-3 pr-8 py-2 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all ${labelFilter !== 'all'
+                            ? isDarkMode
+                              ? 'bg-pink-500/20 text-pink-400 border border-pink-500/30'
+                              : 'bg-pink-50 text-pink-600 border border-pink-200'
+                            : isDarkMode
+                              ? 'bg-[#171717] text-gray-300 border border-[#171717] hover:bg-gray-700'
+                              : 'bg-gray-200/50 text-gray-600 border border-gray-200 hover:bg-gray-200'
+                            }`}
+                        >
+                          <option value="all">Label: All</option>
+                          {projectLabels.map(label => (
+                            <option key={label.id} value={String(label.id)}>{label.name}</option>
+                          ))}
+                          <option value="none">No label</option>
+                        </select>
+                        <ChevronDown size={14} className="absolute right-2.5 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400" />
+                      </div>
+                    )}
+
+                    {/* Sprint Dropdown */}
+                    {sprints.length > 0 && (
+                      <div className="relative">
+                        <select
+                          value={sprintFilter}
+                          onChange={(e) => setSprintFilter(e.target.value)}
+                          className={`appearance-none rounded-lg pl-3 pr-8 py-2 text-sm font-medium focus:outline-none focus:ring-2 focus:ring-blue-500/20 transition-all ${sprintFilter !== 'all'
+                            ? isDarkMode
+                              ? 'bg-indigo-500/20 text-indigo-400 border border-indigo-500/30'
+                              : 'bg-indigo-50 text-indigo-600 border border-indigo-200'
+                            : isDarkMode
+                              ? 'bg-[#171717] text-gray-300 border border-[#171717] hover:bg-gray-700'
+                              : 'bg-gray-200/50 text-gray-600 border border-gray-200 hover:bg-gray-200'
+                            }`}
+                        >
+                          <option value="all">Sprint: All</option>
+                          <option value="backlog">Backlog</option>
+                          {[...getOpenSprints(sprints), ...sprints.filter(sp => sp.status === 'completed')].map(sprint => (
+                            <option key={sprint.id} value={String(sprint.id)}>
+                              {sprint.name}{sprint.status === 'active' ? ' (active)' : sprint.status === 'completed' ? ' (completed)' : ''}
+                            </option>
+                          ))}
+                        </select>
+                        <ChevronDown size={14} className="absolute right-2.5 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400" />
+                      </div>
+                    )}
                   </div>
 
                   {/* Right Group: Sort + Create Button */}
@@ -1518,22 +4922,98 @@ export default function ProjectPage() {
                   <h2 className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-black'}`}>
                     Tasks ({filteredTasks.length})
                   </h2>
-                  {filteredTasks.length !== tasks.length && (
-                    <button
-                      onClick={() => {
-                        setSearchQuery('');
-                        setStatusFilter('all');
-                        setPriorityFilter('all');
-                        setAssigneeFilter('all');
-                      }}
-                      className={`text-sm font-medium ${isDarkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-400 hover:text-black'}`}
-                    >
-                      Clear Filters
-                    </button>
-                  )}
+                  <div className="flex items-center gap-3">
+                    {filteredTasks.length !== tasks.length && (
+                      <button
+                        onClick={() => {
+                          updateFilterParams({ q: '', status: 'all', priority: 'all', assignee: 'all', label: 'all', sprint: 'all' });
+                        }}
+                        className={`text-sm font-medium ${isDarkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-400 hover:text-black'}`}
+                      >
+                        Clear Filters
+                      </button>
+                    )}
+
+                    <TransferMenu
+                      onExport={handleExportTasks}
+                      onImport={canEditTasks(userRole) ? () => setShowImportModal(true) : null}
+                      darkMode={isDarkMode}
+                    />
+
+                    {canEditTasks(userRole) && viewMode !== 'calendar' && viewMode !== 'backlog' && (
+                      <button
+                        onClick={() => isSelecting ? exitSelectionMode() : setIsSelecting(true)}
+                        className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${isSelecting
+                          ? 'bg-blue-500/10 text-blue-500'
+                          : isDarkMode ? 'text-gray-300 hover:text-white hover:bg-[#171717]' : 'text-gray-600 hover:text-black hover:bg-gray-200/50'
+                          }`}
+                      >
+                        <CheckSquare size={14} />
+                        {isSelecting ? 'Done Selecting' : 'Select'}
+                      </button>
+                    )}
+
+                    {/* View Mode Toggle */}
+                    <div className={`flex items-center rounded-lg p-1 ${isDarkMode ? 'bg-[#171717]' : 'bg-gray-200/50'}`}>
+                      {[
+                        { mode: 'list', label: 'List', icon: LayoutList },
+                        { mode: 'board', label: 'Board', icon: Columns3 },
+                        { mode: 'calendar', label: 'Calendar', icon: CalendarDays },
+                        { mode: 'backlog', label: 'Backlog', icon: IterationCw },
+                      ].map((view) => (
+                        <button
+                          key={view.mode}
+                          onClick={() => {
+                            setViewMode(view.mode);
+                            if (view.mode === 'calendar' || view.mode === 'backlog') exitSelectionMode();
+                          }}
+                          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-all ${viewMode === view.mode
+                            ? 'bg-[#006239] text-white shadow-md'
+                            : isDarkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-black'
+                            }`}
+                        >
+                          <view.icon size={14} />
+                          {view.label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
                 </div>
 
-                {filteredTasks.length === 0 ? (
+                {viewMode === 'board' ? (
+                  <KanbanBoard
+                    tasks={filteredTasks}
+                    statuses={statuses}
+                    darkMode={isDarkMode}
+                    userRole={userRole}
+                    onStatusChange={handleQuickStatusChange}
+                    renderTaskCard={renderTaskCard}
+                  />
+                ) : viewMode === 'calendar' ? (
+                  <TaskCalendar
+                    tasks={filteredTasks}
+                    statuses={statuses}
+                    darkMode={isDarkMode}
+                    canEdit={canEditTasks(userRole)}
+                    onReschedule={handleReschedule}
+                    onTaskClick={canEditTasks(userRole) ? handleEditTask : openTaskDetails}
+                  />
+                ) : viewMode === 'backlog' ? (
+                  <SprintBacklogView
+                    sprints={sprints}
+                    tasks={filteredTasks}
+                    statuses={statuses}
+                    canEdit={canEditTasks(userRole)}
+                    onMoveTask={handleMoveTaskToSprint}
+                    onNewSprint={() => setSprintModal({ sprint: null })}
+                    onEditSprint={(sprint) => setSprintModal({ sprint })}
+                    onDeleteSprint={handleDeleteSprint}
+                    onStartSprint={handleStartSprint}
+                    onCompleteSprint={setCompletingSprint}
+                    onOpenTask={openTaskDetails}
+                    darkMode={isDarkMode}
+                  />
+                ) : filteredTasks.length === 0 ? (
                   <div className={`${cardBg} border rounded-xl p-12 text-center`}>
                     <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4 ${isDarkMode ? 'bg-[#171717]' : 'bg-gray-200'}`}>
                       <Search size={32} className={isDarkMode ? 'text-gray-300' : 'text-gray-400'} />
@@ -1544,19 +5024,7 @@ export default function ProjectPage() {
                 ) : (
                   <>
                     <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-                      {paginatedTasks.map(task => (
-                        <TaskCard
-                          key={task.id}
-                          task={task}
-                          darkMode={isDarkMode}
-                          userRole={userRole}
-                          onEdit={handleEditTask}
-                          onDelete={handleDeleteTask}
-                          isPinned={pinnedTasks.includes(task.id)}
-                          onTogglePin={togglePinTask}
-                          onStatusChange={handleQuickStatusChange}
-                        />
-                      ))}
+                      {paginatedTasks.map(renderTaskCard)}
                     </div>
 
                     {/* Pagination Controls */}
@@ -1564,7 +5032,7 @@ export default function ProjectPage() {
                       <div className="flex items-center justify-center gap-2 mt-6">
                         {/* Previous Button */}
                         <button
-                          onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
+                          onClick={() => setCurrentPage(Math.max(currentPage - 1, 1))}
                           disabled={currentPage === 1}
                           className={`p-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${isDarkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200 text-gray-600'
                             }`}
@@ -1592,7 +5060,7 @@ export default function ProjectPage() {
 
                         {/* Next Button */}
                         <button
-                          onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
+                          onClick={() => setCurrentPage(Math.min(currentPage + 1, totalPages))}
                           disabled={currentPage === totalPages}
                           className={`p-2 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${isDarkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200 text-gray-600'
                             }`}
@@ -1614,12 +5082,32 @@ export default function ProjectPage() {
         </div>
       </div>
 
+      {isSelecting && (
+        <BulkActionBar
+          count={selectedTaskIds.length}
+          visibleCount={filteredTasks.length}
+          onSelectAll={() => setSelectedTaskIds(filteredTasks.map(t => t.id))}
+          onClear={() => setSelectedTaskIds([])}
+          onApply={handleBulkApply}
+          isApplying={isBulkApplying}
+          projectMembers={projectMembers}
+          labels={projectLabels}
+          statuses={statuses}
+          sprints={sprints}
+          darkMode={isDarkMode}
+        />
+      )}
+
       {/* Modals */}
       <CreateTaskModal
         isOpen={showCreateModal}
         onClose={() => setShowCreateModal(false)}
         onSubmit={handleCreateSubmit}
         projectMembers={projectMembers}
+        labels={projectLabels}
+        onCreateLabel={handleCreateLabel}
+        statuses={statuses}
+        sprints={sprints}
         darkMode={isDarkMode}
       />
 
@@ -1631,7 +5119,167 @@ export default function ProjectPage() {
         }}
         onSubmit={handleEditSubmit}
         task={selectedTask}
+        currentTask={tasks.find(t => t.id === selectedTask?.id)}
+        projectMembers={projectMembers}
+        darkMode={isDarkMode}
+        subtasks={tasks.find(t => t.id === selectedTask?.id)?.subtasks || []}
+        onAddSubtask={(data) => handleAddSubtask(selectedTask.id, data)}
+        onUpdateSubtask={(subtaskId, updates) => handleUpdateSubtask(selectedTask.id, subtaskId, updates)}
+        onDeleteSubtask={(subtaskId) => handleDeleteSubtask(selectedTask.id, subtaskId)}
+        allTasks={tasks}
+        projectId={projectId}
+        teamId={teamId}
+        onAddDependency={(blocker) => handleAddDependency(selectedTask.id, blocker)}
+        onRemoveDependency={(blockerId) => handleRemoveDependency(selectedTask.id, blockerId)}
+        onUploadAttachments={handleUploadAttachments}
+        onDeleteAttachment={handleDeleteAttachment}
+        onPreviewImage={setPreviewImage}
+        labels={projectLabels}
+        onCreateLabel={handleCreateLabel}
+        statuses={statuses}
+        sprints={sprints}
+      />
+
+      <TaskDetailPanel
+        isOpen={!!detailTask}
+        task={detailTask}
+        projectId={projectId}
+        projectMembers={projectMembers}
+        statuses={statuses}
+        darkMode={isDarkMode}
+        onClose={closeTaskDetails}
+      >
+        {detailTask && (
+          <>
+            <div className="flex flex-wrap items-center gap-2">
+              <TaskStatusBadge
+                status={detailTask.status}
+                statuses={statuses}
+                taskId={detailTask.id}
+                onStatusChange={handleQuickStatusChange}
+                canEdit={canEditTasks(userRole)}
+                darkMode={isDarkMode}
+              />
+              <PriorityBadge priority={detailTask.priority} />
+              {detailTask.due_date && (
+                <span className={`inline-flex items-center gap-1 text-xs font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                  <Calendar size={12} />
+                  Due {formatDate(detailTask.due_date)}
+                </span>
+              )}
+            </div>
+            {detailTask.labels?.length > 0 && (
+              <div className="flex flex-wrap gap-1.5">
+                {detailTask.labels.map(label => <LabelChip key={label.id} label={label} />)}
+              </div>
+            )}
+            <div className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              <span className="font-medium">Assigned to: </span>
+              {(detailTask.assignees || []).filter(a => a && a.user_id).map(a => a.username).join(', ') || 'Unassigned'}
+            </div>
+            <div className={`flex items-center justify-between gap-3 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              <div className="flex items-center gap-2 min-w-0">
+                <span className="font-medium">Watchers: </span>
+                {detailTask.watchers?.length > 0
+                  ? <WatcherAvatars watchers={detailTask.watchers} darkMode={isDarkMode} />
+                  : 'None'}
+              </div>
+              <WatchButton
+                isWatching={isWatchingTask(detailTask, currentUser?.id)}
+                onToggle={() => handleToggleWatch(detailTask.id)}
+                darkMode={isDarkMode}
+              />
+            </div>
+            {detailTask.description && (
+              <MarkdownContent source={detailTask.description} darkMode={isDarkMode} className={isDarkMode ? 'text-gray-300' : 'text-gray-600'} />
+            )}
+            <TaskDependencies
+              task={detailTask}
+              tasks={tasks}
+              statuses={statuses}
+              projectId={projectId}
+              teamId={teamId}
+              canEdit={canEditTasks(userRole)}
+              onAdd={(blocker) => handleAddDependency(detailTask.id, blocker)}
+              onRemove={(blockerId) => handleRemoveDependency(detailTask.id, blockerId)}
+              darkMode={isDarkMode}
+            />
+            <SubtaskChecklist
+              subtasks={detailTask.subtasks}
+              projectMembers={projectMembers}
+              canEdit={canEditTasks(userRole)}
+              onAdd={(data) => handleAddSubtask(detailTask.id, data)}
+              onUpdate={(subtaskId, updates) => handleUpdateSubtask(detailTask.id, subtaskId, updates)}
+              onDelete={(subtaskId) => handleDeleteSubtask(detailTask.id, subtaskId)}
+              darkMode={isDarkMode}
+            />
+            <div>
+              <p className={`text-xs font-bold uppercase tracking-wider mb-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Attachments</p>
+              <AttachmentPicker
+                attachments={detailTask.attachments}
+                onAddFiles={(files) => handleUploadAttachments(detailTask.id, files)}
+                onDelete={(attachment) => handleDeleteAttachment(detailTask.id, attachment)}
+                onPreview={setPreviewImage}
+                canEdit={canEditTasks(userRole)}
+                darkMode={isDarkMode}
+              />
+            </div>
+            <TaskTimeLog
+              projectId={projectId}
+              task={detailTask}
+              canEdit={canEditTasks(userRole)}
+              onLogged={(minutes) => handleTimeLogged(detailTask.id, minutes)}
+              darkMode={isDarkMode}
+            />
+          </>
+        )}
+      </TaskDetailPanel>
+
+      <SprintModal
+        isOpen={!!sprintModal}
+        onClose={() => setSprintModal(null)}
+        onSubmit={handleSaveSprint}
+        sprint={sprintModal?.sprint}
+        defaults={sprintDefaults}
+        darkMode={isDarkMode}
+      />
+
+      <CompleteSprintModal
+        isOpen={!!completingSprint}
+        onClose={() => setCompletingSprint(null)}
+        onComplete={handleCompleteSprint}
+        sprint={completingSprint}
+        sprints={sprints}
+        tasks={tasks}
+        statuses={statuses}
+        darkMode={isDarkMode}
+      />
+
+      <ProjectTrashModal
+        isOpen={showTrashModal}
+        onClose={() => setShowTrashModal(false)}
+        projectId={projectId}
+        onRestore={(task) => handleRestoreTasks([task])}
+        canPurge={userRole === 'lead'}
+        darkMode={isDarkMode}
+      />
+
+      <ImportTasksModal
+        isOpen={showImportModal}
+        onClose={() => setShowImportModal(false)}
+        onImport={handleImportTasks}
         projectMembers={projectMembers}
+        statuses={statuses}
+        labels={projectLabels}
+        darkMode={isDarkMode}
+      />
+
+      <WorkflowStatusesModal
+        isOpen={showWorkflowModal}
+        onClose={() => setShowWorkflowModal(false)}
+        onSave={handleSaveStatuses}
+        statuses={statuses}
+        taskCounts={Object.fromEntries(stats.byStatus.map(st => [st.key, st.count]))}
         darkMode={isDarkMode}
       />
 
@@ -1645,6 +5293,8 @@ export default function ProjectPage() {
         task={selectedTask}
         darkMode={isDarkMode}
       />
+
+      <ImageLightbox src={previewImage} onClose={() => setPreviewImage(null)} />
     </>
   );
 }
@@ -1,6 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import { useOutletContext, useParams, useNavigate } from 'react-router-dom';
-import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useQuery, useQueries, useMutation, useQueryClient } from '@tanstack/react-query';
 import { z } from 'zod';
 import toast from 'react-hot-toast';
 import {
@@ -14,9 +14,21 @@ import {
   updateProject,
   deleteProject,
   getProjectMembers,
+  getProjectTasks,
+  updateTask,
   addProjectMember,
   removeProjectMember,
   updateProjectMemberRole,
+  getProjectStatuses,
+  updateProjectStatuses,
+  createTask,
+  createSubtask,
+  getProjectTemplates,
+  createProjectTemplate,
+  deleteProjectTemplate,
+  getTeamProjectTrash,
+  restoreProject,
+  purgeProject,
   searchUsers,
   createInvitation,
   removeTeamMember,
@@ -25,8 +37,17 @@ import {
   revokeInvitation,
   leaveTeam
 } from './services/projectApi';
+import { buildProjectTemplate, getTemplateDueDate } from './utils/projectTemplates';
+import { getDaysUntilPurge, TRASH_RETENTION_DAYS } from './utils/trash';
+import { getInitialStatusKey } from './utils/statuses';
 import { useDebounce } from './hooks/useDebounce';
 import { useAuth } from './hooks/useAuth';
+import { usePins } from './hooks/usePins';
+import { useStoredState } from './hooks/useStoredState';
+import { ProjectTimeline } from './components/ProjectTimeline';
+import { TeamWorkload } from './components/TeamWorkload';
+import { getTaskPath } from './utils/taskLinks';
+import { UndoToast, UNDO_TOAST_DURATION } from './components/UndoToast';
 import {
   getSocket,
   joinTeam,
@@ -55,7 +76,13 @@ import {
   Mail,
   Pin,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  LayoutGrid,
+  GanttChart,
+  Copy,
+  LayoutTemplate,
+  RotateCcw,
+  Gauge
 } from 'lucide-react';
 
 /**
@@ -1062,8 +1089,14 @@ const PendingInvitationsList = ({ invitations, onRevoke, darkMode }) => {
   );
 };
 
-// Create Project Modal
-const CreateProjectModal = ({ isOpen, onClose, teamId, teamMembers, onSubmit, darkMode, currentUserId }) => {
+// Prefill member roles from a template; the creator and people who left the team are skipped
+const getTemplateMembers = (template, teamMembers, currentUserId) => (template?.members || [])
+  .filter(m => m.user_id !== currentUserId && teamMembers?.some(tm => tm.user_id === m.user_id))
+  .map(m => ({ userId: m.user_id, role: m.role }));
+
+// Create Project Modal (blank, from a saved template, or duplicating a project)
+const CreateProjectModal = ({ isOpen, onClose, teamId, teamMembers, onSubmit, darkMode, currentUserId, templates = [], duplicateSource, onDeleteTemplate }) => {
+  const [templateId, setTemplateId] = useState('');
   const [formData, setFormData] = useState({
     name: '',
     description: '',
@@ -1076,20 +1109,52 @@ const CreateProjectModal = ({ isOpen, onClose, teamId, teamMembers, onSubmit, da
   const [fieldErrors, setFieldErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Template picked in the form, or the snapshot of the project being duplicated
+  const selectedTemplate = duplicateSource || templates.find(t => String(t.id) === templateId) || null;
+
+  // Read the member list through a ref so refetches don't reset what the user typed
+  const membersRef = React.useRef({ teamMembers, currentUserId });
+  React.useEffect(() => {
+    membersRef.current = { teamMembers, currentUserId };
+  });
+
+  // Reset the form only when the modal opens (or what it duplicates changes)
   React.useEffect(() => {
     if (isOpen) {
+      const { teamMembers: members, currentUserId: userId } = membersRef.current;
+      setTemplateId('');
       setFormData({
-        name: '',
-        description: '',
+        name: duplicateSource?.name || '',
+        description: duplicateSource?.description || '',
         status: 'active',
         start_date: '',
         end_date: '',
-        selectedMembers: [] // Creator will be auto-added as lead on backend
+        selectedMembers: getTemplateMembers(duplicateSource, members, userId) // Creator will be auto-added as lead on backend
       });
       setError(null);
       setFieldErrors({});
     }
-  }, [isOpen]);
+  }, [isOpen, duplicateSource]);
+
+  const handleTemplateChange = (id) => {
+    setTemplateId(id);
+    const template = templates.find(t => String(t.id) === id);
+    setFormData(prev => ({
+      ...prev,
+      description: template ? template.description || '' : prev.description,
+      selectedMembers: template ? getTemplateMembers(template, teamMembers, currentUserId) : prev.selectedMembers,
+    }));
+  };
+
+  const handleDeleteTemplate = async () => {
+    if (!selectedTemplate || !window.confirm(`Delete the template "${selectedTemplate.name}"?`)) return;
+    try {
+      await onDeleteTemplate(selectedTemplate.id);
+      setTemplateId('');
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete template');
+    }
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -1154,6 +1219,14 @@ const CreateProjectModal = ({ isOpen, onClose, teamId, teamMembers, onSubmit, da
       // Pass selected members separately
       dataToSubmit.members = formData.selectedMembers;
 
+      // Template tasks are scheduled relative to the start date (today when none is set)
+      if (selectedTemplate) {
+        dataToSubmit.template = selectedTemplate;
+        const today = new Date();
+        dataToSubmit.templateStartDate = formData.start_date
+          || `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+      }
+
       await onSubmit(dataToSubmit);
 
       // SUCCESS: Only close modal if no error thrown
@@ -1206,8 +1279,48 @@ const CreateProjectModal = ({ isOpen, onClose, teamId, teamMembers, onSubmit, da
   };
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} title="Create New Project" darkMode={darkMode}>
+    <Modal isOpen={isOpen} onClose={onClose} title={duplicateSource ? 'Duplicate Project' : 'Create New Project'} darkMode={darkMode}>
       <form onSubmit={handleSubmit} className="space-y-4">
+        {!duplicateSource && templates.length > 0 && (
+          <div>
+            <label className={`block text-sm font-bold mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
+              Start From
+            </label>
+            <div className="flex gap-2">
+              <select
+                value={templateId}
+                onChange={(e) => handleTemplateChange(e.target.value)}
+                className={getInputClass('template')}
+              >
+                <option value="">Blank project</option>
+                {templates.map(template => (
+                  <option key={template.id} value={template.id}>{template.name}</option>
+                ))}
+              </select>
+              {selectedTemplate && onDeleteTemplate && (
+                <button
+                  type="button"
+                  onClick={handleDeleteTemplate}
+                  className="px-3 rounded-lg text-red-500 hover:bg-red-500/10 transition-colors"
+                  title="Delete template"
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {selectedTemplate && (
+          <div className={`p-3 rounded-lg border text-sm flex items-start gap-2 ${darkMode ? 'bg-[#006239]/10 border-[#006239]/30 text-gray-300' : 'bg-green-50 border-green-200 text-gray-600'}`}>
+            <LayoutTemplate size={16} className="flex-shrink-0 mt-0.5 text-[#006239]" />
+            <p>
+              {selectedTemplate.tasks?.length || 0} task(s) will be created open and without assignees.
+              Due dates are set relative to the start date (today if left empty).
+            </p>
+          </div>
+        )}
+
         <div>
           <label className={`block text-sm font-bold mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
             Project Name <span className="text-red-500">*</span>
@@ -1432,7 +1545,86 @@ const CreateProjectModal = ({ isOpen, onClose, teamId, teamMembers, onSubmit, da
             className={`flex-1 px-6 py-3 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed ${darkMode ? 'bg-[#006239] hover:bg-[#006239]/80 text-white' : 'bg-[#006239] hover:bg-[#006239]/90 text-white'
               }`}
           >
-            {isSubmitting ? 'Creating...' : 'Create Project'}
+            {isSubmitting ? 'Creating...' : duplicateSource ? 'Duplicate Project' : 'Create Project'}
+          </button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+// Save Project as Template Modal
+const SaveTemplateModal = ({ isOpen, onClose, project, onSubmit, darkMode }) => {
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  React.useEffect(() => {
+    if (isOpen && project) {
+      setName(`${project.name} template`.slice(0, 100));
+      setError(null);
+    }
+  }, [isOpen, project]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsSubmitting(true);
+    try {
+      await onSubmit(name.trim());
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to save template');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Save as Template" darkMode={darkMode}>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-500'}`}>
+          Captures the description, member roles, workflow statuses and tasks of <strong>{project?.name}</strong>.
+          Task due dates are stored relative to the project start date; assignees and progress are not kept.
+        </p>
+        <div>
+          <label className={`block text-sm font-bold mb-2 ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
+            Template Name <span className="text-red-500">*</span>
+          </label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className={`w-full rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-dark-secondary border border-[#171717] text-white placeholder-gray-500' : 'bg-white border border-gray-200 text-black placeholder-gray-500'}`}
+            maxLength={100}
+            autoFocus
+          />
+        </div>
+
+        {error && (
+          <div className={`p-3 rounded-lg border ${darkMode ? 'bg-red-500/10 border-red-500/30 text-red-400' : 'bg-red-50 border-red-200 text-red-600'}`}>
+            <div className="flex items-start gap-2">
+              <AlertCircle size={18} className="flex-shrink-0 mt-0.5" />
+              <p className="text-sm">{error}</p>
+            </div>
+          </div>
+        )}
+
+        <div className="flex gap-3 pt-4">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={isSubmitting}
+            className={`flex-1 px-6 py-3 rounded-lg font-semibold transition-all ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-[#171717]/70' : 'bg-gray-200/50 text-gray-400 hover:bg-gray-200'} disabled:opacity-50`}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={isSubmitting || !name.trim()}
+            className="flex-1 px-6 py-3 rounded-lg font-semibold transition-all disabled:opacity-50 disabled:cursor-not-allowed bg-[#006239] hover:bg-[#006239]/90 text-white"
+          >
+            {isSubmitting ? 'Saving...' : 'Save Template'}
           </button>
         </div>
       </form>
@@ -1440,6 +1632,91 @@ const CreateProjectModal = ({ isOpen, onClose, teamId, teamMembers, onSubmit, da
   );
 };
 
+// Deleted projects of the team, restorable until they are purged
+const TeamTrashModal = ({ isOpen, onClose, teamId, onRestore, onPurge, darkMode }) => {
+  const [busyId, setBusyId] = useState(null);
+
+  const { data: trashData, isLoading } = useQuery({
+    queryKey: ['teamProjectTrash', teamId],
+    queryFn: () => getTeamProjectTrash(teamId),
+    enabled: isOpen && !!teamId,
+  });
+  const items = trashData?.data || [];
+
+  const runAction = async (project, action) => {
+    setBusyId(project.id);
+    try {
+      await action(project);
+    } catch {
+      // The restore/purge mutations report their own errors
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Trash" darkMode={darkMode}>
+      <div className="space-y-4">
+        <p className={`text-sm ${darkMode ? 'text-gray-300' : 'text-gray-500'}`}>
+          Deleted projects are kept with their tasks and members for {TRASH_RETENTION_DAYS} days before they are removed for good.
+        </p>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <Loader2 size={20} className={`animate-spin ${darkMode ? 'text-gray-400' : 'text-gray-400'}`} />
+          </div>
+        ) : items.length === 0 ? (
+          <div className={`py-8 text-center text-sm ${darkMode ? 'text-gray-400' : 'text-gray-400'}`}>
+            <Trash2 size={24} className="mx-auto mb-2 opacity-50" />
+            Trash is empty
+          </div>
+        ) : (
+          <div className={`divide-y rounded-lg border max-h-96 overflow-y-auto ${darkMode ? 'divide-[#171717] border-[#171717]' : 'divide-gray-200 border-gray-200'}`}>
+            {items.map(project => {
+              const daysLeft = getDaysUntilPurge(project.deleted_at);
+              return (
+                <div key={project.id} className="flex items-center gap-3 p-3">
+                  <div className="flex-1 min-w-0">
+                    <p className={`text-sm font-semibold truncate ${darkMode ? 'text-white' : 'text-black'}`}>{project.name}</p>
+                    <p className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-400'}`}>
+                      Deleted {new Date(project.deleted_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                      {project.deleted_by_username && ` by ${project.deleted_by_username}`}
+                      {' · '}
+                      <span className={daysLeft <= 3 ? 'text-red-500' : ''}>
+                        {daysLeft} day{daysLeft === 1 ? '' : 's'} left
+                      </span>
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => runAction(project, onRestore)}
+                    disabled={busyId === project.id}
+                    className={`flex items-center gap-1 px-3 py-1.5 rounded-lg text-xs font-semibold transition-all disabled:opacity-50 ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-[#171717]/70' : 'bg-gray-200/50 text-gray-600 hover:bg-gray-200'}`}
+                  >
+                    <RotateCcw size={12} />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`Permanently delete "${project.name}" and all of its tasks? This cannot be undone.`)) {
+                        runAction(project, onPurge);
+                      }
+                    }}
+                    disabled={busyId === project.id}
+                    className="p-1.5 rounded-lg text-red-500 hover:bg-red-500/10 disabled:opacity-50"
+                    title="Delete permanently"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
 // Remove Member Confirmation Modal
 const RemoveMemberConfirmModal = ({ isOpen, onClose, memberInfo, onConfirm, darkMode }) => {
   const [confirmText, setConfirmText] = useState('');
@@ -2307,10 +2584,10 @@ const DeleteProjectModal = ({ isOpen, onClose, project, onConfirm, darkMode }) =
             <AlertCircle className="text-red-500 flex-shrink-0 mt-0.5" size={20} />
             <div>
               <h4 className={`font-bold text-sm mb-1 ${darkMode ? 'text-red-400' : 'text-red-600'}`}>
-                Warning: This action cannot be undone
+                Warning: This project will be moved to the Trash
               </h4>
               <p className={`text-sm ${darkMode ? 'text-red-300' : 'text-red-500'}`}>
-                Deleting this project will permanently remove:
+                After {TRASH_RETENTION_DAYS} days in the Trash, deleting this project will permanently remove:
               </p>
               <ul className={`text-xs mt-2 space-y-1 list-disc list-inside ${darkMode ? 'text-red-300' : 'text-red-500'}`}>
                 <li>All tasks in this project</li>
@@ -2383,7 +2660,7 @@ const FilterButton = ({ active, onClick, children, darkMode }) => (
   </button>
 );
 
-const ProjectCard = ({ project, darkMode, onClick, onEdit, onDelete, isPinned, onTogglePin }) => {
+const ProjectCard = ({ project, darkMode, onClick, onEdit, onDelete, isPinned, onTogglePin, onDuplicate, onSaveTemplate }) => {
   const [showMenu, setShowMenu] = useState(false);
   const menuRef = React.useRef(null);
 
@@ -2455,7 +2732,7 @@ const ProjectCard = ({ project, darkMode, onClick, onEdit, onDelete, isPinned, o
 
             {showMenu && (
               <div
-                className={`absolute right-0 mt-2 w-40 rounded-lg shadow-lg border z-10 ${darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200'
+                className={`absolute right-0 mt-2 w-48 rounded-lg shadow-lg border z-10 ${darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200'
                   }`}
               >
                 {/* Pin/Unpin option */}
@@ -2483,6 +2760,34 @@ const ProjectCard = ({ project, darkMode, onClick, onEdit, onDelete, isPinned, o
                   <Edit3 size={14} />
                   Edit Project
                 </button>
+                {onDuplicate && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setShowMenu(false);
+                      onDuplicate(project);
+                    }}
+                    className={`w-full flex items-center gap-2 px-4 py-2.5 text-sm transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200/50 text-gray-400'
+                      }`}
+                  >
+                    <Copy size={14} />
+                    Duplicate Project
+                  </button>
+                )}
+                {onSaveTemplate && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setShowMenu(false);
+                      onSaveTemplate(project);
+                    }}
+                    className={`w-full flex items-center gap-2 px-4 py-2.5 text-sm transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200/50 text-gray-400'
+                      }`}
+                  >
+                    <LayoutTemplate size={14} />
+                    Save as Template
+                  </button>
+                )}
                 <button
                   onClick={(e) => {
                     e.stopPropagation();
@@ -2545,6 +2850,48 @@ const ProjectCard = ({ project, darkMode, onClick, onEdit, onDelete, isPinned, o
   );
 };
 
+// Members, tasks and workflow of a project in template form
+const loadProjectSnapshot = async (project) => {
+  const [membersRes, tasksRes, statusesRes] = await Promise.all([
+    getProjectMembers(project.id),
+    getProjectTasks(project.id),
+    getProjectStatuses(project.id),
+  ]);
+  return buildProjectTemplate({
+    project,
+    members: membersRes.data || [],
+    tasks: tasksRes.data || [],
+    statuses: statusesRes.data || [],
+  });
+};
+
+// Create a template's workflow, tasks and checklist items in a new project
+const applyProjectTemplate = async (projectId, template, startDate) => {
+  if (template.statuses?.length > 0) {
+    await updateProjectStatuses(projectId, template.statuses);
+  }
+
+  // Every task starts in the workflow's first open status
+  const status = getInitialStatusKey(template.statuses);
+
+  // Sequential so the tasks keep the template's order
+  for (const task of template.tasks || []) {
+    const response = await createTask(projectId, {
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      status,
+      estimate_minutes: task.estimate_minutes,
+      due_date: getTemplateDueDate(startDate, task.due_offset_days),
+    });
+    if (!response.success) throw new Error(response.message || 'Failed to create task');
+
+    for (const title of task.subtasks || []) {
+      await createSubtask(projectId, response.data.id, { title });
+    }
+  }
+};
+
 /**
  * MAIN TEAM PAGE COMPONENT
  */
@@ -2572,44 +2919,29 @@ export default function TeamPage() {
   const [showMembersModal, setShowMembersModal] = useState(false);
   const [selectedProject, setSelectedProject] = useState(null);
   const [projectMenuOpen, setProjectMenuOpen] = useState(null);
+  const [showSaveTemplateModal, setShowSaveTemplateModal] = useState(false);
+  const [showTrashModal, setShowTrashModal] = useState(false);
+  const [duplicateSource, setDuplicateSource] = useState(null);
+
+  // Projects section tab: card grid, timeline or member workload
+  const [projectsView, setProjectsView] = useState('grid');
+
+  // Workload points a member can take on per week (stored in localStorage)
+  const [storedCapacity, setWeeklyCapacity] = useStoredState(`team_${teamId}_weekly_capacity`, 10);
+  const weeklyCapacity = Number(storedCapacity) > 0 ? Number(storedCapacity) : 10;
 
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
   const PROJECTS_PER_PAGE = 6;
 
-  // Pinned projects state (stored in localStorage)
-  const [pinnedProjects, setPinnedProjects] = useState(() => {
-    try {
-      const saved = localStorage.getItem(`team_${teamId}_pinned_projects`);
-      return saved ? JSON.parse(saved) : [];
-    } catch {
-      return [];
-    }
-  });
-
-  // Persist pinned projects to localStorage
-  useEffect(() => {
-    if (teamId) {
-      localStorage.setItem(`team_${teamId}_pinned_projects`, JSON.stringify(pinnedProjects));
-    }
-  }, [pinnedProjects, teamId]);
+  // Pinned projects are a per-user server preference (older localStorage pins are migrated)
+  const { pinnedProjectIds: pinnedProjects, togglePin } = usePins();
 
   // Reset page when filters change
   useEffect(() => {
     setCurrentPage(1);
   }, [searchQuery, statusFilter]);
 
-  // Toggle pin project handler
-  const togglePinProject = (projectId) => {
-    setPinnedProjects(prev => {
-      if (prev.includes(projectId)) {
-        return prev.filter(id => id !== projectId);
-      } else {
-        return [...prev, projectId];
-      }
-    });
-  };
-
   // Fetch team data
   const { data: teamData, isLoading: teamLoading, error: teamError } = useQuery({
     queryKey: ['team', teamId],
@@ -2624,6 +2956,16 @@ export default function TeamPage() {
     enabled: !!teamId,
   });
 
+  // Toggle pin project handler
+  const togglePinProject = (projectId) => {
+    togglePin('project', {
+      project_id: projectId,
+      team_id: Number(teamId),
+      name: projectsData?.data?.find(p => p.id === projectId)?.name,
+      team_name: teamData?.data?.name,
+    });
+  };
+
   // Fetch team stats
   const { data: statsData, isLoading: statsLoading } = useQuery({
     queryKey: ['teamStats', teamId],
@@ -2638,6 +2980,22 @@ export default function TeamPage() {
     enabled: !!teamId,
   });
 
+  // Fetch tasks of every project for the timeline markers and the workload (only while one is open)
+  const projectTaskQueries = useQueries({
+    queries: (projectsData?.data || []).map(project => ({
+      queryKey: ['projectTasks', project.id],
+      queryFn: () => getProjectTasks(project.id),
+      enabled: projectsView === 'timeline' || projectsView === 'workload',
+    })),
+  });
+
+  // Fetch saved project templates when the create modal opens
+  const { data: templatesData } = useQuery({
+    queryKey: ['projectTemplates', teamId],
+    queryFn: () => getProjectTemplates(teamId),
+    enabled: !!teamId && showCreateProjectModal,
+  });
+
   // Fetch pending invitations (only for admin/owner)
   const { data: pendingInvitationsData } = useQuery({
     queryKey: ['teamPendingInvitations', teamId],
@@ -2746,7 +3104,7 @@ export default function TeamPage() {
   // Create project mutation
   const createProjectMutation = useMutation({
     mutationFn: async (projectData) => {
-      const { members, ...projectInfo } = projectData;
+      const { members, template, templateStartDate, ...projectInfo } = projectData;
 
       // Create the project first
       const result = await createProject(teamId, projectInfo);
@@ -2761,6 +3119,17 @@ export default function TeamPage() {
         );
       }
 
+      // The project exists at this point, so template failures are reported
+      // instead of thrown (retrying would create a second project)
+      if (template) {
+        try {
+          await applyProjectTemplate(newProjectId, template, templateStartDate);
+        } catch (err) {
+          console.error('Failed to apply template:', err);
+          toast.error('Project created, but some template tasks could not be added');
+        }
+      }
+
       return result;
     },
     onSuccess: () => {
@@ -2769,6 +3138,40 @@ export default function TeamPage() {
     },
   });
 
+  // Save project as template mutation
+  const createTemplateMutation = useMutation({
+    mutationFn: async ({ project, name }) => {
+      const snapshot = await loadProjectSnapshot(project);
+      const result = await createProjectTemplate(teamId, { ...snapshot, name });
+      if (!result.success) throw new Error(result.message || 'Failed to save template');
+      return result;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['projectTemplates', teamId] });
+      toast.success('Template saved');
+    },
+  });
+
+  // Delete template mutation
+  const deleteTemplateMutation = useMutation({
+    mutationFn: (templateId) => deleteProjectTemplate(teamId, templateId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['projectTemplates', teamId] });
+      toast.success('Template deleted');
+    },
+  });
+
+  // Duplicate: open the create modal prefilled with a snapshot of the project
+  const handleDuplicateProject = async (project) => {
+    try {
+      const snapshot = await loadProjectSnapshot(project);
+      setDuplicateSource({ ...snapshot, name: `${project.name} (copy)`.slice(0, 100) });
+      setShowCreateProjectModal(true);
+    } catch (err) {
+      toast.error(err.message || 'Failed to load project for duplication');
+    }
+  };
+
   // Update project mutation
   const updateProjectMutation = useMutation({
     mutationFn: ({ projectId, updates }) => updateProject(teamId, projectId, updates),
@@ -2778,15 +3181,99 @@ export default function TeamPage() {
     },
   });
 
-  // Delete project mutation
+  // Delete project mutation (moves the project to the trash, with an Undo toast)
   const deleteProjectMutation = useMutation({
-    mutationFn: (projectId) => deleteProject(teamId, projectId),
-    onSuccess: () => {
+    mutationFn: (project) => deleteProject(teamId, project.id),
+    onSuccess: (_, project) => {
       queryClient.invalidateQueries(['teamProjects', teamId]);
       queryClient.invalidateQueries(['teamStats', teamId]);
+      queryClient.invalidateQueries({ queryKey: ['teamProjectTrash', teamId] });
+      toast((t) => (
+        <UndoToast
+          t={t}
+          message={`Deleted "${project.name}"`}
+          onUndo={() => restoreProjectMutation.mutate(project)}
+        />
+      ), { duration: UNDO_TOAST_DURATION });
     },
   });
 
+  // Restore project mutation (Undo toast and Trash modal)
+  const restoreProjectMutation = useMutation({
+    mutationFn: (project) => restoreProject(teamId, project.id),
+    onSuccess: (_, project) => {
+      queryClient.invalidateQueries(['teamProjects', teamId]);
+      queryClient.invalidateQueries(['teamStats', teamId]);
+      queryClient.invalidateQueries({ queryKey: ['teamProjectTrash', teamId] });
+      toast.success(`Restored "${project.name}"`);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to restore project');
+    },
+  });
+
+  // Permanently delete a project from the trash
+  const purgeProjectMutation = useMutation({
+    mutationFn: (project) => purgeProject(teamId, project.id),
+    onSuccess: (_, project) => {
+      queryClient.invalidateQueries({ queryKey: ['teamProjectTrash', teamId] });
+      toast.success(`"${project.name}" was permanently deleted`);
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to delete project');
+    },
+  });
+
+  // Timeline drag: apply the new dates immediately, roll back by refetching on failure
+  const handleTimelineDateChange = (project, dates) => {
+    queryClient.setQueryData(['teamProjects', teamId], (old) => old && {
+      ...old,
+      data: old.data.map(p => p.id === project.id ? { ...p, ...dates } : p),
+    });
+
+    updateProjectMutation.mutate({ projectId: project.id, updates: dates }, {
+      onSuccess: () => toast.success(`Updated dates for ${project.name}`),
+      onError: (error) => {
+        queryClient.invalidateQueries({ queryKey: ['teamProjects', teamId] });
+        toast.error(error.message || 'Failed to update project dates');
+      },
+    });
+  };
+
+  // Reassign a task from the workload view; the cached task list is updated first
+  const reassignTaskMutation = useMutation({
+    mutationFn: ({ project, task, assignees }) => updateTask(project.id, task.id, { assignee_ids: assignees.map(a => a.user_id) }),
+    onMutate: async ({ project, task, assignees }) => {
+      await queryClient.cancelQueries({ queryKey: ['projectTasks', project.id] });
+      const previous = queryClient.getQueryData(['projectTasks', project.id]);
+      queryClient.setQueryData(['projectTasks', project.id], (old) => old && {
+        ...old,
+        data: old.data.map(t => t.id === task.id ? { ...t, assignees } : t),
+      });
+      return { previous };
+    },
+    onSuccess: (_, { task, toName }) => {
+      toast.success(toName ? `Reassigned "${task.title}" to ${toName}` : `Unassigned "${task.title}"`);
+    },
+    onError: (error, { project }, context) => {
+      queryClient.setQueryData(['projectTasks', project.id], context?.previous);
+      toast.error(error.message || 'Failed to reassign task');
+    },
+    onSettled: (_, __, { project }) => {
+      queryClient.invalidateQueries({ queryKey: ['projectTasks', project.id] });
+    },
+  });
+
+  // Workload drag: swap the member the task was dragged from for the one it was dropped on
+  const handleWorkloadReassign = (task, project, fromUserId, toUserId) => {
+    const target = members.find(m => m.user_id === toUserId);
+    const assignees = (task.assignees || []).filter(a => a.user_id && a.user_id !== fromUserId);
+    if (target && !assignees.some(a => a.user_id === target.user_id)) {
+      assignees.push({ user_id: target.user_id, username: target.username, avatar_url: target.avatar_url });
+    }
+    reassignTaskMutation.mutate({ project, task, assignees, toName: target?.username });
+  };
+
   const cardBg = isDarkMode ? 'bg-dark-secondary/50 border-[#171717]/50' : 'bg-white border-gray-200 shadow-sm';
 
   // Handle loading state
@@ -2826,6 +3313,15 @@ export default function TeamPage() {
   const members = membersData?.data || [];
   const pendingInvitations = pendingInvitationsData?.data || [];
 
+  const currentMember = members.find(m => m.user_id === currentUser?.id);
+  const canManageProjects = currentMember?.role === 'owner' || currentMember?.role === 'admin';
+
+  // Map projectId -> tasks for the timeline and the workload
+  const tasksByProject = projects.reduce((acc, project, index) => {
+    acc[project.id] = projectTaskQueries[index]?.data?.data || [];
+    return acc;
+  }, {});
+
   // Filter and sort projects
   const filteredProjects = projects
     .filter(project => {
@@ -3153,13 +3649,23 @@ export default function TeamPage() {
                   const canCreateProject = currentMember?.role === 'owner' || currentMember?.role === 'admin';
 
                   return canCreateProject ? (
-                    <button
-                      onClick={() => setShowCreateProjectModal(true)}
-                      className="flex items-center gap-2 bg-[#006239] hover:bg-[#005230] text-white px-4 py-2 rounded-lg font-semibold shadow-lg shadow-[rgb(119,136,115)]/20 transition-all active:scale-95 whitespace-nowrap"
-                    >
-                      <Plus size={16} />
-                      Create Project
-                    </button>
+                    <>
+                      <button
+                        onClick={() => setShowTrashModal(true)}
+                        className={`flex items-center gap-2 px-4 py-2 rounded-lg font-semibold transition-all whitespace-nowrap ${isDarkMode ? 'bg-[#171717] text-gray-300 hover:bg-[#171717]/70' : 'bg-gray-200/50 text-gray-600 hover:bg-gray-200'}`}
+                        title="Deleted projects"
+                      >
+                        <Trash2 size={16} />
+                        Trash
+                      </button>
+                      <button
+                        onClick={() => setShowCreateProjectModal(true)}
+                        className="flex items-center gap-2 bg-[#006239] hover:bg-[#005230] text-white px-4 py-2 rounded-lg font-semibold shadow-lg shadow-[rgb(119,136,115)]/20 transition-all active:scale-95 whitespace-nowrap"
+                      >
+                        <Plus size={16} />
+                        Create Project
+                      </button>
+                    </>
                   ) : null;
                 })()}
               </div>
@@ -3177,6 +3683,27 @@ export default function TeamPage() {
                 </span>
               )}
             </h2>
+
+            {/* Grid / Timeline / Workload tabs */}
+            <div className={`flex items-center rounded-lg p-1 ${isDarkMode ? 'bg-[#171717]' : 'bg-gray-200/50'}`}>
+              {[
+                { view: 'grid', label: 'Projects', icon: LayoutGrid },
+                { view: 'timeline', label: 'Timeline', icon: GanttChart },
+                { view: 'workload', label: 'Workload', icon: Gauge },
+              ].map((tab) => (
+                <button
+                  key={tab.view}
+                  onClick={() => setProjectsView(tab.view)}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-all ${projectsView === tab.view
+                    ? 'bg-[#006239] text-white shadow-md'
+                    : isDarkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-black'
+                    }`}
+                >
+                  <tab.icon size={14} />
+                  {tab.label}
+                </button>
+              ))}
+            </div>
           </div>
 
           {/* Projects Grid */}
@@ -3185,6 +3712,28 @@ export default function TeamPage() {
               <div className={`inline-block animate-spin rounded-full h-6 w-6 border-b-2 ${isDarkMode ? 'border-gray-400' : 'border-gray-400'}`}></div>
               <p className={`mt-3 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-400'}`}>Loading projects...</p>
             </div>
+          ) : projectsView === 'workload' ? (
+            <TeamWorkload
+              members={members}
+              projects={filteredProjects}
+              tasksByProject={tasksByProject}
+              isLoading={projectTaskQueries.some(query => query.isLoading)}
+              capacity={weeklyCapacity}
+              onCapacityChange={setWeeklyCapacity}
+              canEdit={canManageProjects}
+              onReassign={handleWorkloadReassign}
+              onTaskClick={(task, project) => navigate(getTaskPath({ teamId, projectId: project.id, taskId: task.id }))}
+              darkMode={isDarkMode}
+            />
+          ) : projectsView === 'timeline' ? (
+            <ProjectTimeline
+              projects={filteredProjects}
+              tasksByProject={tasksByProject}
+              darkMode={isDarkMode}
+              canEdit={canManageProjects}
+              onUpdateDates={handleTimelineDateChange}
+              onProjectClick={(project) => navigate(`/teams/${teamId}/projects/${project.id}`)}
+            />
           ) : filteredProjects.length === 0 ? (
             <div className={`${cardBg} border rounded-xl p-8 text-center`}>
               <FolderKanban size={48} className={`mx-auto mb-4 ${isDarkMode ? 'text-gray-400' : 'text-gray-300'}`} />
@@ -3221,6 +3770,11 @@ export default function TeamPage() {
                     }}
                     isPinned={pinnedProjects.includes(project.id)}
                     onTogglePin={togglePinProject}
+                    onDuplicate={canManageProjects ? handleDuplicateProject : undefined}
+                    onSaveTemplate={canManageProjects ? (proj) => {
+                      setSelectedProject(proj);
+                      setShowSaveTemplateModal(true);
+                    } : undefined}
                   />
                 ))}
               </div>
@@ -3321,12 +3875,38 @@ export default function TeamPage() {
 
       <CreateProjectModal
         isOpen={showCreateProjectModal}
-        onClose={() => setShowCreateProjectModal(false)}
+        onClose={() => {
+          setShowCreateProjectModal(false);
+          setDuplicateSource(null);
+        }}
         teamId={teamId}
         teamMembers={members}
         onSubmit={(projectData) => createProjectMutation.mutateAsync(projectData)}
         darkMode={isDarkMode}
         currentUserId={currentUser?.id}
+        templates={templatesData?.data || []}
+        duplicateSource={duplicateSource}
+        onDeleteTemplate={(templateId) => deleteTemplateMutation.mutateAsync(templateId)}
+      />
+
+      <TeamTrashModal
+        isOpen={showTrashModal}
+        onClose={() => setShowTrashModal(false)}
+        teamId={teamId}
+        onRestore={(project) => restoreProjectMutation.mutateAsync(project)}
+        onPurge={(project) => purgeProjectMutation.mutateAsync(project)}
+        darkMode={isDarkMode}
+      />
+
+      <SaveTemplateModal
+        isOpen={showSaveTemplateModal}
+        onClose={() => {
+          setShowSaveTemplateModal(false);
+          setSelectedProject(null);
+        }}
+        project={selectedProject}
+        onSubmit={(name) => createTemplateMutation.mutateAsync({ project: selectedProject, name })}
+        darkMode={isDarkMode}
       />
 
       <EditProjectModal
@@ -3350,7 +3930,7 @@ export default function TeamPage() {
           setSelectedProject(null);
         }}
         project={selectedProject}
-        onConfirm={() => deleteProjectMutation.mutate(selectedProject.id)}
+        onConfirm={() => deleteProjectMutation.mutateAsync(selectedProject)}
         darkMode={isDarkMode}
       />
     </div>
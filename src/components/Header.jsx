@@ -5,6 +5,7 @@ import { Search, Bell, Plus, Menu, Sun, Moon, FileText, LogOut, User, HelpCircle
 import { getSocket, disconnectSocket } from '../services/socketService';
 import { notificationApi, getUserInvitations, acceptInvitation, declineInvitation } from '../services/notificationApi';
 import { useAuth } from '../hooks/useAuth';
+import { getTaskPath } from '../utils/taskLinks';
 
 // Notification type icons and colors
 const NOTIFICATION_STYLES = {
@@ -139,6 +140,16 @@ export default function Header({ isDarkMode, toggleDarkMode }) {
     }
   }, []);
 
+  // Task-related notifications (mentions, assignments, due reminders, changes to
+  // watched tasks) carry team_id / project_id / task_id and open the task's detail drawer
+  const handleNotificationClick = (notif) => {
+    markAsRead(notif.id);
+    if (notif.task_id && notif.project_id && notif.team_id) {
+      setNotificationOpen(false);
+      navigate(getTaskPath({ teamId: notif.team_id, projectId: notif.project_id, taskId: notif.task_id }));
+    }
+  };
+
   // Mark all as read (call backend API)
   const markAllAsRead = useCallback(async () => {
     try {
@@ -341,7 +352,7 @@ export default function Header({ isDarkMode, toggleDarkMode }) {
                   return (
                     <div
                       key={notif.id}
-                      onClick={() => markAsRead(notif.id)}
+                      onClick={() => handleNotificationClick(notif)}
                       className={`p-4 border-b cursor-pointer transition-colors ${isDarkMode ? 'border-[#171717] hover:bg-gray-800' : 'border-gray-100 hover:bg-gray-50'
                         } ${!notif.is_read ? (isDarkMode ? 'bg-blue-500/5' : 'bg-blue-50/50') : ''}`}
                     >
@@ -0,0 +1,42 @@
+import React from 'react';
+import { X, Download } from 'lucide-react';
+
+/**
+ * Full-screen image preview with a download link. Click the backdrop to close.
+ */
+export const ImageLightbox = ({ src, onClose }) => {
+  if (!src) return null;
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/90 backdrop-blur-sm"
+      onClick={onClose}
+    >
+      <button
+        className="absolute top-4 right-4 p-2 rounded-full bg-white/10 hover:bg-white/20 transition-colors"
+        onClick={onClose}
+      >
+        <X size={24} className="text-white" />
+      </button>
+      <img
+        src={src}
+        alt="Preview"
+        className="max-w-[90vw] max-h-[90vh] object-contain rounded-lg"
+        onClick={(e) => e.stopPropagation()}
+      />
+      <a
+        href={src}
+        download
+        target="_blank"
+        rel="noopener noreferrer"
+        className="absolute bottom-4 right-4 flex items-center gap-2 px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <Download size={18} />
+        <span>Download</span>
+      </a>
+    </div>
+  );
+};
+
+export default ImageLightbox;
@@ -0,0 +1,150 @@
+import React, { useMemo, useState } from 'react';
+import { parseMarkdown, parseInlineMarkdown } from '../utils/markdown';
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-bold',
+  2: 'text-base font-bold',
+  3: 'text-sm font-bold',
+};
+
+const renderInline = (tokens, darkMode) => tokens.map((token, i) => {
+  switch (token.type) {
+    case 'break':
+      return <br key={i} />;
+    case 'code':
+      return (
+        <code key={i} className={`px-1 py-0.5 rounded text-[0.85em] font-mono ${darkMode ? 'bg-[#171717] text-pink-300' : 'bg-gray-100 text-pink-600'}`}>
+          {token.text}
+        </code>
+      );
+    case 'strong':
+      return <strong key={i} className="font-semibold">{renderInline(token.children, darkMode)}</strong>;
+    case 'em':
+      return <em key={i}>{renderInline(token.children, darkMode)}</em>;
+    case 'del':
+      return <del key={i}>{renderInline(token.children, darkMode)}</del>;
+    case 'link': {
+      const isExternal = !token.href.startsWith('/') && !token.href.startsWith('#');
+      return (
+        <a
+          key={i}
+          href={token.href}
+          target={isExternal ? '_blank' : undefined}
+          rel={isExternal ? 'noopener noreferrer' : undefined}
+          onClick={(e) => e.stopPropagation()}
+          className="text-blue-500 hover:underline break-all"
+        >
+          {renderInline(token.children, darkMode)}
+        </a>
+      );
+    }
+    default:
+      return <React.Fragment key={i}>{token.text}</React.Fragment>;
+  }
+});
+
+const renderBlock = (block, i, darkMode) => {
+  const inline = (text) => renderInline(parseInlineMarkdown(text), darkMode);
+
+  switch (block.type) {
+    case 'heading':
+      return <p key={i} className={`${HEADING_CLASSES[block.level] || HEADING_CLASSES[3]} ${darkMode ? 'text-white' : 'text-black'}`}>{inline(block.text)}</p>;
+    case 'code':
+      return (
+        <pre key={i} className={`p-3 rounded-lg overflow-x-auto text-xs font-mono ${darkMode ? 'bg-[#171717] text-gray-200' : 'bg-gray-100 text-gray-800'}`}>
+          <code>{block.text}</code>
+        </pre>
+      );
+    case 'quote':
+      return (
+        <blockquote key={i} className={`pl-3 border-l-2 italic ${darkMode ? 'border-gray-600 text-gray-400' : 'border-gray-300 text-gray-500'}`}>
+          {inline(block.text)}
+        </blockquote>
+      );
+    case 'rule':
+      return <hr key={i} className={darkMode ? 'border-[#171717]' : 'border-gray-200'} />;
+    case 'list': {
+      const isChecklist = block.items.some(item => item.checked !== null);
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={i}
+          start={block.ordered && block.start !== 1 ? block.start : undefined}
+          className={isChecklist ? 'space-y-1' : `pl-5 space-y-0.5 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, j) => (
+            <li key={j} className={item.checked !== null ? 'flex items-start gap-2' : ''}>
+              {item.checked !== null && (
+                <input type="checkbox" checked={item.checked} readOnly disabled className="mt-1 rounded accent-[#006239]" />
+              )}
+              <span className={item.checked ? 'line-through opacity-70' : ''}>{inline(item.text)}</span>
+            </li>
+          ))}
+        </ListTag>
+      );
+    }
+    default:
+      return <p key={i}>{inline(block.text)}</p>;
+  }
+};
+
+/**
+ * Rendered Markdown (task descriptions). The source is parsed into React
+ * elements, never injected as HTML, and links only keep safe URLs.
+ */
+export const MarkdownContent = ({ source, darkMode, className = '' }) => {
+  const blocks = useMemo(() => parseMarkdown(source || ''), [source]);
+
+  return (
+    <div className={`space-y-2 text-sm break-words ${className}`}>
+      {blocks.map((block, i) => renderBlock(block, i, darkMode))}
+    </div>
+  );
+};
+
+/**
+ * Textarea with a Write / Preview toggle for Markdown input
+ */
+export const MarkdownEditor = ({ value, onChange, rows = 4, maxLength, placeholder, className, darkMode }) => {
+  const [mode, setMode] = useState('write');
+
+  const tabClass = (tab) => `px-2.5 py-1 rounded-md text-xs font-medium transition-colors ${mode === tab
+    ? darkMode ? 'bg-[#171717] text-white' : 'bg-gray-200 text-black'
+    : darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'
+    }`;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center gap-1">
+          <button type="button" onClick={() => setMode('write')} className={tabClass('write')}>Write</button>
+          <button type="button" onClick={() => setMode('preview')} className={tabClass('preview')}>Preview</button>
+        </div>
+        <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+          Markdown: **bold**, `code`, - [ ] checklists, [links](https://…)
+        </span>
+      </div>
+
+      {mode === 'write' ? (
+        <textarea
+          rows={rows}
+          maxLength={maxLength}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={className}
+          placeholder={placeholder}
+        />
+      ) : (
+        <div className={`${className} min-h-[6rem]`}>
+          {value.trim() ? (
+            <MarkdownContent source={value} darkMode={darkMode} />
+          ) : (
+            <p className={darkMode ? 'text-gray-500' : 'text-gray-400'}>Nothing to preview</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MarkdownContent;
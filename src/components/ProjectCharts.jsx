@@ -0,0 +1,330 @@
+import React, { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { TrendingDown, Layers, BarChart3, Loader2 } from 'lucide-react';
+import { getProjectStatusHistory } from '../services/projectApi';
+import { getDaysInRange, getDailyStatusCounts, getBurndown, getWeeklyVelocity } from '../utils/projectCharts';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 24, left: 32 };
+const PLOT_WIDTH = CHART_WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = CHART_HEIGHT - PADDING.top - PADDING.bottom;
+
+const RANGE_PRESETS = [
+  { value: '14', label: 'Last 14 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+];
+
+const CHART_TABS = [
+  { key: 'burndown', label: 'Burndown', icon: TrendingDown },
+  { key: 'flow', label: 'Cumulative flow', icon: Layers },
+  { key: 'velocity', label: 'Velocity', icon: BarChart3 },
+];
+
+const toDayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const daysAgo = (count) => {
+  const date = new Date();
+  date.setDate(date.getDate() - count + 1);
+  return toDayKey(date);
+};
+
+const formatDayLabel = (day) => new Date(`${day}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Gridline values from 0 to a rounded-up maximum
+const getYTicks = (max) => {
+  const step = Math.max(1, Math.ceil(max / 4));
+  return Array.from({ length: 5 }, (_, i) => i * step);
+};
+
+const xFor = (i, count) => PADDING.left + (count > 1 ? (i / (count - 1)) * PLOT_WIDTH : PLOT_WIDTH / 2);
+const yFor = (value, max) => PADDING.top + PLOT_HEIGHT - (value / max) * PLOT_HEIGHT;
+
+/**
+ * Shared frame: horizontal gridlines with values and first/middle/last x labels
+ */
+const ChartFrame = ({ yMax, labels, darkMode, children }) => {
+  const ticks = getYTicks(yMax);
+  const top = ticks[ticks.length - 1];
+  const labelIndexes = [...new Set([0, Math.floor((labels.length - 1) / 2), labels.length - 1])];
+  const textClass = darkMode ? 'fill-gray-500' : 'fill-gray-400';
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line
+            x1={PADDING.left}
+            x2={CHART_WIDTH - PADDING.right}
+            y1={yFor(tick, top)}
+            y2={yFor(tick, top)}
+            className={darkMode ? 'stroke-[#262626]' : 'stroke-gray-200'}
+          />
+          <text x={PADDING.left - 6} y={yFor(tick, top) + 3} textAnchor="end" fontSize="10" className={textClass}>{tick}</text>
+        </g>
+      ))}
+      {labelIndexes.map(i => (
+        <text
+          key={i}
+          x={xFor(i, labels.length)}
+          y={CHART_HEIGHT - 6}
+          textAnchor={i === 0 ? 'start' : i === labels.length - 1 ? 'end' : 'middle'}
+          fontSize="10"
+          className={textClass}
+        >
+          {labels[i]}
+        </text>
+      ))}
+      {children(top)}
+    </svg>
+  );
+};
+
+const BurndownChart = ({ data, darkMode }) => {
+  const max = Math.max(1, ...data.map(d => Math.max(d.remaining ?? 0, d.ideal)));
+  const actual = data.filter(d => d.remaining !== null);
+
+  return (
+    <ChartFrame yMax={max} labels={data.map(d => formatDayLabel(d.day))} darkMode={darkMode}>
+      {(top) => (
+        <>
+          <polyline
+            points={data.map((d, i) => `${xFor(i, data.length)},${yFor(d.ideal, top)}`).join(' ')}
+            fill="none"
+            strokeWidth="1.5"
+            strokeDasharray="4 4"
+            className={darkMode ? 'stroke-gray-500' : 'stroke-gray-400'}
+          />
+          <polyline
+            points={actual.map((d, i) => `${xFor(i, data.length)},${yFor(d.remaining, top)}`).join(' ')}
+            fill="none"
+            strokeWidth="2"
+            className="stroke-[#006239]"
+          />
+          {actual.map((d, i) => (
+            <circle key={d.day} cx={xFor(i, data.length)} cy={yFor(d.remaining, top)} r="3" className="fill-[#006239]">
+              <title>{`${formatDayLabel(d.day)}: ${d.remaining} open (ideal ${d.ideal})`}</title>
+            </circle>
+          ))}
+        </>
+      )}
+    </ChartFrame>
+  );
+};
+
+// Done statuses at the bottom of the stack, not-started on top
+const CATEGORY_STACK_ORDER = { done: 0, active: 1, not_started: 2 };
+
+const CumulativeFlowChart = ({ data, statuses, darkMode }) => {
+  const known = data.filter(d => d.counts);
+  const stack = [...statuses].sort((a, b) => CATEGORY_STACK_ORDER[a.category] - CATEGORY_STACK_ORDER[b.category]);
+  const max = Math.max(1, ...known.map(d => Object.values(d.counts).reduce((sum, n) => sum + n, 0)));
+
+  return (
+    <ChartFrame yMax={max} labels={data.map(d => formatDayLabel(d.day))} darkMode={darkMode}>
+      {(top) => {
+        const baseline = known.map(() => 0);
+        return stack.map(status => {
+          const lower = [...baseline];
+          known.forEach((d, i) => { baseline[i] += d.counts[status.key] || 0; });
+          const upperPoints = known.map((_, i) => `${xFor(i, data.length)},${yFor(baseline[i], top)}`);
+          const lowerPoints = known.map((_, i) => `${xFor(i, data.length)},${yFor(lower[i], top)}`).reverse();
+          return (
+            <polygon key={status.key} points={[...upperPoints, ...lowerPoints].join(' ')} fill={status.color} fillOpacity="0.7">
+              <title>{status.label}</title>
+            </polygon>
+          );
+        });
+      }}
+    </ChartFrame>
+  );
+};
+
+const VelocityChart = ({ data, darkMode }) => {
+  const ticks = getYTicks(Math.max(1, ...data.map(d => d.completed)));
+  const top = ticks[ticks.length - 1];
+  const average = data.length > 0 ? data.reduce((sum, d) => sum + d.completed, 0) / data.length : 0;
+  const slot = PLOT_WIDTH / Math.max(data.length, 1);
+  const barWidth = Math.min(48, slot * 0.6);
+  const textClass = darkMode ? 'fill-gray-500' : 'fill-gray-400';
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-auto">
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line
+            x1={PADDING.left}
+            x2={CHART_WIDTH - PADDING.right}
+            y1={yFor(tick, top)}
+            y2={yFor(tick, top)}
+            className={darkMode ? 'stroke-[#262626]' : 'stroke-gray-200'}
+          />
+          <text x={PADDING.left - 6} y={yFor(tick, top) + 3} textAnchor="end" fontSize="10" className={textClass}>{tick}</text>
+        </g>
+      ))}
+      {data.map((d, i) => {
+        const x = PADDING.left + slot * i + (slot - barWidth) / 2;
+        return (
+          <g key={d.week}>
+            <rect x={x} y={yFor(d.completed, top)} width={barWidth} height={(d.completed / top) * PLOT_HEIGHT} rx="3" className="fill-[#006239]">
+              <title>{`Week of ${formatDayLabel(d.week)}: ${d.completed} completed`}</title>
+            </rect>
+            <text x={x + barWidth / 2} y={CHART_HEIGHT - 6} textAnchor="middle" fontSize="10" className={textClass}>
+              {formatDayLabel(d.week)}
+            </text>
+          </g>
+        );
+      })}
+      {average > 0 && (
+        <line
+          x1={PADDING.left}
+          x2={CHART_WIDTH - PADDING.right}
+          y1={yFor(average, top)}
+          y2={yFor(average, top)}
+          strokeDasharray="4 4"
+          className="stroke-amber-500"
+        >
+          <title>{`Average: ${average.toFixed(1)} per week`}</title>
+        </line>
+      )}
+    </svg>
+  );
+};
+
+/**
+ * Burndown, cumulative flow and weekly velocity for a chosen date range, replayed
+ * from the project's status history. Picking a sprint scopes the charts to the
+ * tasks that were in it and its dates. The page invalidates the history query on
+ * task events, so the tasks and changes replayed always come from one response.
+ */
+export const ProjectCharts = ({ projectId, statuses, sprints = [], darkMode }) => {
+  const [activeChart, setActiveChart] = useState('burndown');
+  const [rangeKey, setRangeKey] = useState(() => {
+    const activeSprint = sprints.find(sp => sp.status === 'active');
+    return activeSprint ? `sprint:${activeSprint.id}` : '30';
+  });
+  const [customRange, setCustomRange] = useState(() => ({ from: daysAgo(30), to: toDayKey(new Date()) }));
+
+  const sprint = rangeKey.startsWith('sprint:') ? sprints.find(sp => `sprint:${sp.id}` === rangeKey) : null;
+  const range = sprint
+    ? { from: sprint.start_date.split('T')[0], to: sprint.end_date.split('T')[0] }
+    : rangeKey === 'custom'
+      ? customRange
+      : { from: daysAgo(Number(rangeKey)), to: toDayKey(new Date()) };
+  const sprintId = sprint?.id ?? null;
+
+  const { data: history, isLoading, isError } = useQuery({
+    queryKey: ['projectStatusHistory', projectId, range.from, sprintId],
+    queryFn: async () => (await getProjectStatusHistory(projectId, range.from, sprintId)).data,
+    enabled: !!range.from && range.from <= range.to,
+  });
+
+  const historyTasks = history?.tasks || [];
+  const changes = history?.changes || [];
+  const days = range.from <= range.to ? getDaysInRange(range.from, range.to) : [];
+  const dailyCounts = getDailyStatusCounts(historyTasks, changes, days);
+  const burndown = getBurndown(dailyCounts, statuses);
+  const velocity = days.length > 0 ? getWeeklyVelocity(changes, statuses, range.from, range.to) : [];
+
+  const controlClass = `rounded-lg px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 border border-[#171717]' : 'bg-gray-100 text-gray-700 border border-gray-200'}`;
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const latest = burndown.filter(d => d.remaining !== null).pop();
+
+  return (
+    <div className={`rounded-xl border p-5 ${darkMode ? 'bg-dark-secondary/50 border-[#171717]/50' : 'bg-white border-gray-200 shadow-sm'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div className={`flex items-center rounded-lg p-1 ${darkMode ? 'bg-[#171717]' : 'bg-gray-200/50'}`}>
+          {CHART_TABS.map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => setActiveChart(tab.key)}
+              className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-sm font-medium transition-all ${activeChart === tab.key
+                ? 'bg-[#006239] text-white shadow-md'
+                : darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-black'
+                }`}
+            >
+              <tab.icon size={14} />
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <select value={rangeKey} onChange={(e) => setRangeKey(e.target.value)} className={controlClass}>
+            {RANGE_PRESETS.map(preset => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
+            {sprints.map(sp => (
+              <option key={sp.id} value={`sprint:${sp.id}`}>{sp.name}</option>
+            ))}
+            <option value="custom">Custom range</option>
+          </select>
+          {rangeKey === 'custom' && (
+            <>
+              <input
+                type="date"
+                value={customRange.from}
+                max={customRange.to}
+                onChange={(e) => setCustomRange(prev => ({ ...prev, from: e.target.value }))}
+                className={controlClass}
+              />
+              <span className={mutedClass}>–</span>
+              <input
+                type="date"
+                value={customRange.to}
+                min={customRange.from}
+                onChange={(e) => setCustomRange(prev => ({ ...prev, to: e.target.value }))}
+                className={controlClass}
+              />
+            </>
+          )}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-16">
+          <Loader2 size={24} className={`animate-spin ${mutedClass}`} />
+        </div>
+      ) : isError ? (
+        <p className={`text-sm text-center py-16 ${mutedClass}`}>Could not load the status history</p>
+      ) : days.length === 0 ? (
+        <p className={`text-sm text-center py-16 ${mutedClass}`}>Pick a start date before the end date</p>
+      ) : (
+        <>
+          {activeChart === 'burndown' && <BurndownChart data={burndown} darkMode={darkMode} />}
+          {activeChart === 'flow' && <CumulativeFlowChart data={dailyCounts} statuses={statuses} darkMode={darkMode} />}
+          {activeChart === 'velocity' && <VelocityChart data={velocity} darkMode={darkMode} />}
+
+          <div className={`flex flex-wrap items-center gap-x-4 gap-y-1 mt-3 text-xs ${mutedClass}`}>
+            {activeChart === 'burndown' && (
+              <>
+                <span className="flex items-center gap-1.5"><span className="h-0.5 w-4 bg-[#006239]" />Open tasks</span>
+                <span className="flex items-center gap-1.5"><span className={`h-0.5 w-4 ${darkMode ? 'bg-gray-500' : 'bg-gray-400'}`} />Ideal</span>
+                {latest && (
+                  <span className={latest.remaining > latest.ideal ? 'text-amber-500 font-semibold' : 'text-green-500 font-semibold'}>
+                    {latest.remaining > latest.ideal ? `${Math.ceil(latest.remaining - latest.ideal)} behind the ideal line` : 'On track'}
+                  </span>
+                )}
+              </>
+            )}
+            {activeChart === 'flow' && statuses.map(status => (
+              <span key={status.key} className="flex items-center gap-1.5">
+                <span className="h-2.5 w-2.5 rounded-sm" style={{ backgroundColor: status.color }} />
+                {status.label}
+              </span>
+            ))}
+            {activeChart === 'velocity' && (
+              <>
+                <span className="flex items-center gap-1.5"><span className="h-2.5 w-2.5 rounded-sm bg-[#006239]" />Completed per week</span>
+                <span className="flex items-center gap-1.5"><span className="h-0.5 w-4 bg-amber-500" />Average</span>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProjectCharts;
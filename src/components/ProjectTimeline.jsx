@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Calendar, GanttChart } from 'lucide-react';
+import { getStatusCategory } from '../utils/statuses';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const NAME_COLUMN_WIDTH = 220;
+
+// Pixel width of one day and the tick unit drawn in the header for each zoom level
+const ZOOM_LEVELS = {
+  week: { label: 'Week', dayWidth: 48, tick: 'day', paddingDays: 7 },
+  month: { label: 'Month', dayWidth: 16, tick: 'week', paddingDays: 14 },
+  quarter: { label: 'Quarter', dayWidth: 5, tick: 'month', paddingDays: 30 },
+};
+
+const STATUS_BAR_COLORS = {
+  active: 'bg-green-500/80',
+  completed: 'bg-blue-500/80',
+  archived: 'bg-gray-500/80',
+};
+
+// Keyed by status category, since each project can define its own workflow statuses
+const TASK_MARKER_COLORS = {
+  not_started: 'bg-slate-400',
+  active: 'bg-blue-500',
+  done: 'bg-green-500',
+};
+
+/**
+ * Dates are stored as the ISO string of the picked day, so the date part is the
+ * calendar day. Parse it as a local date to keep day arithmetic free of TZ shifts.
+ */
+const parseDateKey = (value) => {
+  if (!value) return null;
+  const [year, month, day] = new Date(value).toISOString().split('T')[0].split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+const diffInDays = (from, to) => Math.round((to - from) / DAY_MS);
+
+const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Header ticks (label + offset in days) for the visible range
+ */
+const buildTicks = (rangeStart, totalDays, unit) => {
+  const ticks = [];
+  for (let i = 0; i < totalDays; i++) {
+    const date = addDays(rangeStart, i);
+    if (unit === 'day') {
+      ticks.push({ offset: i, label: String(date.getDate()), isWeekend: date.getDay() === 0 || date.getDay() === 6 });
+    } else if (unit === 'week' && date.getDay() === 1) {
+      ticks.push({ offset: i, label: formatShortDate(date) });
+    } else if (unit === 'month' && date.getDate() === 1) {
+      ticks.push({ offset: i, label: date.toLocaleDateString('en-US', { month: 'short' }) });
+    }
+  }
+  return ticks;
+};
+
+/**
+ * Month labels spanning the top header row
+ */
+const buildMonthSegments = (rangeStart, totalDays) => {
+  const segments = [];
+  let cursor = new Date(rangeStart);
+  while (diffInDays(rangeStart, cursor) < totalDays) {
+    const nextMonth = new Date(cursor.getFullYear(), cursor.getMonth() + 1, 1);
+    const start = diffInDays(rangeStart, cursor);
+    const end = Math.min(diffInDays(rangeStart, nextMonth), totalDays);
+    segments.push({ offset: start, days: end - start, label: cursor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' }) });
+    cursor = nextMonth;
+  }
+  return segments;
+};
+
+/**
+ * Gantt-style timeline of a team's projects. Each project is a bar across its
+ * start/end dates with its tasks as markers on their due dates. When canEdit is
+ * set, the bar ends can be dragged and onUpdateDates receives the project and
+ * the new {start_date, end_date} (ISO strings).
+ */
+export const ProjectTimeline = ({ projects, tasksByProject = {}, darkMode, canEdit = false, onUpdateDates, onProjectClick }) => {
+  const [zoom, setZoom] = useState('month');
+  const [dragState, setDragState] = useState(null); // { project, edge, originX, start, end, deltaDays }
+  const scrollRef = useRef(null);
+
+  const { dayWidth, tick, paddingDays } = ZOOM_LEVELS[zoom];
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Resolve each project's date range; a single date becomes a one-day bar
+  const rows = projects.map(project => {
+    const start = parseDateKey(project.start_date);
+    const end = parseDateKey(project.end_date);
+    return { project, start: start || end, end: end || start };
+  });
+
+  // Visible range: all bars, task markers and today, with some padding on both sides
+  const visibleDates = [
+    today,
+    ...rows.filter(row => row.start).flatMap(row => [row.start, row.end]),
+    ...projects.flatMap(project => (tasksByProject[project.id] || [])
+      .filter(task => task.due_date)
+      .map(task => parseDateKey(task.due_date))),
+  ];
+  const earliest = visibleDates.reduce((min, date) => (date < min ? date : min));
+  const latest = visibleDates.reduce((max, date) => (date > max ? date : max));
+  const rangeStart = addDays(earliest, -paddingDays);
+  const totalDays = diffInDays(rangeStart, addDays(latest, paddingDays)) + 1;
+  const trackWidth = totalDays * dayWidth;
+  const todayOffset = diffInDays(rangeStart, today) * dayWidth;
+
+  const ticks = buildTicks(rangeStart, totalDays, tick);
+  const monthSegments = buildMonthSegments(rangeStart, totalDays);
+
+  // Bring today into view when the zoom level or visible range changes
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollLeft = Math.max(todayOffset - scrollRef.current.clientWidth / 2 + NAME_COLUMN_WIDTH, 0);
+    }
+  }, [zoom, todayOffset]);
+
+  // Track the pointer while an edge is being dragged
+  useEffect(() => {
+    if (!dragState) return;
+
+    const handleMove = (e) => {
+      const deltaDays = Math.round((e.clientX - dragState.originX) / dayWidth);
+      setDragState(prev => (prev && prev.deltaDays !== deltaDays ? { ...prev, deltaDays } : prev));
+    };
+
+    const handleUp = () => {
+      const { project, edge, start, end, deltaDays } = dragState;
+      setDragState(null);
+      if (!deltaDays) return;
+
+      const newStart = edge === 'start' ? addDays(start, deltaDays) : start;
+      const newEnd = edge === 'end' ? addDays(end, deltaDays) : end;
+      if (newEnd < newStart) return;
+
+      onUpdateDates?.(project, {
+        start_date: new Date(toDateKey(newStart)).toISOString(),
+        end_date: new Date(toDateKey(newEnd)).toISOString(),
+      });
+    };
+
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [dragState, dayWidth, onUpdateDates]);
+
+  const startDrag = (e, row, edge) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDragState({ project: row.project, edge, originX: e.clientX, start: row.start, end: row.end, deltaDays: 0 });
+  };
+
+  const borderColor = darkMode ? 'border-[#171717]/50' : 'border-gray-200';
+  const stickyBg = darkMode ? 'bg-dark-secondary' : 'bg-white';
+
+  return (
+    <div className={`rounded-xl border ${darkMode ? 'bg-dark-secondary/50 border-[#171717]/50' : 'bg-white border-gray-200 shadow-sm'}`}>
+      {/* Toolbar */}
+      <div className={`flex items-center justify-between gap-3 flex-wrap p-4 border-b ${borderColor}`}>
+        <div className={`flex items-center gap-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-500'}`}>
+          <GanttChart size={16} />
+          {canEdit ? 'Drag the ends of a bar to change project dates' : 'Project timeline'}
+        </div>
+        <div className={`flex items-center rounded-lg p-1 ${darkMode ? 'bg-[#171717]' : 'bg-gray-200/50'}`}>
+          {Object.entries(ZOOM_LEVELS).map(([key, level]) => (
+            <button
+              key={key}
+              onClick={() => setZoom(key)}
+              className={`px-3 py-1 rounded-md text-sm font-medium transition-all ${zoom === key
+                ? 'bg-[#006239] text-white shadow-md'
+                : darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-black'
+                }`}
+            >
+              {level.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {projects.length === 0 ? (
+        <div className={`p-8 text-center text-sm ${darkMode ? 'text-gray-300' : 'text-gray-400'}`}>
+          No projects to show on the timeline
+        </div>
+      ) : (
+        <div ref={scrollRef} className={`overflow-x-auto ${dragState ? 'select-none cursor-ew-resize' : ''}`}>
+          <div style={{ width: NAME_COLUMN_WIDTH + trackWidth }} className="relative">
+            {/* Header: months + ticks */}
+            <div className={`flex border-b ${borderColor}`}>
+              <div style={{ width: NAME_COLUMN_WIDTH }} className={`sticky left-0 z-20 flex-shrink-0 px-4 py-2 text-xs font-bold uppercase tracking-wider ${stickyBg} ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Project
+              </div>
+              <div className="relative flex-shrink-0" style={{ width: trackWidth, height: tick === 'month' ? 28 : 48 }}>
+                {monthSegments.map(segment => (
+                  <div
+                    key={segment.offset}
+                    style={{ left: segment.offset * dayWidth, width: segment.days * dayWidth }}
+                    className={`absolute top-0 h-7 px-2 flex items-center text-xs font-semibold truncate border-l ${borderColor} ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}
+                  >
+                    {segment.label}
+                  </div>
+                ))}
+                {tick !== 'month' && ticks.map(t => (
+                  <div
+                    key={t.offset}
+                    style={{ left: t.offset * dayWidth, width: tick === 'day' ? dayWidth : undefined }}
+                    className={`absolute top-7 h-5 text-[10px] flex items-center ${tick === 'day' ? 'justify-center' : 'pl-1 border-l'} ${borderColor} ${t.isWeekend ? 'opacity-50' : ''} ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}
+                  >
+                    {t.label}
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Project rows */}
+            {rows.map(row => {
+              const { project } = row;
+              const tasks = tasksByProject[project.id] || [];
+              const isDragging = dragState?.project.id === project.id;
+
+              let barStart = row.start;
+              let barEnd = row.end;
+              if (isDragging) {
+                if (dragState.edge === 'start') barStart = addDays(row.start, dragState.deltaDays);
+                if (dragState.edge === 'end') barEnd = addDays(row.end, dragState.deltaDays);
+                if (barEnd < barStart) barEnd = barStart;
+              }
+
+              return (
+                <div key={project.id} className={`flex border-b last:border-b-0 ${borderColor}`}>
+                  <div
+                    style={{ width: NAME_COLUMN_WIDTH }}
+                    onClick={() => onProjectClick?.(project)}
+                    className={`sticky left-0 z-20 flex-shrink-0 px-4 py-3 cursor-pointer ${stickyBg}`}
+                  >
+                    <p className={`text-sm font-semibold truncate ${darkMode ? 'text-white hover:text-gray-300' : 'text-black hover:text-gray-500'}`}>
+                      {project.name}
+                    </p>
+                    <p className={`text-xs truncate ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      {barStart ? `${formatShortDate(barStart)} – ${formatShortDate(barEnd)}` : 'No dates set'}
+                    </p>
+                  </div>
+
+                  <div className="relative flex-shrink-0 h-14" style={{ width: trackWidth }}>
+                    {/* Weekend shading in week zoom */}
+                    {tick === 'day' && ticks.filter(t => t.isWeekend).map(t => (
+                      <div
+                        key={t.offset}
+                        style={{ left: t.offset * dayWidth, width: dayWidth }}
+                        className={`absolute inset-y-0 ${darkMode ? 'bg-white/[0.02]' : 'bg-gray-100/60'}`}
+                      />
+                    ))}
+
+                    {barStart ? (
+                      <div
+                        style={{
+                          left: diffInDays(rangeStart, barStart) * dayWidth,
+                          width: Math.max((diffInDays(barStart, barEnd) + 1) * dayWidth, 6),
+                        }}
+                        title={`${project.name}: ${formatShortDate(barStart)} – ${formatShortDate(barEnd)}`}
+                        className={`absolute top-3 h-8 rounded-md shadow-sm group ${STATUS_BAR_COLORS[project.status] || 'bg-purple-500/80'} ${isDragging ? 'ring-2 ring-blue-400' : ''}`}
+                      >
+                        {canEdit && (
+                          <>
+                            <div
+                              onPointerDown={(e) => startDrag(e, row, 'start')}
+                              className="absolute left-0 inset-y-0 w-2 rounded-l-md cursor-ew-resize bg-black/20 opacity-0 group-hover:opacity-100 transition-opacity"
+                              title="Drag to change start date"
+                            />
+                            <div
+                              onPointerDown={(e) => startDrag(e, row, 'end')}
+                              className="absolute right-0 inset-y-0 w-2 rounded-r-md cursor-ew-resize bg-black/20 opacity-0 group-hover:opacity-100 transition-opacity"
+                              title="Drag to change end date"
+                            />
+                          </>
+                        )}
+                      </div>
+                    ) : (
+                      <div className={`absolute inset-y-0 left-4 flex items-center gap-1.5 text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                        <Calendar size={12} />
+                        Set start and end dates to show this project
+                      </div>
+                    )}
+
+                    {/* Task markers on their due dates */}
+                    {tasks.filter(task => task.due_date).map(task => {
+                      const due = parseDateKey(task.due_date);
+                      return (
+                        <div
+                          key={task.id}
+                          style={{ left: diffInDays(rangeStart, due) * dayWidth + dayWidth / 2 - 5 }}
+                          title={`${task.title} · due ${formatShortDate(due)}`}
+                          className={`absolute bottom-1 w-2.5 h-2.5 rotate-45 border ${darkMode ? 'border-dark-secondary' : 'border-white'} ${TASK_MARKER_COLORS[getStatusCategory(task)]}`}
+                        />
+                      );
+                    })}
+                  </div>
+                </div>
+              );
+            })}
+
+            {/* Today line */}
+            <div
+              style={{ left: NAME_COLUMN_WIDTH + todayOffset + dayWidth / 2 }}
+              className="absolute top-0 bottom-0 w-px bg-red-500 z-10 pointer-events-none"
+            >
+              <span className="absolute top-0 -translate-x-1/2 px-1.5 py-0.5 rounded text-[10px] font-bold bg-red-500 text-white">
+                Today
+              </span>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectTimeline;
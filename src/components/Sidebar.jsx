@@ -3,7 +3,9 @@ import { LayoutDashboard, FolderKanban, Users, Settings, MessageSquare, Zap, Fol
 import { Link, useParams } from 'react-router-dom';
 import { useQuery } from '@tanstack/react-query';
 import { getUserTeams } from '../services/projectApi';
+import { getTaskPath } from '../utils/taskLinks';
 import { useAuth } from '../hooks/useAuth';
+import { usePins } from '../hooks/usePins';
 import SidebarItem from './SidebarItem';
 
 // Maximum teams to display in sidebar before showing "See more"
@@ -11,8 +13,9 @@ const MAX_VISIBLE_TEAMS = 4;
 
 export default function Sidebar({ darkMode, activePage }) {
   const bgSidebar = darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200 shadow-sm';
-  const { teamId } = useParams();
+  const { teamId, projectId, taskId } = useParams();
   const { isAdmin } = useAuth();
+  const { pins } = usePins();
 
   // Fetch user's teams
   const { data: teamsData, isLoading: teamsLoading } = useQuery({
@@ -93,6 +96,54 @@ export default function Sidebar({ darkMode, activePage }) {
         {/* Divider */}
         <div className={`my-4 mx-4 border-t transition-colors duration-300 ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}></div>
 
+        {/* Pinned projects and tasks across teams */}
+        {(pins.projects.length > 0 || pins.tasks.length > 0) && (
+          <>
+            <div className={`px-3 py-2 text-xs font-bold uppercase tracking-wider opacity-0 group-hover:opacity-100 transition-opacity overflow-hidden whitespace-nowrap ${darkMode ? 'text-gray-500' : 'text-gray-600'}`}>
+              Pinned
+            </div>
+
+            {[
+              ...pins.projects.map(pin => ({
+                key: `project-${pin.project_id}`,
+                to: `/teams/${pin.team_id}/projects/${pin.project_id}`,
+                label: pin.name,
+                detail: pin.team_name,
+                icon: FolderKanban,
+                isActive: projectId === String(pin.project_id) && !taskId,
+              })),
+              ...pins.tasks.map(pin => ({
+                key: `task-${pin.task_id}`,
+                to: getTaskPath({ teamId: pin.team_id, projectId: pin.project_id, taskId: pin.task_id }),
+                label: pin.title,
+                detail: pin.project_name,
+                icon: CheckSquare,
+                isActive: taskId === String(pin.task_id),
+              })),
+            ].map(item => (
+              <Link
+                key={item.key}
+                to={item.to}
+                className={`w-full flex items-center px-3 py-2.5 text-sm rounded-lg transition-all ${
+                  item.isActive
+                    ? darkMode
+                      ? 'bg-[#171717] text-white'
+                      : 'bg-gray-200 text-gray-900'
+                    : darkMode
+                      ? 'text-gray-400 hover:text-gray-200 hover:bg-[#1F1F1F]'
+                      : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                }`}
+                title={item.detail ? `${item.label} · ${item.detail}` : item.label}
+              >
+                <item.icon size={18} className={`flex-shrink-0 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
+                <span className="ml-3 flex-1 truncate opacity-0 group-hover:opacity-100 transition-opacity">{item.label}</span>
+              </Link>
+            ))}
+
+            <div className={`my-4 mx-4 border-t transition-colors duration-300 ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}></div>
+          </>
+        )}
+
         {/* My Teams */}
         <div className={`px-3 py-2 text-xs font-bold uppercase tracking-wider opacity-0 group-hover:opacity-100 transition-opacity overflow-hidden whitespace-nowrap ${darkMode ? 'text-gray-500' : 'text-gray-600'}`}>
           My Teams
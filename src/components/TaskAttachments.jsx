@@ -0,0 +1,181 @@
+import React, { useRef, useState } from 'react';
+import toast from 'react-hot-toast';
+import { Paperclip, X, Download, Loader2, Image, Film, Music, FileText, FileArchive, FileCode, File } from 'lucide-react';
+import { MAX_FILES, ALLOWED_FILE_TYPES, validateFiles, getFileTypeFromUrl, formatFileSize } from '../services/fileService';
+
+// Same icon and color per file type as chat attachments
+const FILE_TYPE_ICONS = {
+  image: Image,
+  video: Film,
+  audio: Music,
+  document: FileText,
+  spreadsheet: FileText,
+  presentation: FileText,
+  archive: FileArchive,
+  code: FileCode,
+};
+
+const FILE_TYPE_COLORS = {
+  image: 'bg-emerald-500',
+  video: 'bg-purple-500',
+  audio: 'bg-pink-500',
+  document: 'bg-blue-500',
+  spreadsheet: 'bg-green-500',
+  presentation: 'bg-orange-500',
+  archive: 'bg-yellow-500',
+  code: 'bg-cyan-500',
+};
+
+const getAttachmentType = (attachment) => getFileTypeFromUrl(attachment.file_name || attachment.url);
+
+const FileTypeTile = ({ type, className = 'h-10 w-10' }) => {
+  const Icon = FILE_TYPE_ICONS[type] || File;
+  return (
+    <div className={`${className} rounded-lg flex items-center justify-center flex-shrink-0 ${FILE_TYPE_COLORS[type] || 'bg-gray-500'}`}>
+      <Icon size={16} className="text-white" />
+    </div>
+  );
+};
+
+/**
+ * Compact row of attachment thumbnails for task cards. Images open in the
+ * lightbox via onPreview(url); other files open in a new tab.
+ */
+export const AttachmentThumbnails = ({ attachments = [], onPreview, limit = 4, darkMode }) => {
+  if (attachments.length === 0) return null;
+  const hiddenCount = attachments.length - limit;
+
+  return (
+    <div className="flex items-center gap-1.5">
+      {attachments.slice(0, limit).map(attachment => {
+        const type = getAttachmentType(attachment);
+        return type === 'image' ? (
+          <button key={attachment.id} type="button" onClick={() => onPreview(attachment.url)} title={attachment.file_name}>
+            <img src={attachment.url} alt={attachment.file_name} className="h-10 w-10 rounded-lg object-cover hover:opacity-90 transition-opacity" />
+          </button>
+        ) : (
+          <a key={attachment.id} href={attachment.url} target="_blank" rel="noopener noreferrer" title={attachment.file_name}>
+            <FileTypeTile type={type} />
+          </a>
+        );
+      })}
+      {hiddenCount > 0 && (
+        <span className={`h-10 w-10 rounded-lg flex items-center justify-center text-xs font-semibold ${darkMode ? 'bg-[#171717] text-gray-300' : 'bg-gray-100 text-gray-600'}`}>
+          +{hiddenCount}
+        </span>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Attachment list with a file picker. Saved attachments come from the task;
+ * pendingFiles are picked but not uploaded yet (new tasks upload after creation).
+ * onAddFiles(files) may return a promise, during which the picker shows progress.
+ */
+export const AttachmentPicker = ({ attachments = [], pendingFiles = [], onAddFiles, onRemovePending, onDelete, onPreview, canEdit = true, darkMode }) => {
+  const fileInputRef = useRef(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const handleFileSelect = async (e) => {
+    const files = Array.from(e.target.files || []);
+    // Reset input so the same file can be picked again
+    if (fileInputRef.current) fileInputRef.current.value = '';
+
+    if (pendingFiles.length + files.length > MAX_FILES) {
+      toast.error(`Maximum ${MAX_FILES} files allowed per upload`);
+      return;
+    }
+
+    const { validFiles, errors } = validateFiles(files);
+    errors.forEach(message => toast.error(message));
+    if (validFiles.length === 0) return;
+
+    setIsUploading(true);
+    try {
+      await onAddFiles(validFiles);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  const rowClass = `flex items-center gap-3 p-2 rounded-lg ${darkMode ? 'bg-[#171717]/60' : 'bg-gray-50'}`;
+  const nameClass = `text-sm font-medium truncate ${darkMode ? 'text-gray-200' : 'text-gray-900'}`;
+  const metaClass = `text-xs ${darkMode ? 'text-gray-500' : 'text-gray-500'}`;
+  const iconButtonClass = `p-1.5 rounded transition-colors ${darkMode ? 'hover:bg-[#333] text-gray-400' : 'hover:bg-gray-200 text-gray-600'}`;
+
+  return (
+    <div className="space-y-2">
+      {attachments.map(attachment => {
+        const type = getAttachmentType(attachment);
+        return (
+          <div key={attachment.id} className={rowClass}>
+            {type === 'image' ? (
+              <button type="button" onClick={() => onPreview(attachment.url)} className="flex-shrink-0">
+                <img src={attachment.url} alt={attachment.file_name} className="h-10 w-10 rounded-lg object-cover" />
+              </button>
+            ) : (
+              <FileTypeTile type={type} />
+            )}
+            <div className="flex-1 min-w-0">
+              <p className={nameClass}>{attachment.file_name}</p>
+              <p className={metaClass}>
+                {formatFileSize(attachment.size)}
+                {attachment.uploaded_by_username && ` · ${attachment.uploaded_by_username}`}
+              </p>
+            </div>
+            <a href={attachment.url} target="_blank" rel="noopener noreferrer" download className={iconButtonClass} title="Download">
+              <Download size={14} />
+            </a>
+            {canEdit && onDelete && (
+              <button type="button" onClick={() => onDelete(attachment)} className="p-1.5 rounded text-red-500 hover:bg-red-500/10" title="Remove attachment">
+                <X size={14} />
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      {pendingFiles.map((file, index) => (
+        <div key={`${file.name}-${index}`} className={rowClass}>
+          <FileTypeTile type={getFileTypeFromUrl(file.name)} />
+          <div className="flex-1 min-w-0">
+            <p className={nameClass}>{file.name}</p>
+            <p className={metaClass}>{formatFileSize(file.size)} · uploads when the task is created</p>
+          </div>
+          <button type="button" onClick={() => onRemovePending(index)} className="p-1.5 rounded text-red-500 hover:bg-red-500/10" title="Remove file">
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+
+      {attachments.length === 0 && pendingFiles.length === 0 && !canEdit && (
+        <p className={metaClass}>No attachments</p>
+      )}
+
+      {canEdit && (
+        <>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept={ALLOWED_FILE_TYPES.join(',')}
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+          <button
+            type="button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isUploading}
+            className={`flex items-center gap-1.5 text-sm font-medium disabled:opacity-50 ${darkMode ? 'text-gray-400 hover:text-gray-200' : 'text-gray-500 hover:text-black'}`}
+          >
+            {isUploading ? <Loader2 size={14} className="animate-spin" /> : <Paperclip size={14} />}
+            {isUploading ? 'Uploading...' : `Attach files (up to ${MAX_FILES} at a time, 100MB each)`}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentPicker;
@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight, CheckCircle2, Flag } from 'lucide-react';
+import { getStatusCategory } from '../utils/statuses';
+
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MAX_TASKS_PER_MONTH_CELL = 3;
+
+// Same palette as PriorityBadge on ProjectPage
+const PRIORITY_COLORS = {
+  low: 'text-slate-500 bg-slate-500/10 border-slate-500/30',
+  medium: 'text-amber-500 bg-amber-500/10 border-amber-500/30',
+  high: 'text-orange-500 bg-orange-500/10 border-orange-500/30',
+  urgent: 'text-red-500 bg-red-500/10 border-red-500/30',
+};
+
+/**
+ * Build a YYYY-MM-DD key from a local date
+ */
+const toDateKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Due dates are stored as the ISO string of the picked day (see CreateTaskModal),
+ * so the date part is the calendar day the user chose.
+ */
+const getDueDateKey = (task) => task.due_date ? task.due_date.split('T')[0] : null;
+
+const startOfWeek = (date) => {
+  const result = new Date(date);
+  result.setHours(0, 0, 0, 0);
+  result.setDate(result.getDate() - result.getDay());
+  return result;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+/**
+ * Days shown for the current view: full weeks covering the month, or a single week
+ */
+const getVisibleDays = (anchorDate, view) => {
+  if (view === 'week') {
+    const start = startOfWeek(anchorDate);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }
+
+  const firstOfMonth = new Date(anchorDate.getFullYear(), anchorDate.getMonth(), 1);
+  const lastOfMonth = new Date(anchorDate.getFullYear(), anchorDate.getMonth() + 1, 0);
+  const start = startOfWeek(firstOfMonth);
+  const weeks = Math.ceil((lastOfMonth.getDate() + firstOfMonth.getDay()) / 7);
+  return Array.from({ length: weeks * 7 }, (_, i) => addDays(start, i));
+};
+
+/**
+ * Task chip rendered inside a calendar day
+ */
+const CalendarTaskChip = ({ task, statuses, darkMode, draggable, isDragging, onDragStart, onDragEnd, onClick }) => {
+  const isDone = getStatusCategory(task, statuses) === 'done';
+
+  return (
+    <div
+      draggable={draggable}
+      onDragStart={onDragStart}
+      onDragEnd={onDragEnd}
+      onClick={(e) => {
+        e.stopPropagation();
+        onClick?.(task);
+      }}
+      title={task.project_name ? `${task.title} · ${task.project_name}` : task.title}
+      className={`flex items-center gap-1 px-1.5 py-0.5 rounded border text-xs font-medium truncate transition-opacity ${PRIORITY_COLORS[task.priority] || PRIORITY_COLORS.medium} ${draggable ? 'cursor-grab active:cursor-grabbing' : onClick ? 'cursor-pointer' : ''} ${isDragging ? 'opacity-40' : ''} ${isDone ? (darkMode ? 'opacity-50' : 'opacity-60') : ''}`}
+    >
+      {isDone ? <CheckCircle2 size={10} className="flex-shrink-0" /> : <Flag size={10} className="flex-shrink-0" />}
+      <span className={`truncate ${isDone ? 'line-through' : ''}`}>{task.title}</span>
+    </div>
+  );
+};
+
+/**
+ * Month / week calendar of tasks placed on their due dates.
+ * When canEdit is set, chips can be dragged to another day; onReschedule
+ * receives the task and the target YYYY-MM-DD date.
+ */
+export const TaskCalendar = ({ tasks, statuses, darkMode, canEdit = false, onReschedule, onTaskClick }) => {
+  const [view, setView] = useState('month');
+  const [anchorDate, setAnchorDate] = useState(() => new Date());
+  const [draggedTask, setDraggedTask] = useState(null);
+  const [dragOverKey, setDragOverKey] = useState(null);
+  const [expandedDay, setExpandedDay] = useState(null);
+
+  const todayKey = toDateKey(new Date());
+  const days = getVisibleDays(anchorDate, view);
+
+  // Group tasks by due date
+  const tasksByDay = tasks.reduce((acc, task) => {
+    const key = getDueDateKey(task);
+    if (key) {
+      (acc[key] = acc[key] || []).push(task);
+    }
+    return acc;
+  }, {});
+  const undatedCount = tasks.filter(task => !task.due_date).length;
+
+  const shiftPeriod = (direction) => {
+    setExpandedDay(null);
+    setAnchorDate(prev => view === 'week'
+      ? addDays(prev, direction * 7)
+      : new Date(prev.getFullYear(), prev.getMonth() + direction, 1));
+  };
+
+  const title = view === 'week'
+    ? `${days[0].toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} – ${days[6].toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+    : anchorDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+
+  const handleDrop = (e, dateKey) => {
+    e.preventDefault();
+    const task = draggedTask;
+    setDraggedTask(null);
+    setDragOverKey(null);
+    if (task && getDueDateKey(task) !== dateKey) {
+      onReschedule?.(task, dateKey);
+    }
+  };
+
+  const navButtonClass = `p-1.5 rounded-lg transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-200 text-gray-600'}`;
+
+  return (
+    <div className={`rounded-xl border p-4 ${darkMode ? 'bg-dark-secondary/50 border-[#171717]/50' : 'bg-white border-gray-200 shadow-sm'}`}>
+      {/* Toolbar */}
+      <div className="flex items-center justify-between gap-3 flex-wrap mb-4">
+        <div className="flex items-center gap-2">
+          <button onClick={() => shiftPeriod(-1)} className={navButtonClass} title={`Previous ${view}`}>
+            <ChevronLeft size={18} />
+          </button>
+          <button onClick={() => shiftPeriod(1)} className={navButtonClass} title={`Next ${view}`}>
+            <ChevronRight size={18} />
+          </button>
+          <button
+            onClick={() => { setAnchorDate(new Date()); setExpandedDay(null); }}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${darkMode ? 'bg-[#171717] text-gray-300 hover:bg-gray-700' : 'bg-gray-200/50 text-gray-600 hover:bg-gray-200'}`}
+          >
+            Today
+          </button>
+          <h3 className={`ml-2 text-lg font-bold ${darkMode ? 'text-white' : 'text-black'}`}>{title}</h3>
+        </div>
+
+        <div className="flex items-center gap-3">
+          {undatedCount > 0 && (
+            <span className={`text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+              {undatedCount} without due date
+            </span>
+          )}
+          <div className={`flex items-center rounded-lg p-1 ${darkMode ? 'bg-[#171717]' : 'bg-gray-200/50'}`}>
+            {['month', 'week'].map(mode => (
+              <button
+                key={mode}
+                onClick={() => { setView(mode); setExpandedDay(null); }}
+                className={`px-3 py-1 rounded-md text-sm font-medium capitalize transition-all ${view === mode
+                  ? 'bg-[#006239] text-white shadow-md'
+                  : darkMode ? 'text-gray-300 hover:text-white' : 'text-gray-600 hover:text-black'
+                  }`}
+              >
+                {mode}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Weekday header */}
+      <div className="grid grid-cols-7 gap-1 mb-1">
+        {WEEKDAY_LABELS.map(label => (
+          <div key={label} className={`text-xs font-bold uppercase tracking-wider text-center py-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            {label}
+          </div>
+        ))}
+      </div>
+
+      {/* Day grid */}
+      <div className="grid grid-cols-7 gap-1">
+        {days.map(day => {
+          const dateKey = toDateKey(day);
+          const dayTasks = tasksByDay[dateKey] || [];
+          const isToday = dateKey === todayKey;
+          const isOutsideMonth = view === 'month' && day.getMonth() !== anchorDate.getMonth();
+          const isExpanded = view === 'week' || expandedDay === dateKey;
+          const visibleTasks = isExpanded ? dayTasks : dayTasks.slice(0, MAX_TASKS_PER_MONTH_CELL);
+          const hiddenCount = dayTasks.length - visibleTasks.length;
+
+          return (
+            <div
+              key={dateKey}
+              onDragOver={canEdit ? (e) => { e.preventDefault(); setDragOverKey(dateKey); } : undefined}
+              onDragLeave={canEdit ? (e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDragOverKey(null);
+              } : undefined}
+              onDrop={canEdit ? (e) => handleDrop(e, dateKey) : undefined}
+              className={`rounded-lg border p-1.5 flex flex-col gap-1 transition-colors ${view === 'week' ? 'min-h-[320px]' : 'min-h-[110px]'} ${dragOverKey === dateKey
+                ? darkMode ? 'border-blue-500/60 bg-blue-500/5' : 'border-blue-400 bg-blue-50/50'
+                : darkMode ? 'border-[#171717]/50' : 'border-gray-200'
+                } ${isOutsideMonth ? 'opacity-40' : ''}`}
+            >
+              <span className={`self-end text-xs font-semibold w-6 h-6 flex items-center justify-center rounded-full ${isToday
+                ? 'bg-[#006239] text-white'
+                : darkMode ? 'text-gray-300' : 'text-gray-600'
+                }`}>
+                {day.getDate()}
+              </span>
+
+              {visibleTasks.map(task => (
+                <CalendarTaskChip
+                  key={task.id}
+                  task={task}
+                  statuses={statuses}
+                  darkMode={darkMode}
+                  draggable={canEdit}
+                  isDragging={draggedTask?.id === task.id}
+                  onDragStart={canEdit ? (e) => {
+                    e.dataTransfer.effectAllowed = 'move';
+                    e.dataTransfer.setData('text/plain', String(task.id)); // Required for Firefox to start the drag
+                    setDraggedTask(task);
+                  } : undefined}
+                  onDragEnd={canEdit ? () => { setDraggedTask(null); setDragOverKey(null); } : undefined}
+                  onClick={onTaskClick}
+                />
+              ))}
+
+              {hiddenCount > 0 && (
+                <button
+                  onClick={() => setExpandedDay(dateKey)}
+                  className={`text-xs font-medium text-left px-1 ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}
+                >
+                  +{hiddenCount} more
+                </button>
+              )}
+              {view === 'month' && expandedDay === dateKey && dayTasks.length > MAX_TASKS_PER_MONTH_CELL && (
+                <button
+                  onClick={() => setExpandedDay(null)}
+                  className={`text-xs font-medium text-left px-1 ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}
+                >
+                  Show less
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TaskCalendar;
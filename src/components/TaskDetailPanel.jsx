@@ -0,0 +1,404 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { X, MessageSquare, History, Send, CornerDownRight, Loader2, Link2 } from 'lucide-react';
+import { getTaskComments, createTaskComment, getTaskActivity } from '../services/projectApi';
+import { getStatusMeta, DEFAULT_TASK_STATUSES } from '../utils/statuses';
+import { onTaskCommentCreated, onTaskActivity } from '../services/socketService';
+
+const MENTION_PATTERN = /@([\w.-]+)/g;
+
+/**
+ * UTILITY FUNCTIONS
+ */
+const formatRelativeTime = (dateString) => {
+  const diffSeconds = Math.floor((Date.now() - new Date(dateString)) / 1000);
+  if (diffSeconds < 60) return 'just now';
+  if (diffSeconds < 3600) return `${Math.floor(diffSeconds / 60)}m ago`;
+  if (diffSeconds < 86400) return `${Math.floor(diffSeconds / 3600)}h ago`;
+  if (diffSeconds < 7 * 86400) return `${Math.floor(diffSeconds / 86400)}d ago`;
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+const formatStatus = (status, statuses) => (status ? getStatusMeta(statuses, status).label : 'none');
+
+const formatDay = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+/**
+ * Human-readable sentence for an activity log entry
+ */
+const describeActivity = (entry, statuses) => {
+  switch (entry.action) {
+    case 'created':
+      return 'created this task';
+    case 'status_changed':
+      return `changed status from ${formatStatus(entry.old_value, statuses)} to ${formatStatus(entry.new_value, statuses)}`;
+    case 'assignees_changed':
+      return entry.new_value ? `reassigned to ${entry.new_value}` : 'removed all assignees';
+    case 'due_date_changed':
+      return entry.new_value ? `changed the due date to ${formatDay(entry.new_value)}` : 'removed the due date';
+    case 'priority_changed':
+      return `changed priority from ${entry.old_value} to ${entry.new_value}`;
+    default:
+      return 'updated this task';
+  }
+};
+
+/**
+ * Resolve @username tokens in a comment to project member ids
+ */
+const extractMentionIds = (content, members) => {
+  const usernames = new Set([...content.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase()));
+  return members.filter(m => usernames.has(m.username?.toLowerCase())).map(m => m.user_id);
+};
+
+const Avatar = ({ username, avatarUrl, darkMode }) => (
+  avatarUrl ? (
+    <img src={avatarUrl} alt={username} className="h-7 w-7 rounded-full object-cover flex-shrink-0" />
+  ) : (
+    <div className={`h-7 w-7 rounded-full flex items-center justify-center text-xs font-medium flex-shrink-0 ${darkMode ? 'bg-[#006239] text-white' : 'bg-gray-200 text-black'}`}>
+      {username ? username.charAt(0).toUpperCase() : '?'}
+    </div>
+  )
+);
+
+/**
+ * Comment body with @mentions highlighted (text is rendered by React, so it stays escaped)
+ */
+const CommentContent = ({ content, darkMode }) => (
+  <p className={`text-sm whitespace-pre-wrap break-words ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+    {content.split(/(@[\w.-]+)/g).map((part, i) => (
+      part.startsWith('@')
+        ? <span key={i} className="font-semibold text-blue-500">{part}</span>
+        : <React.Fragment key={i}>{part}</React.Fragment>
+    ))}
+  </p>
+);
+
+const CommentItem = ({ comment, darkMode, onReply }) => (
+  <div className="flex gap-2.5">
+    <Avatar username={comment.username} avatarUrl={comment.avatar_url} darkMode={darkMode} />
+    <div className="flex-1 min-w-0">
+      <div className="flex items-baseline gap-2">
+        <span className={`text-sm font-semibold ${darkMode ? 'text-white' : 'text-black'}`}>{comment.username}</span>
+        <span className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>{formatRelativeTime(comment.created_at)}</span>
+      </div>
+      <CommentContent content={comment.content} darkMode={darkMode} />
+      {onReply && (
+        <button
+          onClick={() => onReply(comment)}
+          className={`mt-1 text-xs font-medium ${darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black'}`}
+        >
+          Reply
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+/**
+ * Slide-over task detail panel: task details (passed as children), a threaded
+ * comment stream and the automatic activity log. New comments and activity in
+ * the project room are merged in live.
+ */
+export const TaskDetailPanel = ({ isOpen, task, projectId, projectMembers = [], statuses = DEFAULT_TASK_STATUSES, darkMode, onClose, children }) => {
+  const queryClient = useQueryClient();
+  const [activeTab, setActiveTab] = useState('comments');
+  const [draft, setDraft] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [isPosting, setIsPosting] = useState(false);
+  const textareaRef = useRef(null);
+
+  const taskId = task?.id;
+  const commentsKey = ['taskComments', taskId];
+  const activityKey = ['taskActivity', taskId];
+
+  const { data: commentsData, isLoading: commentsLoading } = useQuery({
+    queryKey: commentsKey,
+    queryFn: () => getTaskComments(projectId, taskId),
+    enabled: isOpen && !!taskId,
+  });
+
+  const { data: activityData, isLoading: activityLoading } = useQuery({
+    queryKey: activityKey,
+    queryFn: () => getTaskActivity(projectId, taskId),
+    enabled: isOpen && !!taskId,
+  });
+
+  const comments = commentsData?.data || [];
+  const activity = activityData?.data || [];
+
+  // Reset the composer when switching tasks
+  useEffect(() => {
+    setDraft('');
+    setReplyTo(null);
+    setMentionQuery(null);
+  }, [taskId]);
+
+  // Live updates from the project room
+  useEffect(() => {
+    if (!isOpen || !taskId) return;
+
+    const unsubComment = onTaskCommentCreated(({ taskId: eventTaskId, comment }) => {
+      if (eventTaskId !== taskId) return;
+      queryClient.setQueryData(['taskComments', taskId], (old) => {
+        const existing = old?.data || [];
+        if (existing.some(c => c.id === comment.id)) return old;
+        return { ...old, data: [...existing, comment] };
+      });
+    });
+
+    const unsubActivity = onTaskActivity(({ taskId: eventTaskId, activity: entry }) => {
+      if (eventTaskId !== taskId) return;
+      queryClient.setQueryData(['taskActivity', taskId], (old) => {
+        const existing = old?.data || [];
+        if (existing.some(a => a.id === entry.id)) return old;
+        return { ...old, data: [entry, ...existing] };
+      });
+    });
+
+    return () => {
+      unsubComment();
+      unsubActivity();
+    };
+  }, [isOpen, taskId, queryClient]);
+
+  // Close on Escape
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isOpen, onClose]);
+
+  if (!isOpen || !task) return null;
+
+  // Group replies under their root comment
+  const rootComments = comments.filter(c => !c.parent_id);
+  const repliesByParent = comments.reduce((acc, c) => {
+    if (c.parent_id) (acc[c.parent_id] = acc[c.parent_id] || []).push(c);
+    return acc;
+  }, {});
+
+  const mentionSuggestions = mentionQuery === null ? [] : projectMembers
+    .filter(m => m.username?.toLowerCase().startsWith(mentionQuery.toLowerCase()))
+    .slice(0, 5);
+
+  const handleDraftChange = (e) => {
+    const value = e.target.value;
+    setDraft(value);
+    // Show suggestions while the caret is right after an @token
+    const beforeCaret = value.slice(0, e.target.selectionStart);
+    const match = beforeCaret.match(/(?:^|\s)@([\w.-]*)$/);
+    setMentionQuery(match ? match[1] : null);
+  };
+
+  const insertMention = (member) => {
+    const textarea = textareaRef.current;
+    const caret = textarea?.selectionStart ?? draft.length;
+    const beforeCaret = draft.slice(0, caret).replace(/@([\w.-]*)$/, `@${member.username} `);
+    setDraft(beforeCaret + draft.slice(caret));
+    setMentionQuery(null);
+    textarea?.focus();
+  };
+
+  // The page URL is the task's deep link while the panel is open
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      toast.success('Link copied to clipboard');
+    } catch {
+      toast.error('Failed to copy link');
+    }
+  };
+
+  const handleSubmit = async () => {
+    const content = draft.trim();
+    if (!content || isPosting) return;
+
+    setIsPosting(true);
+    try {
+      const response = await createTaskComment(projectId, taskId, {
+        content,
+        parent_id: replyTo?.id || null,
+        mentions: extractMentionIds(content, projectMembers),
+      });
+      if (response.success) {
+        queryClient.setQueryData(commentsKey, (old) => {
+          const existing = old?.data || [];
+          if (existing.some(c => c.id === response.data.id)) return old;
+          return { ...old, data: [...existing, response.data] };
+        });
+        setDraft('');
+        setReplyTo(null);
+      } else {
+        toast.error(response.message || 'Failed to post comment');
+      }
+    } catch (err) {
+      console.error('Post comment error:', err);
+      toast.error(err.message || 'Failed to post comment');
+    } finally {
+      setIsPosting(false);
+    }
+  };
+
+  const tabClass = (tab) => `flex items-center gap-1.5 px-3 py-2 text-sm font-medium border-b-2 transition-colors ${activeTab === tab
+    ? 'border-[#006239] ' + (darkMode ? 'text-white' : 'text-black')
+    : 'border-transparent ' + (darkMode ? 'text-gray-400 hover:text-gray-300' : 'text-gray-500 hover:text-black')
+    }`;
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/40 backdrop-blur-sm" onClick={onClose}>
+      <aside
+        onClick={(e) => e.stopPropagation()}
+        className={`w-full max-w-xl h-full flex flex-col shadow-2xl border-l ${darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200'}`}
+      >
+        {/* Header */}
+        <div className={`flex items-start justify-between gap-3 p-5 border-b ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}>
+          <h2 className={`text-xl font-bold break-words ${darkMode ? 'text-white' : 'text-black'}`}>{task.title}</h2>
+          <div className="flex items-center gap-1 flex-shrink-0">
+            <button
+              onClick={handleCopyLink}
+              className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-100 text-gray-700'}`}
+              title="Copy link to this task"
+            >
+              <Link2 size={18} />
+            </button>
+            <button
+              onClick={onClose}
+              className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-100 text-gray-700'}`}
+            >
+              <X size={18} />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {/* Task details supplied by the page */}
+          {children && <div className="p-5 space-y-4">{children}</div>}
+
+          {/* Tabs */}
+          <div className={`flex gap-2 px-5 border-b ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}>
+            <button onClick={() => setActiveTab('comments')} className={tabClass('comments')}>
+              <MessageSquare size={14} />
+              Comments ({comments.length})
+            </button>
+            <button onClick={() => setActiveTab('activity')} className={tabClass('activity')}>
+              <History size={14} />
+              Activity
+            </button>
+          </div>
+
+          <div className="p-5">
+            {activeTab === 'comments' ? (
+              commentsLoading ? (
+                <Loader2 className="mx-auto animate-spin text-gray-400" size={20} />
+              ) : rootComments.length === 0 ? (
+                <p className={`text-sm text-center py-6 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                  No comments yet. Start the discussion below.
+                </p>
+              ) : (
+                <div className="space-y-5">
+                  {rootComments.map(comment => (
+                    <div key={comment.id} className="space-y-3">
+                      <CommentItem
+                        comment={comment}
+                        darkMode={darkMode}
+                        onReply={(c) => { setReplyTo(c); textareaRef.current?.focus(); }}
+                      />
+                      {(repliesByParent[comment.id] || []).map(reply => (
+                        <div key={reply.id} className={`ml-9 pl-3 border-l-2 ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}>
+                          <CommentItem comment={reply} darkMode={darkMode} />
+                        </div>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )
+            ) : (
+              activityLoading ? (
+                <Loader2 className="mx-auto animate-spin text-gray-400" size={20} />
+              ) : activity.length === 0 ? (
+                <p className={`text-sm text-center py-6 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>No activity recorded yet</p>
+              ) : (
+                <ol className="space-y-3">
+                  {activity.map(entry => (
+                    <li key={entry.id} className="flex items-start gap-2.5">
+                      <Avatar username={entry.username} avatarUrl={entry.avatar_url} darkMode={darkMode} />
+                      <div className="flex-1 min-w-0 text-sm">
+                        <span className={`font-semibold ${darkMode ? 'text-white' : 'text-black'}`}>{entry.username}</span>{' '}
+                        <span className={darkMode ? 'text-gray-300' : 'text-gray-600'}>{describeActivity(entry, statuses)}</span>
+                        <div className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>{formatRelativeTime(entry.created_at)}</div>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )
+            )}
+          </div>
+        </div>
+
+        {/* Composer */}
+        {activeTab === 'comments' && (
+          <div className={`relative p-4 border-t ${darkMode ? 'border-[#171717]' : 'border-gray-200'}`}>
+            {replyTo && (
+              <div className={`flex items-center justify-between mb-2 text-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                <span className="flex items-center gap-1">
+                  <CornerDownRight size={12} />
+                  Replying to <span className="font-semibold">{replyTo.username}</span>
+                </span>
+                <button onClick={() => setReplyTo(null)} className="hover:underline">Cancel</button>
+              </div>
+            )}
+
+            {mentionSuggestions.length > 0 && (
+              <div className={`absolute bottom-full left-4 mb-1 w-56 rounded-lg shadow-xl border overflow-hidden z-10 ${darkMode ? 'bg-dark-secondary border-[#171717]' : 'bg-white border-gray-200'}`}>
+                {mentionSuggestions.map(member => (
+                  <button
+                    key={member.user_id}
+                    onMouseDown={(e) => { e.preventDefault(); insertMention(member); }}
+                    className={`w-full flex items-center gap-2 px-3 py-2 text-sm text-left ${darkMode ? 'hover:bg-[#171717] text-gray-300' : 'hover:bg-gray-50 text-black'}`}
+                  >
+                    <Avatar username={member.username} avatarUrl={member.avatar_url} darkMode={darkMode} />
+                    {member.username}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div className="flex items-end gap-2">
+              <textarea
+                ref={textareaRef}
+                rows={2}
+                maxLength={2000}
+                value={draft}
+                onChange={handleDraftChange}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+                    e.preventDefault();
+                    handleSubmit();
+                  }
+                }}
+                placeholder="Write a comment... Use @ to mention someone"
+                className={`flex-1 rounded-lg px-3 py-2 text-sm resize-none focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 placeholder:text-gray-500' : 'bg-gray-100 text-black placeholder:text-gray-400'}`}
+              />
+              <button
+                onClick={handleSubmit}
+                disabled={isPosting || !draft.trim()}
+                className="p-2.5 rounded-lg bg-[#006239] hover:bg-[#005230] text-white disabled:opacity-50 disabled:cursor-not-allowed"
+                title="Post comment (Ctrl+Enter)"
+              >
+                {isPosting ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />}
+              </button>
+            </div>
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default TaskDetailPanel;
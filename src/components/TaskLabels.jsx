@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Plus, Check } from 'lucide-react';
+
+// Colors offered when creating a label or workflow status (stored as hex)
+const LABEL_COLORS = ['#ef4444', '#f97316', '#eab308', '#22c55e', '#14b8a6', '#3b82f6', '#8b5cf6', '#ec4899', '#64748b'];
+
+/**
+ * Colored label chip. Label colors are arbitrary hex values, so the tints are
+ * inline styles rather than Tailwind classes.
+ */
+export const LabelChip = ({ label, selected = true, onClick }) => {
+  const Component = onClick ? 'button' : 'span';
+
+  return (
+    <Component
+      type={onClick ? 'button' : undefined}
+      onClick={onClick}
+      className={`inline-flex items-center gap-1 text-xs font-semibold px-2 py-0.5 rounded-full border transition-opacity ${onClick ? 'cursor-pointer' : ''} ${selected ? '' : 'opacity-40 hover:opacity-70'}`}
+      style={{ color: label.color, backgroundColor: `${label.color}1A`, borderColor: `${label.color}4D` }}
+    >
+      {onClick && selected && <Check size={10} />}
+      {label.name}
+    </Component>
+  );
+};
+
+/**
+ * Row of color swatches for picking a label (or status) color
+ */
+export const ColorSwatches = ({ value, onChange, darkMode }) => (
+  <div className="flex items-center gap-1">
+    {LABEL_COLORS.map(color => (
+      <button
+        key={color}
+        type="button"
+        onClick={() => onChange(color)}
+        className={`h-4 w-4 rounded-full transition-transform ${value === color ? 'ring-2 ring-offset-1 scale-110' : ''} ${darkMode ? 'ring-offset-[#1F1F1F] ring-gray-300' : 'ring-gray-500'}`}
+        style={{ backgroundColor: color }}
+        title={color}
+      />
+    ))}
+  </div>
+);
+
+/**
+ * Toggle project labels on a task and create new ones inline.
+ * onCreateLabel({name, color}) should resolve to the created label (or null).
+ */
+export const LabelPicker = ({ labels = [], selectedIds = [], onChange, onCreateLabel, darkMode }) => {
+  const [newName, setNewName] = useState('');
+  const [newColor, setNewColor] = useState(LABEL_COLORS[5]);
+  const [isCreating, setIsCreating] = useState(false);
+
+  const toggle = (labelId) => {
+    onChange(selectedIds.includes(labelId)
+      ? selectedIds.filter(id => id !== labelId)
+      : [...selectedIds, labelId]);
+  };
+
+  const handleCreate = async () => {
+    const name = newName.trim();
+    if (!name || !onCreateLabel) return;
+
+    // Reuse an existing label with the same name instead of duplicating it
+    const existing = labels.find(l => l.name.toLowerCase() === name.toLowerCase());
+    if (existing) {
+      if (!selectedIds.includes(existing.id)) onChange([...selectedIds, existing.id]);
+      setNewName('');
+      return;
+    }
+
+    setIsCreating(true);
+    try {
+      const created = await onCreateLabel({ name, color: newColor });
+      if (created) {
+        onChange([...selectedIds, created.id]);
+        setNewName('');
+      }
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-1.5">
+        {labels.map(label => (
+          <LabelChip
+            key={label.id}
+            label={label}
+            selected={selectedIds.includes(label.id)}
+            onClick={() => toggle(label.id)}
+          />
+        ))}
+        {labels.length === 0 && (
+          <p className={`text-xs ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>No labels in this project yet</p>
+        )}
+      </div>
+
+      {onCreateLabel && (
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={newName}
+            maxLength={50}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                e.preventDefault();
+                handleCreate();
+              }
+            }}
+            placeholder="New label..."
+            className={`flex-1 min-w-0 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 placeholder:text-gray-500' : 'bg-gray-100 text-black placeholder:text-gray-400'}`}
+          />
+          <ColorSwatches value={newColor} onChange={setNewColor} darkMode={darkMode} />
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={isCreating || !newName.trim()}
+            className="p-1.5 rounded-md bg-[#006239] hover:bg-[#005230] text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Create label"
+          >
+            <Plus size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LabelChip;
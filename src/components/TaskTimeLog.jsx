@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { Timer, Plus, Trash2, Loader2 } from 'lucide-react';
+import { getTaskTimeEntries, createTimeEntry, deleteTimeEntry } from '../services/projectApi';
+import { formatMinutes, parseDuration } from '../utils/duration';
+import { useAuth } from '../hooks/useAuth';
+
+const todayKey = () => {
+  const day = new Date();
+  return `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Tracked vs. estimated bar. Turns red once tracked time passes the estimate.
+ */
+export const TimeProgress = ({ tracked = 0, estimate = 0, darkMode }) => {
+  const percent = estimate > 0 ? Math.min(100, Math.round((tracked / estimate) * 100)) : 0;
+  const isOver = estimate > 0 && tracked > estimate;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center justify-between text-xs">
+        <span className={`font-semibold ${isOver ? 'text-red-500' : darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          {formatMinutes(tracked)} tracked
+        </span>
+        <span className={darkMode ? 'text-gray-500' : 'text-gray-400'}>
+          {estimate > 0 ? `of ${formatMinutes(estimate)} estimated` : 'No estimate'}
+        </span>
+      </div>
+      {estimate > 0 && (
+        <div className={`h-1.5 rounded-full overflow-hidden ${darkMode ? 'bg-[#171717]' : 'bg-gray-200'}`}>
+          <div className={`h-full rounded-full ${isOver ? 'bg-red-500' : 'bg-[#006239]'}`} style={{ width: `${percent}%` }} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Time entries of a task with a form for logging time manually.
+ * onLogged(deltaMinutes) lets the page keep the task's tracked_minutes in step.
+ */
+export const TaskTimeLog = ({ projectId, task, canEdit, onLogged, darkMode }) => {
+  const queryClient = useQueryClient();
+  const { user } = useAuth();
+  const [duration, setDuration] = useState('');
+  const [spentOn, setSpentOn] = useState(todayKey);
+  const [note, setNote] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const queryKey = ['taskTimeEntries', task.id];
+
+  const { data: entries = [], isLoading } = useQuery({
+    queryKey,
+    queryFn: async () => (await getTaskTimeEntries(projectId, task.id)).data || [],
+  });
+
+  // Timer stops elsewhere on the page change tracked_minutes; pick up the new entry
+  const previousTracked = useRef(task.tracked_minutes);
+  useEffect(() => {
+    if (previousTracked.current === task.tracked_minutes) return;
+    previousTracked.current = task.tracked_minutes;
+    queryClient.invalidateQueries({ queryKey: ['taskTimeEntries', task.id] });
+  }, [queryClient, task.id, task.tracked_minutes]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const minutes = parseDuration(duration);
+    if (!minutes) {
+      toast.error('Enter a duration like 1h 30m, 1.5h or 45m');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await createTimeEntry(projectId, task.id, { minutes, spent_on: spentOn, note: note.trim() || undefined });
+      if (response.success) {
+        queryClient.setQueryData(queryKey, (prev = []) => [response.data, ...prev]);
+        onLogged?.(minutes);
+        setDuration('');
+        setNote('');
+      } else {
+        toast.error(response.message || 'Failed to log time');
+      }
+    } catch (err) {
+      console.error('Log time error:', err);
+      toast.error('Failed to log time');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    try {
+      const response = await deleteTimeEntry(projectId, task.id, entry.id);
+      if (response.success) {
+        queryClient.setQueryData(queryKey, (prev = []) => prev.filter(e => e.id !== entry.id));
+        onLogged?.(-entry.minutes);
+      } else {
+        toast.error(response.message || 'Failed to delete time entry');
+      }
+    } catch (err) {
+      console.error('Delete time entry error:', err);
+      toast.error('Failed to delete time entry');
+    }
+  };
+
+  const inputClass = `rounded-md px-2 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300 placeholder:text-gray-500' : 'bg-gray-100 text-black placeholder:text-gray-400'}`;
+
+  return (
+    <div className="space-y-3">
+      <p className={`flex items-center gap-1.5 text-xs font-bold uppercase tracking-wider ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        <Timer size={12} />
+        Time
+      </p>
+
+      <TimeProgress tracked={task.tracked_minutes} estimate={task.estimate_minutes} darkMode={darkMode} />
+
+      {canEdit && (
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={duration}
+            onChange={(e) => setDuration(e.target.value)}
+            placeholder="1h 30m"
+            className={`${inputClass} w-24`}
+          />
+          <input
+            type="date"
+            value={spentOn}
+            max={todayKey()}
+            onChange={(e) => setSpentOn(e.target.value)}
+            className={inputClass}
+          />
+          <input
+            type="text"
+            value={note}
+            maxLength={255}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note (optional)"
+            className={`${inputClass} flex-1 min-w-[120px]`}
+          />
+          <button
+            type="submit"
+            disabled={isSubmitting || !duration.trim()}
+            className="flex items-center gap-1 px-3 py-1.5 rounded-md bg-[#006239] hover:bg-[#005230] text-white text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? <Loader2 size={14} className="animate-spin" /> : <Plus size={14} />}
+            Log
+          </button>
+        </form>
+      )}
+
+      {isLoading ? (
+        <Loader2 size={16} className={`animate-spin ${darkMode ? 'text-gray-500' : 'text-gray-400'}`} />
+      ) : entries.length > 0 && (
+        <ul className="space-y-1">
+          {entries.map(entry => (
+            <li key={entry.id} className={`group flex items-center gap-2 text-sm ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              <span className="font-semibold w-16 flex-shrink-0">{formatMinutes(entry.minutes)}</span>
+              <span className="truncate flex-1">
+                {entry.username}
+                {entry.note && <span className={darkMode ? 'text-gray-500' : 'text-gray-400'}> · {entry.note}</span>}
+              </span>
+              <span className={`text-xs flex-shrink-0 ${darkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                {new Date(`${entry.spent_on.split('T')[0]}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+              </span>
+              {entry.user_id === user?.id && (
+                <button
+                  type="button"
+                  onClick={() => handleDelete(entry)}
+                  className="opacity-0 group-hover:opacity-100 p-1 rounded text-red-500 hover:bg-red-500/10 transition-opacity"
+                  title="Delete entry"
+                >
+                  <Trash2 size={12} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TaskTimeLog;
@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { Users, AlertTriangle } from 'lucide-react';
+import { getStatusCategory } from '../utils/statuses';
+
+const WEEKS_SHOWN = 6;
+
+// Load points per open task; a week above the capacity is flagged as overallocated
+const PRIORITY_WEIGHTS = { low: 1, medium: 2, high: 3, urgent: 5 };
+
+const PRIORITY_DOT_COLORS = {
+  low: 'bg-slate-400',
+  medium: 'bg-blue-500',
+  high: 'bg-orange-500',
+  urgent: 'bg-red-500',
+};
+
+const getTaskWeight = (task) => PRIORITY_WEIGHTS[task.priority] ?? PRIORITY_WEIGHTS.medium;
+
+// Monday of the week a date falls in, at local midnight
+const getWeekStart = (date) => {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  result.setDate(result.getDate() - ((result.getDay() + 6) % 7));
+  return result;
+};
+
+/**
+ * Due dates are stored as the ISO string of the picked day; read the date part as a local day
+ */
+const parseDueDay = (value) => {
+  const [year, month, day] = new Date(value).toISOString().split('T')[0].split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const formatWeek = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * Column key of a task: 'overdue', the index of one of the shown weeks, 'later' or 'none'
+ */
+const getColumnKey = (task, weekStarts) => {
+  if (!task.due_date) return 'none';
+  const dueWeek = getWeekStart(parseDueDay(task.due_date)).getTime();
+  if (dueWeek < weekStarts[0].getTime()) return 'overdue';
+  const index = weekStarts.findIndex(week => week.getTime() === dueWeek);
+  return index === -1 ? 'later' : String(index);
+};
+
+/**
+ * One row per team member (plus Unassigned) with their open tasks across all
+ * projects, bucketed by week of due date. Multi-assignee tasks appear in every
+ * assignee's row.
+ */
+const buildWorkloadRows = (members, projects, tasksByProject, weekStarts) => {
+  const rows = [...members, { user_id: null, username: 'Unassigned' }].map(member => ({ member, columns: {} }));
+  const rowsByUser = new Map(rows.map(row => [row.member.user_id, row]));
+
+  projects.forEach(project => {
+    (tasksByProject[project.id] || []).forEach(task => {
+      if (getStatusCategory(task) === 'done') return;
+      const assigneeIds = (task.assignees || []).filter(a => a.user_id).map(a => a.user_id);
+      const column = getColumnKey(task, weekStarts);
+      (assigneeIds.length > 0 ? assigneeIds : [null]).forEach(userId => {
+        const row = rowsByUser.get(userId);
+        if (!row) return;
+        if (!row.columns[column]) row.columns[column] = { items: [], load: 0 };
+        row.columns[column].items.push({ task, project });
+        row.columns[column].load += getTaskWeight(task);
+      });
+    });
+  });
+
+  return rows;
+};
+
+const MemberAvatar = ({ member, darkMode }) => (
+  member.avatar_url ? (
+    <img src={member.avatar_url} alt={member.username} className="h-8 w-8 rounded-full object-cover flex-shrink-0" />
+  ) : (
+    <div className={`h-8 w-8 rounded-full flex items-center justify-center text-xs font-medium flex-shrink-0 ${member.user_id ? darkMode ? 'bg-[#006239] text-white' : 'bg-gray-200 text-black' : darkMode ? 'bg-[#171717] text-gray-400' : 'bg-gray-100 text-gray-400'}`}>
+      {member.user_id ? member.username?.substring(0, 2).toUpperCase() : <Users size={14} />}
+    </div>
+  )
+);
+
+/**
+ * Team workload: who has which open tasks due in which week, weighted by
+ * priority. Weeks above the capacity are highlighted. With canEdit, dragging a
+ * task onto another person's row calls onReassign(task, project, fromUserId, toUserId).
+ */
+export const TeamWorkload = ({ members, projects, tasksByProject, isLoading, capacity, onCapacityChange, canEdit, onReassign, onTaskClick, darkMode }) => {
+  const [dragging, setDragging] = useState(null); // { task, project, fromUserId }
+  const [dropTarget, setDropTarget] = useState(undefined);
+
+  const thisWeek = getWeekStart(new Date());
+  const weekStarts = Array.from({ length: WEEKS_SHOWN }, (_, i) => {
+    const week = new Date(thisWeek);
+    week.setDate(week.getDate() + i * 7);
+    return week;
+  });
+  const columns = [
+    { key: 'overdue', label: 'Overdue' },
+    ...weekStarts.map((week, i) => ({ key: String(i), label: i === 0 ? 'This week' : `Week of ${formatWeek(week)}`, isWeek: true })),
+    { key: 'later', label: 'Later' },
+    { key: 'none', label: 'No due date' },
+  ];
+
+  const rows = buildWorkloadRows(members, projects, tasksByProject, weekStarts);
+
+  const handleDrop = (toUserId) => {
+    if (dragging && dragging.fromUserId !== toUserId) {
+      onReassign(dragging.task, dragging.project, dragging.fromUserId, toUserId);
+    }
+    setDragging(null);
+    setDropTarget(undefined);
+  };
+
+  const cardBg = darkMode ? 'bg-dark-secondary/50 border-[#171717]/50' : 'bg-white border-gray-200 shadow-sm';
+  const mutedClass = darkMode ? 'text-gray-400' : 'text-gray-500';
+  const cellBorder = darkMode ? 'border-[#171717]' : 'border-gray-100';
+
+  if (isLoading) {
+    return (
+      <div className={`${cardBg} border rounded-xl p-8 text-center`}>
+        <div className={`inline-block animate-spin rounded-full h-6 w-6 border-b-2 ${darkMode ? 'border-gray-400' : 'border-gray-400'}`}></div>
+        <p className={`mt-3 text-sm ${mutedClass}`}>Loading tasks...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`${cardBg} border rounded-xl overflow-hidden`}>
+      <div className={`flex flex-wrap items-center justify-between gap-3 px-4 py-3 border-b ${cellBorder}`}>
+        <p className={`text-xs ${mutedClass}`}>
+          Open tasks by due week, weighted by priority (low 1, medium 2, high 3, urgent 5).
+          {canEdit && ' Drag a task onto someone else to reassign it.'}
+        </p>
+        <label className={`flex items-center gap-2 text-xs font-medium ${mutedClass}`}>
+          Weekly capacity
+          <input
+            type="number"
+            min={1}
+            max={100}
+            value={capacity}
+            onChange={(e) => onCapacityChange(Math.max(1, Number(e.target.value) || 1))}
+            className={`w-16 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 ${darkMode ? 'bg-[#171717] text-gray-300' : 'bg-gray-100 text-black'}`}
+          />
+          points
+        </label>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr>
+              <th className={`sticky left-0 z-10 px-4 py-2 text-left text-xs font-bold uppercase tracking-wider min-w-[180px] ${mutedClass} ${darkMode ? 'bg-dark-secondary' : 'bg-white'}`}>Member</th>
+              {columns.map(column => (
+                <th key={column.key} className={`px-2 py-2 text-left text-xs font-bold uppercase tracking-wider min-w-[150px] ${column.key === 'overdue' ? 'text-red-500' : mutedClass}`}>
+                  {column.label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ member, columns: memberColumns }) => {
+              const isDropTarget = dragging && dropTarget === member.user_id && dragging.fromUserId !== member.user_id;
+              const overloadedWeeks = weekStarts.filter((_, i) => (memberColumns[String(i)]?.load || 0) > capacity).length;
+
+              return (
+                <tr
+                  key={member.user_id ?? 'unassigned'}
+                  onDragOver={canEdit ? (e) => { e.preventDefault(); setDropTarget(member.user_id); } : undefined}
+                  onDrop={canEdit ? (e) => { e.preventDefault(); handleDrop(member.user_id); } : undefined}
+                  className={`border-t ${cellBorder} ${isDropTarget ? 'bg-blue-500/10' : ''}`}
+                >
+                  <td className={`sticky left-0 z-10 px-4 py-3 align-top ${isDropTarget ? '' : darkMode ? 'bg-dark-secondary' : 'bg-white'}`}>
+                    <div className="flex items-center gap-2">
+                      <MemberAvatar member={member} darkMode={darkMode} />
+                      <div className="min-w-0">
+                        <p className={`font-semibold truncate ${darkMode ? 'text-white' : 'text-black'}`}>{member.username}</p>
+                        {overloadedWeeks > 0 && (
+                          <p className="flex items-center gap-1 text-xs font-medium text-red-500">
+                            <AlertTriangle size={12} />
+                            Over capacity {overloadedWeeks} week{overloadedWeeks === 1 ? '' : 's'}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  </td>
+                  {columns.map(column => {
+                    const cell = memberColumns[column.key];
+                    const isOverloaded = column.isWeek && cell && cell.load > capacity;
+                    return (
+                      <td
+                        key={column.key}
+                        className={`px-2 py-2 align-top ${isOverloaded ? darkMode ? 'bg-red-500/10' : 'bg-red-50' : ''}`}
+                      >
+                        {cell && (
+                          <>
+                            {column.isWeek && (
+                              <p className={`text-xs font-semibold mb-1 ${isOverloaded ? 'text-red-500' : mutedClass}`}>
+                                {cell.load}/{capacity} pts
+                              </p>
+                            )}
+                            <div className="space-y-1">
+                              {cell.items.map(({ task, project }) => (
+                                <button
+                                  key={`${project.id}-${task.id}`}
+                                  draggable={canEdit}
+                                  onDragStart={(e) => {
+                                    e.dataTransfer.effectAllowed = 'move';
+                                    setDragging({ task, project, fromUserId: member.user_id });
+                                  }}
+                                  onDragEnd={() => { setDragging(null); setDropTarget(undefined); }}
+                                  onClick={() => onTaskClick(task, project)}
+                                  title={`${task.title} · ${project.name}`}
+                                  className={`w-full text-left rounded-md px-2 py-1.5 text-xs transition-colors ${canEdit ? 'cursor-grab active:cursor-grabbing' : ''} ${darkMode ? 'bg-[#171717] hover:bg-gray-700 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-800'}`}
+                                >
+                                  <span className="flex items-center gap-1.5">
+                                    <span className={`h-2 w-2 rounded-full flex-shrink-0 ${PRIORITY_DOT_COLORS[task.priority] || PRIORITY_DOT_COLORS.medium}`} />
+                                    <span className="truncate font-medium">{task.title}</span>
+                                  </span>
+                                  <span className={`block truncate ${mutedClass}`}>{project.name}</span>
+                                </button>
+                              ))}
+                            </div>
+                          </>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TeamWorkload;
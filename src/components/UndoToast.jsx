@@ -0,0 +1,28 @@
+import React from 'react';
+import toast from 'react-hot-toast';
+import { RotateCcw } from 'lucide-react';
+
+// How long the Undo button stays available after a delete
+export const UNDO_TOAST_DURATION = 8000;
+
+/**
+ * Toast body with an Undo button, rendered through toast((t) => <UndoToast t={t} ... />).
+ * Clicking Undo dismisses the toast before running onUndo.
+ */
+export const UndoToast = ({ t, message, onUndo }) => (
+  <div className="flex items-center gap-3">
+    <span className="text-sm">{message}</span>
+    <button
+      onClick={() => {
+        toast.dismiss(t.id);
+        onUndo();
+      }}
+      className="flex items-center gap-1 px-2 py-1 rounded-md text-sm font-semibold text-[#4ade80] hover:bg-white/10 transition-colors"
+    >
+      <RotateCcw size={14} />
+      Undo
+    </button>
+  </div>
+);
+
+export default UndoToast;
@@ -0,0 +1,126 @@
+import { useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { getPins, pinItem, unpinItem, importPins } from '../services/projectApi';
+
+const PINS_QUERY_KEY = ['pins'];
+const EMPTY_PINS = { tasks: [], projects: [] };
+
+// Id field and list of each pin type in the pins payload
+const PIN_TYPES = {
+  task: { idField: 'task_id', list: 'tasks' },
+  project: { idField: 'project_id', list: 'projects' },
+};
+
+// localStorage keys pins used to live under, per pin type
+const LEGACY_PIN_KEYS = [
+  { pattern: /^project_\d+_pinned_tasks$/, field: 'task_ids' },
+  { pattern: /^team_\d+_pinned_projects$/, field: 'project_ids' },
+];
+
+const readLegacyPins = (key) => {
+  try {
+    const ids = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(ids) ? ids : [];
+  } catch {
+    return [];
+  }
+};
+
+// Collect the ids under every legacy key, across all teams and projects
+const collectLegacyPins = () => {
+  const keys = [];
+  const pins = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const legacy = LEGACY_PIN_KEYS.find(({ pattern }) => pattern.test(key));
+    if (!legacy) continue;
+    keys.push(key);
+    pins[legacy.field] = [...(pins[legacy.field] || []), ...readLegacyPins(key)];
+  }
+  return { keys, pins };
+};
+
+// Every mounted usePins would otherwise start its own import
+let migrationStarted = false;
+
+/**
+ * Custom hook for the current user's pinned tasks and projects.
+ * Pins live on the server so they follow the user between devices; toggling
+ * updates the shared ['pins'] query right away and rolls back on failure.
+ *
+ * Pins that used to live in localStorage (per project and per team) are imported
+ * in one go the first time the hook mounts - the sidebar does so on app load -
+ * and their localStorage entries are removed.
+ *
+ * @returns {{
+ *   pins: {tasks: Array, projects: Array},
+ *   pinnedTaskIds: number[],
+ *   pinnedProjectIds: number[],
+ *   isLoading: boolean,
+ *   togglePin: (type: 'task'|'project', pin: Object) => void
+ * }}
+ */
+export function usePins() {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery({
+    queryKey: PINS_QUERY_KEY,
+    queryFn: async () => (await getPins()).data || EMPTY_PINS,
+  });
+  const pins = data || EMPTY_PINS;
+
+  // One-time migration of localStorage pins
+  useEffect(() => {
+    if (migrationStarted) return;
+    migrationStarted = true;
+    const { keys, pins: legacyPins } = collectLegacyPins();
+    if (keys.length === 0) return;
+
+    importPins(legacyPins)
+      .then(response => {
+        if (!response.success) return;
+        keys.forEach(key => localStorage.removeItem(key));
+        queryClient.setQueryData(PINS_QUERY_KEY, response.data);
+      })
+      .catch(err => console.error('Failed to migrate pins:', err));
+  }, [queryClient]);
+
+  const toggleMutation = useMutation({
+    mutationFn: ({ type, pin, isPinned }) => {
+      const id = pin[PIN_TYPES[type].idField];
+      return isPinned ? unpinItem(type, id) : pinItem(type, id);
+    },
+    onMutate: async ({ type, pin, isPinned }) => {
+      await queryClient.cancelQueries({ queryKey: PINS_QUERY_KEY });
+      const previous = queryClient.getQueryData(PINS_QUERY_KEY);
+      const { idField, list } = PIN_TYPES[type];
+      queryClient.setQueryData(PINS_QUERY_KEY, (old = EMPTY_PINS) => ({
+        ...old,
+        [list]: isPinned ? old[list].filter(p => p[idField] !== pin[idField]) : [...old[list], pin],
+      }));
+      return { previous };
+    },
+    onError: (error, _, context) => {
+      queryClient.setQueryData(PINS_QUERY_KEY, context?.previous);
+      toast.error(error.message || 'Failed to update pins');
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: PINS_QUERY_KEY });
+    },
+  });
+
+  const togglePin = (type, pin) => {
+    const { idField, list } = PIN_TYPES[type];
+    const isPinned = pins[list].some(p => p[idField] === pin[idField]);
+    toggleMutation.mutate({ type, pin, isPinned });
+  };
+
+  return {
+    pins,
+    pinnedTaskIds: pins.tasks.map(p => p.task_id),
+    pinnedProjectIds: pins.projects.map(p => p.project_id),
+    isLoading,
+    togglePin,
+  };
+}
@@ -0,0 +1,42 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const readStoredValue = (key, fallback) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved !== null ? JSON.parse(saved) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Custom hook for state persisted to localStorage under a key.
+ * Pages stay mounted when the route moves to another team or project, so a new
+ * key loads that key's value instead of carrying over (and saving) the old one.
+ *
+ * @param {string} key - localStorage key
+ * @param {any} fallback - Value when nothing valid is stored
+ * @returns {[any, Function]} Value and setter (accepts a value or an updater)
+ */
+export function useStoredState(key, fallback) {
+  const [state, setState] = useState(() => ({ key, value: readStoredValue(key, fallback) }));
+
+  const isCurrentKey = state.key === key;
+  if (!isCurrentKey) {
+    setState({ key, value: readStoredValue(key, fallback) });
+  }
+
+  // The state carries its own key, so a value is never written under another key
+  useEffect(() => {
+    localStorage.setItem(state.key, JSON.stringify(state.value));
+  }, [state]);
+
+  const setValue = useCallback((updater) => {
+    setState(prev => ({
+      key: prev.key,
+      value: typeof updater === 'function' ? updater(prev.value) : updater,
+    }));
+  }, []);
+
+  return [isCurrentKey ? state.value : readStoredValue(key, fallback), setValue];
+}
@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react';
+
+const STORAGE_KEY = 'active_task_timer';
+const CHANGE_EVENT = 'task-timer-change';
+
+const readTimer = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+// Persist and notify every mounted useTaskTimer in this tab (other tabs get a storage event)
+const writeTimer = (timer) => {
+  if (timer) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(timer));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+/**
+ * Custom hook for the user's running task timer.
+ * Only one timer runs at a time; it lives in localStorage so it survives reloads
+ * and stays in sync between pages and tabs.
+ *
+ * @returns {{
+ *   activeTimer: {taskId: number, projectId: number, taskTitle: string, startedAt: string} | null,
+ *   elapsedSeconds: number,
+ *   startTimer: (task: Object, projectId: number) => void,
+ *   stopTimer: () => ({taskId, projectId, minutes, started_at, spent_on} | null)
+ * }}
+ */
+export function useTaskTimer() {
+  const [activeTimer, setActiveTimer] = useState(readTimer);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const sync = () => setActiveTimer(readTimer());
+    const handleStorage = (e) => {
+      if (e.key === STORAGE_KEY) sync();
+    };
+
+    window.addEventListener(CHANGE_EVENT, sync);
+    window.addEventListener('storage', handleStorage);
+    return () => {
+      window.removeEventListener(CHANGE_EVENT, sync);
+      window.removeEventListener('storage', handleStorage);
+    };
+  }, []);
+
+  // Tick once a second while a timer is running
+  useEffect(() => {
+    if (!activeTimer) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [activeTimer]);
+
+  const startTimer = useCallback((task, projectId) => {
+    writeTimer({ taskId: task.id, projectId, taskTitle: task.title, startedAt: new Date().toISOString() });
+  }, []);
+
+  // Clears the timer and returns the entry to log (at least one minute)
+  const stopTimer = useCallback(() => {
+    const timer = readTimer();
+    writeTimer(null);
+    if (!timer) return null;
+
+    const startedAt = new Date(timer.startedAt);
+    const minutes = Math.max(1, Math.round((Date.now() - startedAt.getTime()) / 60000));
+    const day = new Date();
+    return {
+      taskId: timer.taskId,
+      projectId: timer.projectId,
+      minutes,
+      started_at: timer.startedAt,
+      spent_on: `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`,
+    };
+  }, []);
+
+  const elapsedSeconds = activeTimer
+    ? Math.max(0, Math.floor((now - new Date(activeTimer.startedAt).getTime()) / 1000))
+    : 0;
+
+  return { activeTimer, elapsedSeconds, startTimer, stopTimer };
+}
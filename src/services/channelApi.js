@@ -272,3 +272,25 @@ export const withdrawMessage = async (teamId, channelId, messageId) => {
   const data = await response.json();
   return data;
 };
+
+/**
+ * Restore a withdrawn message (sender only, shortly after withdrawing)
+ * @param {number} teamId 
+ * @param {number} channelId 
+ * @param {number} messageId 
+ * @returns {Promise<Object>} Restored message
+ */
+export const restoreMessage = async (teamId, channelId, messageId) => {
+  const response = await fetch(`${API_BASE}/teams/${teamId}/channels/${channelId}/messages/${messageId}/restore`, {
+    method: 'POST',
+    credentials: 'include',
+  });
+
+  if (!response.ok) {
+    const error = await response.json().catch(() => ({ message: 'Failed to restore message' }));
+    throw new Error(error.message || 'Failed to restore message');
+  }
+
+  const data = await response.json();
+  return data.data;
+};
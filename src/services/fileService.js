@@ -0,0 +1,110 @@
+/**
+ * File Service
+ * Upload rules and helpers shared by chat messages and task attachments.
+ * Files are uploaded to S3 through the backend, which enforces the same limits.
+ */
+
+export const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB per file (matches backend limit)
+export const MAX_FILES = 5; // Maximum files per upload
+export const ALLOWED_FILE_TYPES = [
+  // Images
+  'image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp', 'image/svg+xml',
+  // Documents
+  'application/pdf', 'text/plain', 'text/markdown',
+  'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint', 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  // Archives
+  'application/zip', 'application/x-rar-compressed', 'application/x-7z-compressed',
+  // Code
+  'text/javascript', 'text/html', 'text/css', 'application/json', 'text/xml',
+  'text/x-python', 'text/x-java', 'text/x-c', 'text/x-cpp',
+  // Video
+  'video/mp4', 'video/webm', 'video/quicktime',
+  // Audio
+  'audio/mpeg', 'audio/wav', 'audio/ogg'
+];
+
+/**
+ * Split picked files into the ones that pass the size/type rules and an error
+ * message for each rejected file
+ * @param {File[]} files
+ * @returns {{validFiles: File[], errors: string[]}}
+ */
+export const validateFiles = (files) => {
+  const validFiles = [];
+  const errors = [];
+
+  for (const file of files) {
+    if (file.size > MAX_FILE_SIZE) {
+      errors.push(`${file.name} is too large. Maximum size is 100MB`);
+    } else if (!ALLOWED_FILE_TYPES.includes(file.type) && file.type !== '') {
+      errors.push(`${file.name} has unsupported file type`);
+    } else {
+      validFiles.push(file);
+    }
+  }
+
+  return { validFiles, errors };
+};
+
+/**
+ * Extract clean filename from S3 URL
+ * Removes timestamp prefix (e.g., "1734567890123-abc123-filename.pdf" -> "filename.pdf")
+ */
+export const getFileNameFromUrl = (url) => {
+  if (!url) return 'Unknown file';
+  try {
+    // Get the last part of the URL path
+    const urlPath = new URL(url).pathname;
+    const fullName = urlPath.split('/').pop() || 'Unknown file';
+    // Remove timestamp-random prefix pattern: "1734567890123-123456789-"
+    // Pattern: digits-digits-restOfName
+    const cleanName = fullName.replace(/^\d+-\d+-/, '');
+    // Decode URI components (spaces, special chars)
+    return decodeURIComponent(cleanName);
+  } catch {
+    // Fallback: just get everything after last slash
+    const parts = url.split('/');
+    const fullName = parts[parts.length - 1] || 'Unknown file';
+    return fullName.replace(/^\d+-\d+-/, '');
+  }
+};
+
+/**
+ * Get file type category from URL (or file name) based on extension
+ */
+export const getFileTypeFromUrl = (url) => {
+  if (!url) return 'file';
+  const extension = url.split('.').pop()?.toLowerCase().split('?')[0] || '';
+
+  const imageExts = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'svg', 'bmp', 'ico'];
+  const videoExts = ['mp4', 'webm', 'mov', 'avi', 'mkv', 'wmv', 'flv'];
+  const audioExts = ['mp3', 'wav', 'ogg', 'flac', 'aac', 'm4a'];
+  const documentExts = ['pdf', 'doc', 'docx', 'txt', 'md', 'rtf'];
+  const spreadsheetExts = ['xls', 'xlsx', 'csv'];
+  const presentationExts = ['ppt', 'pptx'];
+  const archiveExts = ['zip', 'rar', '7z', 'tar', 'gz'];
+  const codeExts = ['js', 'ts', 'jsx', 'tsx', 'py', 'java', 'c', 'cpp', 'h', 'css', 'html', 'json', 'xml', 'sql', 'sh', 'yml', 'yaml'];
+
+  if (imageExts.includes(extension)) return 'image';
+  if (videoExts.includes(extension)) return 'video';
+  if (audioExts.includes(extension)) return 'audio';
+  if (documentExts.includes(extension)) return 'document';
+  if (spreadsheetExts.includes(extension)) return 'spreadsheet';
+  if (presentationExts.includes(extension)) return 'presentation';
+  if (archiveExts.includes(extension)) return 'archive';
+  if (codeExts.includes(extension)) return 'code';
+  return 'file';
+};
+
+/**
+ * Format file size for display
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
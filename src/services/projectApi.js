@@ -27,7 +27,11 @@ async function apiFetch(endpoint, options = {}) {
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+      const error = new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+      // Keep the status and body for callers that handle specific failures (e.g. 409 conflicts)
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
 
     return data;
@@ -48,6 +52,8 @@ export async function getProject(projectId) {
 
 /**
  * Get all members of a project
+ * Each member includes user_id, username, email, avatar_url and role
+ * (the task import matches assignees by username or email)
  * @param {number} projectId 
  * @returns {Promise<{success: boolean, data: array}>}
  */
@@ -76,7 +82,7 @@ export async function getProjectStats(projectId) {
 /**
  * Create a new task
  * @param {number} projectId 
- * @param {object} taskData - {title, description?, status?, priority?, assignee_id?, due_date?}
+ * @param {object} taskData - {title, description?, status?, priority?, assignee_id?, due_date?, estimate_minutes?, recurrence?, sprint_id?}
  * @returns {Promise<{success: boolean, message: string, data: object}>}
  */
 export async function createTask(projectId, taskData) {
@@ -88,9 +94,16 @@ export async function createTask(projectId, taskData) {
 
 /**
  * Update an existing task
+ * Pass expected_version to reject the update (409, current task in `data`)
+ * when someone else saved the task in the meantime.
+ * When a repeating task's status moves into the done category, from any client
+ * or bulk action, the backend creates the next occurrence of its series (once
+ * per series and due date) and broadcasts it as task-created. Calendar rules
+ * continue from the completed due date, skipping dates already past;
+ * after_completion counts interval days from the completion day.
  * @param {number} projectId 
  * @param {number} taskId 
- * @param {object} updates - {title?, description?, status?, priority?, assignee_id?, due_date?}
+ * @param {object} updates - {title?, description?, status?, priority?, assignee_id?, due_date?, estimate_minutes?, recurrence?, sprint_id?, expected_version?}
  * @returns {Promise<{success: boolean, message: string, data: object}>}
  */
 export async function updateTask(projectId, taskId, updates) {
@@ -101,7 +114,7 @@ export async function updateTask(projectId, taskId, updates) {
 }
 
 /**
- * Delete a task
+ * Delete a task (moves it to the project's trash)
  * @param {number} projectId 
  * @param {number} taskId 
  * @returns {Promise<{success: boolean, message: string}>}
@@ -112,6 +125,453 @@ export async function deleteTask(projectId, taskId) {
   });
 }
 
+// ==================== SUBTASK API FUNCTIONS ====================
+// Subtasks (checklist items) are returned inline on each task as `subtasks`
+
+/**
+ * Add a subtask (checklist item) to a task
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {object} subtaskData - {title, assignee_id?}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function createSubtask(projectId, taskId, subtaskData) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/subtasks`, {
+    method: 'POST',
+    body: JSON.stringify(subtaskData),
+  });
+}
+
+/**
+ * Update a subtask
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {number} subtaskId 
+ * @param {object} updates - {title?, is_done?, assignee_id?}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function updateSubtask(projectId, taskId, subtaskId, updates) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/subtasks/${subtaskId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(updates),
+  });
+}
+
+/**
+ * Delete a subtask
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {number} subtaskId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function deleteSubtask(projectId, taskId, subtaskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/subtasks/${subtaskId}`, {
+    method: 'DELETE',
+  });
+}
+
+// ==================== WORKFLOW STATUS API FUNCTIONS ====================
+// Each project has an ordered list of statuses ({key, label, color, category}).
+// category is 'not_started' | 'active' | 'done' and drives overdue, blocker and
+// stats logic. Tasks outside a project context (e.g. /tasks/my-tasks) carry
+// status_label, status_color and status_category.
+
+/**
+ * Get a project's workflow statuses (empty when the project uses the defaults)
+ * @param {number} projectId 
+ * @returns {Promise<{success: boolean, data: array}>}
+ */
+export async function getProjectStatuses(projectId) {
+  return apiFetch(`/projects/${projectId}/statuses`);
+}
+
+/**
+ * Replace a project's workflow statuses (leads only). The backend rejects
+ * removing a status that tasks still use.
+ * @param {number} projectId 
+ * @param {array} statuses - Ordered [{key, label, color, category}]
+ * @returns {Promise<{success: boolean, message: string, data: array}>}
+ */
+export async function updateProjectStatuses(projectId, statuses) {
+  return apiFetch(`/projects/${projectId}/statuses`, {
+    method: 'PUT',
+    body: JSON.stringify({ statuses }),
+  });
+}
+
+// ==================== SPRINT API FUNCTIONS ====================
+// Sprints are time-boxed iterations inside a project ({id, name, goal,
+// start_date, end_date, status}), status being 'planned' | 'active' | 'completed'.
+// Tasks carry sprint_id; tasks without one are in the backlog.
+
+/**
+ * Get all sprints of a project
+ * @param {number} projectId 
+ * @returns {Promise<{success: boolean, data: array}>}
+ */
+export async function getProjectSprints(projectId) {
+  return apiFetch(`/projects/${projectId}/sprints`);
+}
+
+/**
+ * Create a sprint (starts as 'planned')
+ * @param {number} projectId 
+ * @param {object} sprintData - {name, goal?, start_date, end_date}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function createSprint(projectId, sprintData) {
+  return apiFetch(`/projects/${projectId}/sprints`, {
+    method: 'POST',
+    body: JSON.stringify(sprintData),
+  });
+}
+
+/**
+ * Update a sprint. Setting status to 'active' starts it; only one sprint can be active.
+ * @param {number} projectId 
+ * @param {number} sprintId 
+ * @param {object} updates - {name?, goal?, start_date?, end_date?, status?}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function updateSprint(projectId, sprintId, updates) {
+  return apiFetch(`/projects/${projectId}/sprints/${sprintId}`, {
+    method: 'PATCH',
+    body: JSON.stringify(updates),
+  });
+}
+
+/**
+ * Delete a sprint; its tasks go back to the backlog
+ * @param {number} projectId 
+ * @param {number} sprintId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function deleteSprint(projectId, sprintId) {
+  return apiFetch(`/projects/${projectId}/sprints/${sprintId}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Complete a sprint and move its unfinished tasks (status category other than
+ * 'done') to another sprint, or to the backlog when move_to_sprint_id is null
+ * @param {number} projectId 
+ * @param {number} sprintId 
+ * @param {number|null} moveToSprintId 
+ * @returns {Promise<{success: boolean, message: string, data: {sprint: object, moved_count: number}}>}
+ */
+export async function completeSprint(projectId, sprintId, moveToSprintId) {
+  return apiFetch(`/projects/${projectId}/sprints/${sprintId}/complete`, {
+    method: 'POST',
+    body: JSON.stringify({ move_to_sprint_id: moveToSprintId }),
+  });
+}
+
+// ==================== LABEL API FUNCTIONS ====================
+// Labels are project-scoped ({id, name, color}). Tasks carry their labels inline
+// as `labels`; createTask / updateTask accept `label_ids` to set them.
+
+/**
+ * Get all labels defined in a project
+ * @param {number} projectId 
+ * @returns {Promise<{success: boolean, data: array}>}
+ */
+export async function getProjectLabels(projectId) {
+  return apiFetch(`/projects/${projectId}/labels`);
+}
+
+/**
+ * Create a project label
+ * @param {number} projectId 
+ * @param {object} labelData - {name, color}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function createProjectLabel(projectId, labelData) {
+  return apiFetch(`/projects/${projectId}/labels`, {
+    method: 'POST',
+    body: JSON.stringify(labelData),
+  });
+}
+
+// ==================== TASK DEPENDENCY API FUNCTIONS ====================
+// Blockers are returned inline on each task as `blocked_by`:
+// [{id, title, status, project_id, project_name}]. A blocker may belong to
+// another project in the same team.
+
+/**
+ * Mark a task as blocked by another task
+ * @param {number} projectId 
+ * @param {number} taskId - The blocked task
+ * @param {number} blockerTaskId - The task that must be finished first
+ * @returns {Promise<{success: boolean, message: string, data: object}>} The blocker entry
+ */
+export async function addTaskDependency(projectId, taskId, blockerTaskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/dependencies`, {
+    method: 'POST',
+    body: JSON.stringify({ blocked_by_task_id: blockerTaskId }),
+  });
+}
+
+/**
+ * Remove a blocked-by link
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {number} blockerTaskId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function removeTaskDependency(projectId, taskId, blockerTaskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/dependencies/${blockerTaskId}`, {
+    method: 'DELETE',
+  });
+}
+
+// ==================== TASK WATCHERS ====================
+// Watchers are returned inline on each task as `watchers`:
+// [{user_id, username, avatar_url}]. The backend adds assignees and the creator
+// automatically, and sends watchers a notification (via the notification socket
+// event) when the status, assignees, due date or description change.
+// Watching or unwatching broadcasts the task as task-updated, so every client
+// viewing the project sees the new watchers. isWatchingTask is in utils/watchers.js.
+
+/**
+ * Start watching a task as the current user
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @returns {Promise<{success: boolean, message: string, data: array}>} The task's watchers
+ */
+export async function watchTask(projectId, taskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/watchers`, {
+    method: 'POST',
+  });
+}
+
+/**
+ * Stop watching a task as the current user (also opts out of the automatic watch)
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @returns {Promise<{success: boolean, message: string, data: array}>} The task's watchers
+ */
+export async function unwatchTask(projectId, taskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/watchers/me`, {
+    method: 'DELETE',
+  });
+}
+
+// ==================== TASK COMMENTS & ACTIVITY ====================
+
+/**
+ * Get the comment thread of a task (oldest first; replies carry parent_id)
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @returns {Promise<{success: boolean, data: Array<{id, parent_id, content, user_id, username, avatar_url, created_at}>}>}
+ */
+export async function getTaskComments(projectId, taskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/comments`);
+}
+
+/**
+ * Post a comment (or a reply when parent_id is set) on a task.
+ * Mentioned users are notified by the backend via the notification socket event.
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {object} commentData - {content, parent_id?, mentions?: number[]}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function createTaskComment(projectId, taskId, commentData) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/comments`, {
+    method: 'POST',
+    body: JSON.stringify(commentData),
+  });
+}
+
+/**
+ * Get the automatic activity log of a task (newest first)
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @returns {Promise<{success: boolean, data: Array<{id, action, user_id, username, avatar_url, old_value, new_value, created_at}>}>}
+ */
+export async function getTaskActivity(projectId, taskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/activity`);
+}
+
+// ==================== PROJECT CHARTS ====================
+// Burndown, cumulative flow and velocity are replayed from the status changes in
+// the activity log, so they show how the project moved rather than today's counts.
+
+/**
+ * Get the status changes of a project's tasks made on or after a day (oldest first),
+ * together with the tasks they replay. Changes up to now are needed to replay a task's
+ * status back to the start of the range. `tasks` includes tasks deleted since that day
+ * (with deleted_at set), so the replay counts them until they were deleted.
+ * With a sprint, both are limited to the tasks that were in that sprint on or after the
+ * day, including tasks carried over to a later sprint when it was completed.
+ * @param {number} projectId 
+ * @param {string} since - YYYY-MM-DD
+ * @param {number} [sprintId] - Limit to one sprint's tasks
+ * @returns {Promise<{success: boolean, data: {tasks: Array<{id, status, created_at, deleted_at}>, changes: Array<{task_id, old_value, new_value, created_at}>}}>}
+ */
+export async function getProjectStatusHistory(projectId, since, sprintId) {
+  const params = new URLSearchParams({ since });
+  if (sprintId) params.set('sprint_id', sprintId);
+  return apiFetch(`/projects/${projectId}/status-history?${params}`);
+}
+
+// ==================== TASK ATTACHMENTS ====================
+// Tasks carry their files inline as `attachments` ({id, url, file_name, mime_type, size, uploaded_by, uploaded_by_username, created_at}).
+
+/**
+ * Upload files to a task (up to MAX_FILES per request, stored on S3 by the backend)
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {File[]} files 
+ * @returns {Promise<{success: boolean, message: string, data: array}>} Created attachments
+ */
+export async function uploadTaskAttachments(projectId, taskId, files) {
+  const formData = new FormData();
+  files.forEach((file) => {
+    formData.append('files', file);
+  });
+
+  const response = await fetch(`${API_BASE_URL}/projects/${projectId}/tasks/${taskId}/attachments`, {
+    method: 'POST',
+    credentials: 'include',
+    // Don't set Content-Type header - browser will set it automatically with boundary for FormData
+    body: formData,
+  });
+
+  const data = await response.json().catch(() => ({ message: 'Failed to upload files' }));
+  if (!response.ok) {
+    throw new Error(data.message || 'Failed to upload files');
+  }
+  return data;
+}
+
+/**
+ * Remove an attachment from a task
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {number} attachmentId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function deleteTaskAttachment(projectId, taskId, attachmentId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/attachments/${attachmentId}`, {
+    method: 'DELETE',
+  });
+}
+
+// ==================== TRASH API FUNCTIONS ====================
+// Deleting a task or project moves it to the trash (it carries deleted_at and
+// deleted_by_username there). Items are restorable until the backend purges
+// them TRASH_RETENTION_DAYS (utils/trash.js) after deletion. Restored tasks are broadcast as
+// task-created, restored projects as project-created.
+
+/**
+ * Get the deleted tasks of a project, newest first
+ * @param {number} projectId 
+ * @returns {Promise<{success: boolean, data: array}>}
+ */
+export async function getProjectTrash(projectId) {
+  return apiFetch(`/projects/${projectId}/trash`);
+}
+
+/**
+ * Restore a deleted task with its subtasks, comments and attachments
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function restoreTask(projectId, taskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/restore`, {
+    method: 'POST',
+  });
+}
+
+/**
+ * Permanently delete a task from the trash (project leads only)
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function purgeTask(projectId, taskId) {
+  return apiFetch(`/projects/${projectId}/trash/${taskId}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Get the deleted projects of a team, newest first
+ * @param {number} teamId 
+ * @returns {Promise<{success: boolean, data: array}>}
+ */
+export async function getTeamProjectTrash(teamId) {
+  return apiFetch(`/teams/${teamId}/projects/trash`);
+}
+
+/**
+ * Restore a deleted project with its members and tasks
+ * @param {number} teamId 
+ * @param {number} projectId 
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function restoreProject(teamId, projectId) {
+  return apiFetch(`/teams/${teamId}/projects/${projectId}/restore`, {
+    method: 'POST',
+  });
+}
+
+/**
+ * Permanently delete a project from the trash (team owners/admins)
+ * @param {number} teamId 
+ * @param {number} projectId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function purgeProject(teamId, projectId) {
+  return apiFetch(`/teams/${teamId}/projects/trash/${projectId}`, {
+    method: 'DELETE',
+  });
+}
+
+// ==================== TIME TRACKING API FUNCTIONS ====================
+// Tasks carry estimate_minutes and tracked_minutes (the sum of all time entries);
+// createTask / updateTask accept estimate_minutes.
+
+/**
+ * Get the time entries logged on a task (newest first)
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @returns {Promise<{success: boolean, data: Array<{id, user_id, username, minutes, spent_on, started_at, note, created_at}>}>}
+ */
+export async function getTaskTimeEntries(projectId, taskId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/time-entries`);
+}
+
+/**
+ * Log time on a task for the current user (from the timer or entered manually)
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {object} entryData - {minutes, spent_on: 'YYYY-MM-DD', started_at?, note?}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function createTimeEntry(projectId, taskId, entryData) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/time-entries`, {
+    method: 'POST',
+    body: JSON.stringify(entryData),
+  });
+}
+
+/**
+ * Delete one of your own time entries
+ * @param {number} projectId 
+ * @param {number} taskId 
+ * @param {number} entryId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function deleteTimeEntry(projectId, taskId, entryId) {
+  return apiFetch(`/projects/${projectId}/tasks/${taskId}/time-entries/${entryId}`, {
+    method: 'DELETE',
+  });
+}
+
 // ==================== TEAM API FUNCTIONS ====================
 
 /**
@@ -222,7 +682,7 @@ export async function updateProject(teamId, projectId, updates) {
 }
 
 /**
- * Delete a project
+ * Delete a project (moves it to the team's trash)
  * @param {number} teamId 
  * @param {number} projectId 
  * @returns {Promise<{success: boolean, message: string}>}
@@ -274,6 +734,99 @@ export async function updateProjectMemberRole(projectId, userId, role) {
   });
 }
 
+// ==================== PROJECT TEMPLATES ====================
+// Templates are team-scoped project skeletons:
+// {id, name, description, statuses, members: [{user_id, role}], tasks: [{title,
+// description, priority, estimate_minutes, due_offset_days, subtasks: [title]}]}
+// due_offset_days counts from the project's start date, so the schedule moves
+// with whatever start date the new project gets. Assignees are not captured.
+
+/**
+ * Get the project templates saved in a team
+ * @param {number} teamId 
+ * @returns {Promise<{success: boolean, data: array}>}
+ */
+export async function getProjectTemplates(teamId) {
+  return apiFetch(`/teams/${teamId}/project-templates`);
+}
+
+/**
+ * Save a project template (team owners/admins)
+ * @param {number} teamId 
+ * @param {object} templateData - {name, description, statuses, members, tasks}
+ * @returns {Promise<{success: boolean, message: string, data: object}>}
+ */
+export async function createProjectTemplate(teamId, templateData) {
+  return apiFetch(`/teams/${teamId}/project-templates`, {
+    method: 'POST',
+    body: JSON.stringify(templateData),
+  });
+}
+
+/**
+ * Delete a project template
+ * @param {number} teamId 
+ * @param {number} templateId 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function deleteProjectTemplate(teamId, templateId) {
+  return apiFetch(`/teams/${teamId}/project-templates/${templateId}`, {
+    method: 'DELETE',
+  });
+}
+
+// ==================== PINS ====================
+// Pinned tasks and projects are a per-user preference stored on the server, so
+// they follow the user across devices. Pins carry enough to link to the item:
+// tasks {task_id, project_id, team_id, title, project_name},
+// projects {project_id, team_id, name, team_name}.
+
+/**
+ * Get the current user's pinned tasks and projects across all teams
+ * @returns {Promise<{success: boolean, data: {tasks: array, projects: array}}>}
+ */
+export async function getPins() {
+  return apiFetch('/users/me/pins');
+}
+
+/**
+ * Pin a task or a project for the current user
+ * @param {'task'|'project'} type 
+ * @param {number} id 
+ * @returns {Promise<{success: boolean, message: string, data: object}>} The new pin
+ */
+export async function pinItem(type, id) {
+  return apiFetch('/users/me/pins', {
+    method: 'POST',
+    body: JSON.stringify({ type, id }),
+  });
+}
+
+/**
+ * Unpin a task or a project for the current user
+ * @param {'task'|'project'} type 
+ * @param {number} id 
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+export async function unpinItem(type, id) {
+  return apiFetch(`/users/me/pins/${type}/${id}`, {
+    method: 'DELETE',
+  });
+}
+
+/**
+ * Add several pins at once (migrating pins that used to live in localStorage).
+ * Ids the user can no longer access are skipped by the backend.
+ * @param {object} pins - {task_ids?: number[], project_ids?: number[]}
+ * @returns {Promise<{success: boolean, data: {tasks: array, projects: array}}>} All pins after the import
+ */
+export async function importPins(pins) {
+  return apiFetch('/users/me/pins/import', {
+    method: 'POST',
+    body: JSON.stringify(pins),
+  });
+}
+
 // ==================== INVITATION API ====================
 // NOTE: getUserInvitations, acceptInvitation, declineInvitation, getInvitationPreview
 // have been moved to notificationApi.js for centralized notification handling
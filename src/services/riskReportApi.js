@@ -48,11 +48,14 @@ export async function getLatestRiskReport(projectId) {
 /**
  * Force a new AI risk analysis (bypasses cache)
  * @param {number} projectId 
+ * @param {object} context - Optional extra signals for the analysis
+ * @param {Array<{task_id: number, blocked_by_task_id: number}>} context.dependencies - Blocked-by edges
  * @returns {Promise<{success: boolean, data: object}>}
  */
-export async function analyzeProjectRisk(projectId) {
+export async function analyzeProjectRisk(projectId, { dependencies = [] } = {}) {
   return apiFetch(`/projects/${projectId}/risk-report/analyze`, {
     method: 'POST',
+    body: JSON.stringify({ dependencies }),
   });
 }
 
@@ -372,6 +372,76 @@ export const onTaskDeleted = (callback) => {
   return () => socket?.off('task-deleted', callback);
 };
 
+/**
+ * Subscribe to subtask created events in project
+ * @param {Function} callback - Called with {taskId, subtask}
+ */
+export const onSubtaskCreated = (callback) => {
+  if (!socket) return () => { };
+  socket.on('subtask-created', callback);
+  return () => socket?.off('subtask-created', callback);
+};
+
+/**
+ * Subscribe to subtask updated events in project
+ * @param {Function} callback - Called with {taskId, subtask}
+ */
+export const onSubtaskUpdated = (callback) => {
+  if (!socket) return () => { };
+  socket.on('subtask-updated', callback);
+  return () => socket?.off('subtask-updated', callback);
+};
+
+/**
+ * Subscribe to subtask deleted events in project
+ * @param {Function} callback - Called with {taskId, subtaskId}
+ */
+export const onSubtaskDeleted = (callback) => {
+  if (!socket) return () => { };
+  socket.on('subtask-deleted', callback);
+  return () => socket?.off('subtask-deleted', callback);
+};
+
+/**
+ * Subscribe to new task comments in project
+ * @param {Function} callback - Called with {taskId, comment}
+ */
+export const onTaskCommentCreated = (callback) => {
+  if (!socket) return () => { };
+  socket.on('task-comment-created', callback);
+  return () => socket?.off('task-comment-created', callback);
+};
+
+/**
+ * Subscribe to task activity log entries in project
+ * @param {Function} callback - Called with {taskId, activity}
+ */
+export const onTaskActivity = (callback) => {
+  if (!socket) return () => { };
+  socket.on('task-activity', callback);
+  return () => socket?.off('task-activity', callback);
+};
+
+/**
+ * Subscribe to workflow status changes in project
+ * @param {Function} callback - Called with {projectId, statuses}
+ */
+export const onProjectStatusesUpdated = (callback) => {
+  if (!socket) return () => { };
+  socket.on('project-statuses-updated', callback);
+  return () => socket?.off('project-statuses-updated', callback);
+};
+
+/**
+ * Subscribe to sprint changes in project (created, edited, started, completed, deleted)
+ * @param {Function} callback - Called with {projectId, sprints}
+ */
+export const onProjectSprintsUpdated = (callback) => {
+  if (!socket) return () => { };
+  socket.on('project-sprints-updated', callback);
+  return () => socket?.off('project-sprints-updated', callback);
+};
+
 export default {
   initSocket,
   getSocket,
@@ -397,4 +467,11 @@ export default {
   onTaskCreated,
   onTaskUpdated,
   onTaskDeleted,
+  onSubtaskCreated,
+  onSubtaskUpdated,
+  onSubtaskDeleted,
+  onTaskCommentCreated,
+  onTaskActivity,
+  onProjectStatusesUpdated,
+  onProjectSprintsUpdated,
 };
@@ -26,6 +26,8 @@ async function apiFetch(endpoint, options = {}) {
 
 /**
  * Get all tasks assigned to the authenticated user
+ * Each task includes project_id, project_name and team_id for linking back to it,
+ * plus status_label and status_category from its project's workflow.
  */
 export const getUserTasks = async () => {
   return apiFetch('/tasks/my-tasks');
@@ -35,46 +37,62 @@ export const getUserTasks = async () => {
  * Get task statistics for the authenticated user
  */
 export const getUserTaskStats = async () => {
-  const response = await axiosInstance.get('/tasks/my-stats');
-  return response.data;
+  return apiFetch('/tasks/my-stats');
 };
 
 /**
  * Get a single task by ID
+ * @param {number} taskId
+ * @returns {Promise<{success: boolean, data: Object}>} Task including project_id and team_id
  */
 export const getTaskById = async (taskId) => {
-  const response = await axiosInstance.get(`/tasks/${taskId}`);
-  return response.data;
+  return apiFetch(`/tasks/${taskId}`);
 };
 
 /**
  * Get all tasks for a project
  */
 export const getProjectTasks = async (projectId) => {
-  const response = await axiosInstance.get(`/tasks/project/${projectId}`);
-  return response.data;
+  return apiFetch(`/tasks/project/${projectId}`);
 };
 
 /**
  * Create a new task
  */
 export const createTask = async (taskData) => {
-  const response = await axiosInstance.post('/tasks', taskData);
-  return response.data;
+  return apiFetch('/tasks', {
+    method: 'POST',
+    body: JSON.stringify(taskData),
+  });
 };
 
 /**
  * Update a task
  */
 export const updateTask = async (taskId, updates) => {
-  const response = await axiosInstance.put(`/tasks/${taskId}`, updates);
-  return response.data;
+  return apiFetch(`/tasks/${taskId}`, {
+    method: 'PUT',
+    body: JSON.stringify(updates),
+  });
 };
 
 /**
  * Delete a task
  */
 export const deleteTask = async (taskId) => {
-  const response = await axiosInstance.delete(`/tasks/${taskId}`);
-  return response.data;
+  return apiFetch(`/tasks/${taskId}`, {
+    method: 'DELETE',
+  });
+};
+
+// ==================== TIME TRACKING ====================
+
+/**
+ * Get the current user's time entries in a date range (inclusive)
+ * @param {{from: string, to: string}} range - 'YYYY-MM-DD' days
+ * @returns {Promise<{success: boolean, data: Array<{id, task_id, task_title, project_id, project_name, team_id, minutes, spent_on, note}>}>}
+ */
+export const getUserTimesheet = async ({ from, to }) => {
+  const params = new URLSearchParams({ from, to });
+  return apiFetch(`/tasks/my-timesheet?${params}`);
 };
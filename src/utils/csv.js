@@ -0,0 +1,77 @@
+// CSV import / export of tasks and timesheets
+
+// Spreadsheet apps run text cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Build CSV text from rows of cell values, quoting cells that need it. Text that
+ * would be read as a formula (=, +, -, @) gets a leading ' so it stays text.
+ * @param {Array<Array<string|number>>} rows
+ * @returns {string}
+ */
+export const toCsv = (rows) => rows
+  .map(row => row.map(cell => {
+    const text = String(cell ?? '');
+    const value = typeof cell === 'string' && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }).join(','))
+  .join('\n');
+
+/**
+ * Let the browser download text content as a file
+ */
+export const downloadFile = (filename, content, type = 'text/csv;charset=utf-8') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 100);
+};
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells with commas, escaped
+ * quotes and line breaks; blank lines are skipped. The ' that toCsv puts before
+ * formula-like text is removed again.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, ''); // Spreadsheet apps often prepend a BOM
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some(value => value !== '')) rows.push(row);
+  return rows.map(cells => cells.map(value => (/^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value)));
+};
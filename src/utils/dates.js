@@ -0,0 +1,21 @@
+// Due dates, sprint and project dates are stored as the ISO string of UTC
+// midnight of the picked day, so day arithmetic works on the UTC date part.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * UTC midnight (ms) of the day a stored date falls on
+ */
+export const toUtcDay = (value) => {
+  const date = new Date(value);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+};
+
+/**
+ * Calendar-day arithmetic on YYYY-MM-DD strings
+ */
+export const addDays = (day, days) => {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
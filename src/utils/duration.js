@@ -0,0 +1,26 @@
+// Time tracking amounts are whole minutes
+
+/**
+ * Format a number of minutes as "1h 30m"
+ */
+export const formatMinutes = (minutes) => {
+  const total = Math.round(minutes || 0);
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+/**
+ * Parse a duration typed by the user into minutes.
+ * Accepts "1h 30m", "1.5h", "90m" and plain numbers (minutes); returns null when invalid.
+ */
+export const parseDuration = (input) => {
+  const text = String(input ?? '').trim().toLowerCase();
+  if (!text) return null;
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text));
+
+  const match = text.match(/^(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m)?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  return Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+};
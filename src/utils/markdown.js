@@ -0,0 +1,165 @@
+// Task descriptions are Markdown. They are parsed into plain objects and rendered
+// as React elements (never as HTML), so the only injection point left is link
+// URLs, which are limited to http(s), mailto and in-app paths.
+
+const LIST_ITEM_PATTERN = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s*>\s?(.*)$/;
+
+// Code, bold, italic, strikethrough, [links](url) and bare URLs
+const INLINE_PATTERN = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:[^*]*[^*\s])?)\*|(?<!\w)_([^_\s](?:[^_]*[^_\s])?)_(?!\w)|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"])/g;
+
+/**
+ * Whether a link target is safe to render as an href. In-app paths must not start
+ * with "//" or "/\", which browsers treat as protocol-relative URLs.
+ */
+export const isSafeUrl = (url) => /^(https?:|mailto:)/i.test(url) || /^\/(?![/\\])/.test(url) || url.startsWith('#');
+
+const isBlockStart = (line) => FENCE_PATTERN.test(line) || HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) || QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+
+/**
+ * Split Markdown into blocks: heading {level, text}, code {lang, text},
+ * list {ordered, start, items: [{text, checked}]} (checked is null outside task
+ * lists), quote {text}, rule and paragraph {text}. Nested lists are flattened.
+ * @param {string} source
+ * @returns {Array<Object>}
+ */
+export const parseMarkdown = (source = '') => {
+  const lines = source.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) code.push(lines[i++]);
+      i++; // Closing fence (an unclosed block runs to the end)
+      blocks.push({ type: 'code', lang: fence[2], text: code.join('\n') });
+      continue;
+    }
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quote = [];
+      while (i < lines.length && QUOTE_PATTERN.test(lines[i])) quote.push(lines[i++].match(QUOTE_PATTERN)[1]);
+      blocks.push({ type: 'quote', text: quote.join('\n') });
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM_PATTERN);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM_PATTERN);
+        if (item && /\d/.test(item[1]) === ordered) {
+          const task = item[2].match(/^\[([ xX])\]\s+(.*)$/);
+          items.push(task ? { text: task[2], checked: task[1] !== ' ' } : { text: item[2], checked: null });
+        } else if (!item && /^\s+\S/.test(lines[i])) {
+          items[items.length - 1].text += `\n${lines[i].trim()}`; // Indented continuation line
+        } else {
+          break;
+        }
+        i++;
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(listItem[1], 10) : 1, items });
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+      paragraph.push(lines[i++].trim());
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join('\n') });
+  }
+
+  return blocks;
+};
+
+/**
+ * Split a line of Markdown into inline tokens: text, break, code, and
+ * strong / em / del / link with children. Links with unsafe URLs become text.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export const parseInlineMarkdown = (text = '') => {
+  const tokens = [];
+  const pushText = (value) => value.split('\n').forEach((part, index) => {
+    if (index > 0) tokens.push({ type: 'break' });
+    if (part) tokens.push({ type: 'text', text: part });
+  });
+
+  let last = 0;
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [raw, code, strong, strongAlt, del, em, emAlt, linkText, linkUrl, bareUrl] = match;
+    pushText(text.slice(last, match.index));
+    last = match.index + raw.length;
+
+    if (code !== undefined) {
+      tokens.push({ type: 'code', text: code });
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      tokens.push({ type: 'strong', children: parseInlineMarkdown(strong ?? strongAlt) });
+    } else if (del !== undefined) {
+      tokens.push({ type: 'del', children: parseInlineMarkdown(del) });
+    } else if (em !== undefined || emAlt !== undefined) {
+      tokens.push({ type: 'em', children: parseInlineMarkdown(em ?? emAlt) });
+    } else if (linkText !== undefined) {
+      if (isSafeUrl(linkUrl)) {
+        tokens.push({ type: 'link', href: linkUrl, children: parseInlineMarkdown(linkText) });
+      } else {
+        tokens.push(...parseInlineMarkdown(linkText));
+      }
+    } else {
+      tokens.push({ type: 'link', href: bareUrl, children: [{ type: 'text', text: bareUrl }] });
+    }
+  }
+  pushText(text.slice(last));
+
+  return tokens;
+};
+
+const inlineToText = (tokens) => tokens
+  .map(token => (token.type === 'break' ? ' ' : token.children ? inlineToText(token.children) : token.text))
+  .join('');
+
+/**
+ * Plain-text version of a Markdown description for one-line previews
+ * @param {string} source
+ * @returns {string}
+ */
+export const stripMarkdown = (source = '') => parseMarkdown(source)
+  .map(block => {
+    switch (block.type) {
+      case 'code': return block.text.replace(/\s+/g, ' ');
+      case 'rule': return '';
+      case 'list': return block.items
+        .map(item => `${item.checked === null ? '' : item.checked ? '☑ ' : '☐ '}${inlineToText(parseInlineMarkdown(item.text))}`)
+        .join(' ');
+      default: return inlineToText(parseInlineMarkdown(block.text));
+    }
+  })
+  .filter(Boolean)
+  .join(' ');
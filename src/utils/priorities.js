@@ -0,0 +1,2 @@
+// Task priorities the backend accepts, lowest first
+export const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
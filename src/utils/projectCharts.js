@@ -0,0 +1,95 @@
+import { addDays } from './dates';
+
+// Chart series replayed from a project's status history (getProjectStatusHistory)
+
+// Local midnight at the end of a YYYY-MM-DD day
+const getDayEnd = (day) => new Date(`${addDays(day, 1)}T00:00:00`);
+
+/**
+ * Every day from one YYYY-MM-DD to another, inclusive
+ */
+export const getDaysInRange = (from, to) => {
+  const days = [];
+  for (let day = from; day <= to && days.length < 366; day = addDays(day, 1)) days.push(day);
+  return days;
+};
+
+/**
+ * Replay the status history into task counts per status as of the end of each day.
+ * A task's status on a day is the old value of its first later change, or its
+ * current status when it has not changed since. Deleted tasks count until the day
+ * they were deleted. Days still to come get null counts.
+ * @param {object[]} tasks - Tasks as of now ({id, status, created_at, deleted_at?})
+ * @param {object[]} history - Status changes since the first day
+ * @param {string[]} days - YYYY-MM-DD, ascending
+ * @returns {Array<{day: string, counts: Object<string, number>|null}>}
+ */
+export const getDailyStatusCounts = (tasks, history, days) => {
+  const changesByTask = new Map();
+  [...history]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(change => {
+      if (!changesByTask.has(change.task_id)) changesByTask.set(change.task_id, []);
+      changesByTask.get(change.task_id).push(change);
+    });
+
+  const now = new Date();
+  return days.map(day => {
+    const dayEnd = getDayEnd(day);
+    if (dayEnd - now > 24 * 60 * 60 * 1000) return { day, counts: null };
+
+    const counts = {};
+    tasks.forEach(task => {
+      if (new Date(task.created_at) >= dayEnd) return;
+      if (task.deleted_at && new Date(task.deleted_at) < dayEnd) return;
+      const nextChange = (changesByTask.get(task.id) || []).find(change => new Date(change.created_at) >= dayEnd);
+      const status = nextChange ? nextChange.old_value : task.status;
+      counts[status] = (counts[status] || 0) + 1;
+    });
+    return { day, counts };
+  });
+};
+
+/**
+ * Open (not done) tasks per day against an ideal line that falls evenly to zero on the last day
+ * @returns {Array<{day: string, remaining: number|null, ideal: number}>}
+ */
+export const getBurndown = (dailyCounts, statuses) => {
+  const doneKeys = new Set(statuses.filter(s => s.category === 'done').map(s => s.key));
+  const remaining = dailyCounts.map(({ counts }) => (counts
+    ? Object.entries(counts).reduce((sum, [status, count]) => sum + (doneKeys.has(status) ? 0 : count), 0)
+    : null));
+  const start = remaining[0] ?? 0;
+  const steps = Math.max(dailyCounts.length - 1, 1);
+
+  return dailyCounts.map(({ day }, i) => ({
+    day,
+    remaining: remaining[i],
+    ideal: Math.round((start * (1 - i / steps)) * 10) / 10,
+  }));
+};
+
+/**
+ * Tasks moved into a done status per week (weeks start on Monday), over the weeks touching the range.
+ * Reopened tasks count again when they are finished again.
+ * @returns {Array<{week: string, completed: number}>} week is the Monday as YYYY-MM-DD
+ */
+export const getWeeklyVelocity = (history, statuses, from, to) => {
+  const doneKeys = new Set(statuses.filter(s => s.category === 'done').map(s => s.key));
+  const fromDate = new Date(`${from}T00:00:00`);
+  const firstMonday = addDays(from, -((fromDate.getDay() + 6) % 7));
+
+  const weeks = [];
+  for (let week = firstMonday; week <= to; week = addDays(week, 7)) {
+    const weekStart = new Date(`${week}T00:00:00`);
+    const weekEnd = getDayEnd(addDays(week, 6));
+    weeks.push({
+      week,
+      completed: history.filter(change => {
+        const changedAt = new Date(change.created_at);
+        return changedAt >= weekStart && changedAt < weekEnd && doneKeys.has(change.new_value) && !doneKeys.has(change.old_value);
+      }).length,
+    });
+  }
+  return weeks;
+};
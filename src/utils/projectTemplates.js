@@ -0,0 +1,37 @@
+import { DAY_MS, toUtcDay } from './dates';
+
+/**
+ * Build a template payload from a project and its members, tasks and statuses.
+ * Offsets are anchored to the start date, or to the earliest due date when the
+ * project has none. Task statuses are not captured: every task starts open.
+ */
+export const buildProjectTemplate = ({ project, members = [], tasks = [], statuses = [] }) => {
+  const dueDays = tasks.filter(t => t.due_date).map(t => toUtcDay(t.due_date));
+  const anchor = project.start_date ? toUtcDay(project.start_date) : dueDays.length > 0 ? Math.min(...dueDays) : null;
+
+  return {
+    name: project.name,
+    description: project.description || '',
+    statuses,
+    members: members.map(m => ({ user_id: m.user_id, role: m.role })),
+    tasks: [...tasks]
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .map(task => ({
+        title: task.title,
+        description: task.description || '',
+        priority: task.priority,
+        estimate_minutes: task.estimate_minutes || null,
+        due_offset_days: task.due_date && anchor !== null ? Math.round((toUtcDay(task.due_date) - anchor) / DAY_MS) : null,
+        subtasks: (Array.isArray(task.subtasks) ? task.subtasks : []).map(s => s.title),
+      })),
+  };
+};
+
+/**
+ * Due date of a template task for a project starting on startDate (YYYY-MM-DD)
+ * @returns {string|null} ISO date, or null when the task has no offset
+ */
+export const getTemplateDueDate = (startDate, offsetDays) => {
+  if (offsetDays === null || offsetDays === undefined) return null;
+  return new Date(toUtcDay(startDate) + offsetDays * DAY_MS).toISOString();
+};
@@ -0,0 +1,132 @@
+// One-line task entry such as "Fix login bug @alice !high due fri #backend":
+// @assignee, !priority, #label and "due <when>"; the remaining words are the title.
+
+import { TASK_PRIORITIES } from './priorities';
+
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Full names or abbreviations of at least three letters ("fri", "thurs", "sept")
+const matchName = (names, word) => (word.length >= 3 ? names.findIndex(name => name.startsWith(word)) : -1);
+
+const toLocalDayKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const shiftDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// A month/day in the current year, or next year once it has passed
+const upcomingDate = (month, day, today) => {
+  const date = new Date(today.getFullYear(), month, day);
+  if (date.getMonth() !== month) return null; // e.g. Feb 30
+  return date < shiftDays(today, 0) ? new Date(today.getFullYear() + 1, month, day) : date;
+};
+
+/**
+ * Resolve the words after "due" to a date. Understands today, tomorrow, weekdays
+ * (the next one after today), "next week" (Monday), "next fri", "in 3 days",
+ * "in 2 weeks", YYYY-MM-DD, M/D and "oct 25" / "25 oct".
+ * @param {string[]} words - Lowercase words following "due"
+ * @param {Date} [today]
+ * @returns {{date: string, length: number}|null} The day as YYYY-MM-DD and how many words it used
+ */
+export const parseDueDate = (words, today = new Date()) => {
+  const [first = '', second = '', third = ''] = words;
+  const daysUntil = (weekday) => ((weekday - today.getDay() + 6) % 7) + 1; // 1..7, never today
+  const result = (date, length) => (date ? { date: toLocalDayKey(date), length } : null);
+
+  if (first === 'in' && /^\d+$/.test(second)) {
+    const amount = parseInt(second, 10);
+    if (/^(d|days?)$/.test(third)) return result(shiftDays(today, amount), 3);
+    if (/^(w|wks?|weeks?)$/.test(third)) return result(shiftDays(today, amount * 7), 3);
+  }
+
+  if (first === 'next') {
+    const nextMonday = shiftDays(today, daysUntil(1));
+    if (second === 'week') return result(nextMonday, 2);
+    const weekday = matchName(WEEKDAY_NAMES, second);
+    if (weekday !== -1) return result(shiftDays(nextMonday, (weekday + 6) % 7), 2);
+  }
+
+  const monthFirst = matchName(MONTH_NAMES, first);
+  if (monthFirst !== -1 && /^\d{1,2}$/.test(second)) return result(upcomingDate(monthFirst, parseInt(second, 10), today), 2);
+  const monthSecond = matchName(MONTH_NAMES, second);
+  if (monthSecond !== -1 && /^\d{1,2}$/.test(first)) return result(upcomingDate(monthSecond, parseInt(first, 10), today), 2);
+
+  if (first === 'today' || first === 'tod') return result(today, 1);
+  if (['tomorrow', 'tmr', 'tmrw'].includes(first)) return result(shiftDays(today, 1), 1);
+
+  const weekday = matchName(WEEKDAY_NAMES, first);
+  if (weekday !== -1) return result(shiftDays(today, daysUntil(weekday)), 1);
+
+  const iso = first.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const date = new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+    return date.getDate() === Number(iso[3]) ? result(date, 1) : null;
+  }
+
+  const monthDay = first.match(/^(\d{1,2})\/(\d{1,2})$/);
+  if (monthDay) return result(upcomingDate(Number(monthDay[1]) - 1, Number(monthDay[2]), today), 1);
+
+  return null;
+};
+
+// Exact (case-insensitive) match first, then a unique prefix
+const findByName = (items, getName, query) => {
+  const exact = items.find(item => getName(item) === query);
+  if (exact) return exact;
+  const prefixed = items.filter(item => getName(item)?.startsWith(query));
+  return prefixed.length === 1 ? prefixed[0] : null;
+};
+
+/**
+ * Parse a quick-add line into task fields. Tokens that look like a command but
+ * match nothing (an unknown @name, !priority or #label) stay in the title and are listed in
+ * `unmatched` so the preview can point them out.
+ * @param {string} input
+ * @param {{members?: Array<{user_id, username}>, labels?: Array<{id, name}>, today?: Date}} [context]
+ * @returns {{title: string, assignee_ids: number[], priority: string|null, due_date: string|null, label_ids: number[], unmatched: string[]}}
+ */
+export const parseQuickAdd = (input, { members = [], labels = [], today = new Date() } = {}) => {
+  const words = input.trim().split(/\s+/).filter(Boolean);
+  const parsed = { title: '', assignee_ids: [], priority: null, due_date: null, label_ids: [], unmatched: [] };
+  const titleWords = [];
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+
+    if (/^@\S+$/.test(word)) {
+      const member = findByName(members, m => m.username?.toLowerCase(), lower.slice(1));
+      if (member) {
+        if (!parsed.assignee_ids.includes(member.user_id)) parsed.assignee_ids.push(member.user_id);
+        continue;
+      }
+      parsed.unmatched.push(word);
+    } else if (/^![a-z]+$/.test(lower)) {
+      const priority = TASK_PRIORITIES.find(p => p.startsWith(lower.slice(1)));
+      if (priority) {
+        parsed.priority = priority;
+        continue;
+      }
+      parsed.unmatched.push(word);
+    } else if (/^#\S+$/.test(word)) {
+      const label = findByName(labels, l => l.name.toLowerCase().replace(/\s+/g, '-'), lower.slice(1));
+      if (label) {
+        if (!parsed.label_ids.includes(label.id)) parsed.label_ids.push(label.id);
+        continue;
+      }
+      parsed.unmatched.push(word);
+    } else if (lower === 'due' && i + 1 < words.length) {
+      const due = parseDueDate(words.slice(i + 1, i + 4).map(w => w.toLowerCase()), today);
+      if (due) {
+        parsed.due_date = due.date;
+        i += due.length;
+        continue;
+      }
+    }
+
+    titleWords.push(word);
+  }
+
+  parsed.title = titleWords.join(' ');
+  return parsed;
+};
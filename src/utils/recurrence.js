@@ -0,0 +1,37 @@
+/**
+ * Repeat rules a task can carry in its `recurrence` field:
+ * {frequency, interval?, weekdays?: number[] (0 = Sunday), day_of_month?, series_id}
+ * Every occurrence of a series shares the same series_id. The backend creates the
+ * next occurrence when a task's status moves into the done category (see updateTask).
+ */
+export const RECURRENCE_FREQUENCIES = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  after_completion: 'After completion',
+};
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Short human-readable summary of a recurrence rule, e.g. "Weekly on Mon, Fri"
+ */
+export const describeRecurrence = (rule) => {
+  if (!rule?.frequency) return 'Does not repeat';
+  const interval = Math.max(1, rule.interval || 1);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return interval === 1 ? 'Daily' : `Every ${interval} days`;
+    case 'weekly':
+      return rule.weekdays?.length
+        ? `Weekly on ${[...rule.weekdays].sort().map(d => WEEKDAY_LABELS[d]).join(', ')}`
+        : 'Weekly';
+    case 'monthly':
+      return rule.day_of_month ? `Monthly on day ${rule.day_of_month}` : 'Monthly';
+    case 'after_completion':
+      return `${interval} day${interval === 1 ? '' : 's'} after completion`;
+    default:
+      return 'Repeats';
+  }
+};
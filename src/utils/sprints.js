@@ -0,0 +1,28 @@
+import { addDays } from './dates';
+
+export const SPRINT_LENGTH_DAYS = 14;
+
+/**
+ * Sprints a task can still be moved into: the active one first, then planned ones by start date
+ */
+export const getOpenSprints = (sprints) => sprints
+  .filter(s => s.status !== 'completed')
+  .sort((a, b) => (a.status === 'active' ? -1 : b.status === 'active' ? 1 : new Date(a.start_date) - new Date(b.start_date)));
+
+/**
+ * Name and dates for the sprint after the latest one ("Sprint 4", starting the day after it ends)
+ * @returns {{name: string, start_date: string, end_date: string}} Dates as YYYY-MM-DD
+ */
+export const getNextSprintDefaults = (sprints) => {
+  const latest = [...sprints].sort((a, b) => new Date(b.end_date) - new Date(a.end_date))[0];
+  const today = new Date();
+  const start = latest
+    ? addDays(latest.end_date.split('T')[0], 1)
+    : `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+
+  return {
+    name: `Sprint ${sprints.length + 1}`,
+    start_date: start,
+    end_date: addDays(start, SPRINT_LENGTH_DAYS - 1),
+  };
+};
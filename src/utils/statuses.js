@@ -0,0 +1,45 @@
+// Workflow statuses are {key, label, color, category}; category is
+// 'not_started' | 'active' | 'done' and drives overdue, blocker and stats logic.
+
+export const STATUS_CATEGORIES = {
+  not_started: 'Not started',
+  active: 'Active',
+  done: 'Done',
+};
+
+// Used when a project has not customised its workflow
+export const DEFAULT_TASK_STATUSES = [
+  { key: 'todo', label: 'To Do', color: '#64748b', category: 'not_started' },
+  { key: 'in_progress', label: 'In Progress', color: '#3b82f6', category: 'active' },
+  { key: 'review', label: 'Review', color: '#a855f7', category: 'active' },
+  { key: 'done', label: 'Done', color: '#22c55e', category: 'done' },
+];
+
+/**
+ * Look up a status definition, falling back to a neutral one for unknown keys
+ */
+export const getStatusMeta = (statuses, key) => {
+  return statuses.find(s => s.key === key)
+    || DEFAULT_TASK_STATUSES.find(s => s.key === key)
+    || { key, label: (key || '').replace(/_/g, ' '), color: '#64748b', category: 'not_started' };
+};
+
+/**
+ * Key of the status new tasks start in: the first not-started status of the
+ * workflow (the defaults when the project has not customised it)
+ */
+export const getInitialStatusKey = (statuses) => {
+  const workflow = statuses?.length > 0 ? statuses : DEFAULT_TASK_STATUSES;
+  return (workflow.find(s => s.category === 'not_started') || workflow[0]).key;
+};
+
+/**
+ * Category of a task's status. Pass the project's statuses when known; otherwise
+ * the task's own status_category is used.
+ */
+export const getStatusCategory = (task, statuses) => {
+  const meta = statuses?.find(s => s.key === task.status);
+  if (meta) return meta.category;
+  if (task.status_category) return task.status_category;
+  return DEFAULT_TASK_STATUSES.find(s => s.key === task.status)?.category || 'not_started';
+};
@@ -0,0 +1,18 @@
+// Deep links to the task detail drawer
+
+const TASK_PATH_PATTERN = /\/teams\/(\d+)\/projects\/(\d+)\/tasks\/(\d+)/;
+
+/**
+ * In-app path of the task detail drawer
+ */
+export const getTaskPath = ({ teamId, projectId, taskId }) => {
+  return `/teams/${teamId}/projects/${projectId}/tasks/${taskId}`;
+};
+
+/**
+ * Extract the in-app task path from a URL or path, or null when it is not a task link
+ */
+export const parseTaskPath = (url) => {
+  const match = url?.match(TASK_PATH_PATTERN);
+  return match ? match[0] : null;
+};
@@ -0,0 +1,57 @@
+// Every save of a task's own fields increments its `version` (subtasks,
+// comments and attachments don't). Editors send the version they started from
+// as expected_version so concurrent edits are merged instead of overwritten.
+
+// Fields compared when merging concurrent edits, in form order
+export const TASK_EDIT_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'label_ids', label: 'Labels' },
+  { key: 'status', label: 'Status' },
+  { key: 'priority', label: 'Priority' },
+  { key: 'assignee_ids', label: 'Assignees' },
+  { key: 'due_date', label: 'Due date' },
+  { key: 'estimate_minutes', label: 'Estimate' },
+  { key: 'sprint_id', label: 'Sprint' },
+  { key: 'recurrence', label: 'Repeat' },
+];
+
+export const getTaskVersion = (task) => task?.version ?? task?.updated_at ?? null;
+
+/**
+ * True when a socket payload is older than the task we already have
+ */
+export const isStaleTaskVersion = (incoming, current) =>
+  typeof incoming?.version === 'number' && typeof current?.version === 'number' && incoming.version < current.version;
+
+export const isVersionConflict = (error) => error?.status === 409;
+
+/**
+ * Comparable values of a task's editable fields. Accepts fetched tasks
+ * (assignees / labels arrays) as well as update payloads (assignee_ids / label_ids).
+ */
+export const getTaskFieldValues = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  label_ids: [...(task.label_ids || (task.labels || []).map(l => l.id))].sort((a, b) => a - b),
+  status: task.status,
+  priority: task.priority,
+  assignee_ids: [...(task.assignee_ids || (task.assignees || []).filter(a => a.user_id).map(a => a.user_id))].sort((a, b) => a - b),
+  due_date: task.due_date ? task.due_date.split('T')[0] : '',
+  estimate_minutes: task.estimate_minutes || null,
+  sprint_id: task.sprint_id ?? null,
+  recurrence: task.recurrence
+    ? { ...task.recurrence, ...(task.recurrence.weekdays && { weekdays: [...task.recurrence.weekdays].sort((a, b) => a - b) }) }
+    : null,
+});
+
+/**
+ * Deep equality of two field values. Object keys are compared regardless of
+ * order, and a missing key equals an undefined one.
+ */
+export const isSameFieldValue = (a, b) => {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) return false;
+  if (Array.isArray(a)) return a.length === b.length && a.every((value, i) => isSameFieldValue(value, b[i]));
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])].every(key => isSameFieldValue(a[key], b[key]));
+};
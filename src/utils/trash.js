@@ -0,0 +1,11 @@
+import { DAY_MS } from './dates';
+
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Whole days left before a trashed item is purged
+ */
+export const getDaysUntilPurge = (deletedAt) => {
+  const purgeAt = new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(0, Math.ceil((purgeAt - Date.now()) / DAY_MS));
+};
@@ -0,0 +1,8 @@
+/**
+ * Check whether a user is watching a task
+ * @param {object} task 
+ * @param {number} userId 
+ * @returns {boolean}
+ */
+export const isWatchingTask = (task, userId) =>
+  !!userId && (task?.watchers || []).some(w => w.user_id === userId);